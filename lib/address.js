@@ -317,6 +317,9 @@ Address._transformString = function(data, network, type) {
     throw new Error('Invalid Address string provided');
   }
   data = data.trim();
+  if (Address._getDigiAssetNetwork(data)) {
+    return Address._transformDigiAssetString(data, network, type);
+  }
   try {
     var result = Bech32.decode(data);
     var version = result.shift();
@@ -334,6 +337,52 @@ Address._transformString = function(data, network, type) {
   return info;
 };
 
+/**
+ * Internal function to find the network whose `assetPrefix` starts a DigiAsset
+ * address string
+ *
+ * @param {string} data
+ * @returns {Network|undefined}
+ * @private
+ */
+Address._getDigiAssetNetwork = function(data) {
+  var split = data.lastIndexOf('1');
+  return split > 0 ? Networks.get(data.slice(0, split).toLowerCase(), 'assetPrefix') : undefined;
+};
+
+/**
+ * Internal function to transform a DigiAsset address string. It only carries
+ * the hash, so a 20 bytes hash is read as a pay to witness public key hash and
+ * a 32 bytes one as a pay to witness script hash, unless another type is given.
+ *
+ * @param {string} data
+ * @param {String|Network=} network - either a Network instance, 'livenet', or 'testnet'
+ * @param {string=} type - The type: 'pubkeyhash', 'scripthash' or a witness type
+ * @returns {Object} An object with keys: hashBuffer, network and type
+ * @private
+ */
+Address._transformDigiAssetString = function(data, network, type) {
+  var assetNetwork = Address._getDigiAssetNetwork(data);
+  if (!assetNetwork || network && Networks.get(network) !== assetNetwork) {
+    throw new TypeError('Address has mismatched network type.');
+  }
+  var words = Bech32Check.decode(data);
+  var version = words.shift();
+  var hashBuffer = Buffer.from(Bech32.fromWords(words));
+  var witnessType = { 20: Address.PayToWitnessPublicKeyHash, 32: Address.PayToWitnessScriptHash }[hashBuffer.length];
+  if (version !== 0 || !witnessType) {
+    throw new TypeError('Invalid DigiAsset address.');
+  }
+  if (type && (type === Address.PayToWitnessScriptHash) !== (witnessType === Address.PayToWitnessScriptHash)) {
+    throw new TypeError('Address has mismatched type.');
+  }
+  return {
+    hashBuffer: hashBuffer,
+    network: assetNetwork,
+    type: type || witnessType
+  };
+};
+
 /**
  * Instantiate an address from a PublicKey instance
  *
@@ -432,6 +481,27 @@ Address.fromString = function(str, network, type) {
   return new Address(info.hashBuffer, info.network, info.type);
 };
 
+/**
+ * Instantiate an address from a DigiAsset address string, as made by
+ * `Address#toDigiAssetString`. The network is read from the prefix.
+ *
+ * @example
+ * ```javascript
+ * var address = Address.fromDigiAssetString('dap1qc4aphwsj5vf588un9kxdmg23cm6hppac54jccx');
+ * address.toString(); // 'dgb1qc4aphwsj5vf588un9kxdmg23cm6hppacfq2ef7'
+ * ```
+ *
+ * @param {string} str - A DigiAsset address string
+ * @param {String|Network=} network - either a Network instance, 'livenet', or 'testnet'
+ * @param {string=} type - The type of address, a witness type by default
+ * @returns {Address} A new valid and frozen instance of an Address
+ */
+Address.fromDigiAssetString = function(str, network, type) {
+  $.checkArgument(_.isString(str), 'str', 'Must provide a DigiAsset address string');
+  var info = Address._transformDigiAssetString(str.trim(), network, type);
+  return new Address(info.hashBuffer, info.network, info.type);
+};
+
 /**
  * Instantiate an address from an Object
  *
@@ -548,12 +618,24 @@ Address.toBech32Address = function(data, network) {
 };
 
 /**
- * ill return a the string representation of the digiasset address
+ * Instantiate a P2SH-P2WPKH address, paying to the witness program of a
+ * PublicKey nested in a pay to script hash, as older segwit wallets do
  *
- * @param {PublicKey} data
+ * @param {Buffer} data - the PublicKey, as a buffer
  * @param {String|Network} network - either a Network instance, 'livenet', or 'testnet'
  * @returns {Address} A new valid and frozen instance of an Address
  */
+Address.toNestedWitnessAddress = function(data, network) {
+  var program = Script.buildWitnessV0Out(Address.toBech32Address(data, network));
+  return Address.payingTo(program, network);
+};
+
+/**
+ * Will return the string representation of the digiasset address, read back
+ * by `Address.fromDigiAssetString`
+ *
+ * @returns {string} DigiAsset address
+ */
 Address.prototype.toDigiAssetString = function(data, network) {
   var words = Bech32.toWords(this.hashBuffer);
   words.unshift(0);
@@ -0,0 +1,278 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var errors = require('../errors');
+var Address = require('../address');
+var Asset = require('./asset');
+var Ledger = require('./ledger');
+var PaymentEncoder = require('./paymentencoder');
+var Transaction = require('../transaction');
+var UtxoSelector = require('./utxoselector');
+
+// protocol identifier, version and opcode of a transfer without metadata
+var HEADER_SIZE = 4;
+// the highest output a payment without the range flag can address
+var MAX_SINGLE_OUTPUT = 31;
+
+/**
+ * @param {Object} payment
+ * @return {Number} the size of the encoded payment, in bytes
+ */
+var paymentSize = function(payment) {
+  return new PaymentEncoder(payment).encode().length;
+};
+
+/**
+ * Draws units from the holdings spent, in the order the ledger replays them
+ *
+ * @param {Array} holdings the units left in each holding
+ * @param {Number} amount
+ */
+var draw = function(holdings, amount) {
+  _.each(holdings, function(units, index) {
+    var drawn = Math.min(units, amount);
+    holdings[index] -= drawn;
+    amount -= drawn;
+  });
+};
+
+/**
+ * Finds the largest group of recipients receiving the same amount
+ *
+ * @param {Array} pending
+ * @param {Number} maxOutputs
+ * @return {Array}
+ */
+var largestGroup = function(pending, maxOutputs) {
+  var counts = _.countBy(pending, 'amount');
+  var amount = _.maxBy(_.uniq(_.map(pending, 'amount')), function(value) {
+    return counts[value];
+  });
+  return _.take(_.filter(pending, { amount: amount }), maxOutputs);
+};
+
+/**
+ * Makes the payment of a recipient, as a percent of the holding it draws from
+ * when that is exact and shorter
+ *
+ * @param {Object} recipient
+ * @param {Number} output
+ * @param {Array} holdings
+ * @return {Object}
+ */
+var singlePayment = function(recipient, output, holdings) {
+  var payment = { input: 0, amount: recipient.amount, output: output, range: false, percent: false };
+  var left = _.find(holdings, function(units) { return units > 0; });
+  var percent = recipient.amount * 100 / left;
+  if (left >= recipient.amount && _.isInteger(percent)) {
+    var byPercent = _.assign({}, payment, { amount: percent, percent: true });
+    return paymentSize(byPercent) < paymentSize(payment) ? byPercent : payment;
+  }
+  return payment;
+};
+
+/**
+ * Pays a group of recipients receiving the same amount with a range payment,
+ * when there are several and the payment fits in the budget
+ *
+ * @param {Object} batch
+ * @param {Array} group
+ * @param {Array} holdings
+ * @param {Number} budget the bytes left in the OP_RETURN
+ * @return {Number} the size of the range payment
+ */
+var packRange = function(batch, group, holdings, budget) {
+  if (group.length < 2) {
+    return 0;
+  }
+  var range = { input: 0, amount: group[0].amount, output: group.length - 1, range: true, percent: false };
+  var size = paymentSize(range);
+  if (size > budget) {
+    return 0;
+  }
+  draw(holdings, range.amount * group.length);
+  batch.payments.push(range);
+  batch.recipients = group;
+  return size;
+};
+
+/**
+ * Packs the next transaction of the chain. The largest group of recipients
+ * receiving the same amount takes the first outputs, paid by a single range
+ * payment, and other recipients follow with a payment each while the OP_RETURN
+ * has room.
+ *
+ * @param {Array} pending the recipients left, consumed by the packing
+ * @param {Number} maxOutputs
+ * @param {Array} holdings the units left in each holding spent, consumed by the packing
+ * @return {Object}
+ */
+var packTransaction = function(pending, maxOutputs, holdings) {
+  var batch = { recipients: [], payments: [] };
+  var budget = Asset.MAXBYTESIZE - HEADER_SIZE;
+  budget -= packRange(batch, largestGroup(pending, maxOutputs), holdings, budget);
+  _.pullAll(pending, batch.recipients);
+  while (pending.length && batch.recipients.length < maxOutputs && batch.recipients.length <= MAX_SINGLE_OUTPUT) {
+    var payment = singlePayment(pending[0], batch.recipients.length, holdings);
+    budget -= paymentSize(payment);
+    if (budget < 0) {
+      break;
+    }
+    draw(holdings, pending[0].amount);
+    batch.payments.push(payment);
+    batch.recipients.push(pending.shift());
+  }
+  $.checkState(batch.recipients.length, 'Can\'t pay any recipient in a transaction');
+  return batch;
+};
+
+/**
+ * Distributes an asset to many recipients. A transfer only has room for the
+ * payments that fit in an OP_RETURN, so the recipients are split into a chain
+ * of transactions, each one spending the colored change of the one before.
+ * Recipients receiving the same amount are paid with a single range payment.
+ *
+ * @example
+ * ```javascript
+ * var airdrop = new Airdrop({
+ *   assetId: 'La4fdFUgMKAGbgwL4bVVgobn6dYc2Vs7kZkwei',
+ *   from: 'DRGNccq3quL9FqJuHcB1JEQVKRpvaqGenp',
+ *   fee: 5000,
+ *   recipients: [{ address: 'DHUdu2DMUUXAErkgx3v3v3cdDcFYxYiSXy', amount: 10 }, ...]
+ * });
+ * var transactions = airdrop.build(utxos, privateKey);
+ * ```
+ *
+ * @constructor
+ * @param {Object} options
+ * @param {String} options.assetId
+ * @param {Address|String} options.from the address holding the asset, receiving the change
+ * @param {Array} options.recipients like `{address, amount}`
+ * @param {Number=} options.fee the fee of each transaction
+ * @param {Number=} options.maxOutputs the most recipients a transaction pays, `Airdrop.MAX_OUTPUTS` by default
+ * @param {String|Function=} options.utxoSelection how to choose the utxos to spend, see `UtxoSelector`
+ */
+function Airdrop(options) {
+  if (!(this instanceof Airdrop)) {
+    return new Airdrop(options);
+  }
+  $.checkArgument(options && options.assetId, 'Must provide the asset ID');
+  $.checkArgument(options.from, 'Must provide the address holding the asset');
+  $.checkArgument(_.isArray(options.recipients) && options.recipients.length, 'Must provide the recipients');
+  $.checkArgument(_.isUndefined(options.maxOutputs) || (_.isInteger(options.maxOutputs) && options.maxOutputs > 0),
+    'maxOutputs', 'A transaction must be able to pay a recipient');
+  this.assetId = options.assetId;
+  this.from = new Address(options.from);
+  this.fee = options.fee || Asset.MIN_FEE;
+  this.maxOutputs = options.maxOutputs || Airdrop.MAX_OUTPUTS;
+  this.utxoSelection = options.utxoSelection;
+  this.recipients = _.map(options.recipients, function(recipient) {
+    $.checkArgument(_.isInteger(recipient.amount) && recipient.amount > 0, 'amount',
+      'Recipients must receive a positive number of units');
+    return { address: new Address(recipient.address), amount: recipient.amount };
+  });
+}
+
+Airdrop.MAX_OUTPUTS = 100;
+
+/**
+ * Selects the utxos holding the asset, and nothing else, to distribute
+ *
+ * @param {Array} utxos
+ * @return {Array}
+ */
+Airdrop.prototype.selectAssetUtxos = function(utxos) {
+  var assetId = this.assetId;
+  var needed = _.sumBy(this.recipients, 'amount');
+  var candidates = _.filter(Asset.toUnspentOutputs(utxos), function(utxo) {
+    return utxo.hasAssets() && _.every(utxo.assets, { assetId: assetId });
+  });
+  var selection = new UtxoSelector(this.utxoSelection).select(candidates, needed, function(utxo) {
+    return _.sumBy(utxo.assets, 'amount');
+  });
+  if (selection.amount < needed) {
+    throw new errors.Asset.NotEnoughAssets(assetId, needed - selection.amount);
+  }
+  var holdings = _.flatMap(selection.utxos, 'assets');
+  _.each(_.tail(holdings), function(holding) {
+    if (!Ledger.canAggregate(holdings[0], holding)) {
+      throw Ledger.aggregationError(holding);
+    }
+  });
+  return selection.utxos;
+};
+
+/**
+ * Plans the chain of transactions without building it
+ *
+ * @param {Array} utxos see `Asset.toUnspentOutputs`
+ * @return {Object} the `inputs` of the first transaction, as `UnspentOutput`s, the
+ *   `transactions` with their `recipients`, `payments` and `opReturnSize`, the
+ *   `satoshis` the chain costs, and the satoshis `missing` to fund it
+ */
+Airdrop.prototype.plan = function(utxos) {
+  var self = this;
+  utxos = Asset.toUnspentOutputs(utxos);
+  var inputs = this.selectAssetUtxos(utxos);
+  var holdings = _.map(_.flatMap(inputs, 'assets'), 'amount');
+  var pending = _.clone(this.recipients);
+  var transactions = [];
+  while (pending.length) {
+    var batch = packTransaction(pending, this.maxOutputs, holdings);
+    batch.opReturnSize = new Asset({ type: 'transfer', payments: batch.payments }).encode().codeBuffer.length;
+    transactions.push(batch);
+    holdings = [_.sum(holdings)];
+  }
+  var satoshis = Transaction.DUST_AMOUNT + _.sumBy(transactions, function(batch) {
+    return batch.recipients.length * Transaction.DUST_AMOUNT + self.fee;
+  });
+  var funding = new UtxoSelector(this.utxoSelection).select(_.reject(utxos, function(utxo) {
+    return utxo.hasAssets();
+  }), satoshis - _.sumBy(inputs, 'satoshis'), function(utxo) { return utxo.satoshis; });
+  inputs = inputs.concat(funding.utxos);
+  return {
+    inputs: inputs,
+    transactions: transactions,
+    satoshis: satoshis,
+    missing: Math.max(satoshis - _.sumBy(inputs, 'satoshis'), 0)
+  };
+};
+
+/**
+ * Builds the chain of transactions. Signing a transaction spending legacy
+ * outputs changes its id, so each one is signed with the private key, when
+ * given, before the next one spends its change.
+ *
+ * @param {Array} utxos
+ * @param {PrivateKey=} privateKey the key of the `from` address
+ * @return {Array} the transactions, in the order to broadcast them
+ */
+Airdrop.prototype.build = function(utxos, privateKey) {
+  var self = this;
+  var plan = this.plan(utxos);
+  if (plan.missing) {
+    throw new errors.Asset.NotEnoughFunds(plan.missing);
+  }
+  var spent = plan.inputs;
+  return _.map(plan.transactions, function(batch) {
+    var tx = new Transaction().from(spent);
+    _.each(batch.recipients, function(recipient) {
+      tx.to(recipient.address, Transaction.DUST_AMOUNT);
+    });
+    tx.addData(new Asset({ type: 'transfer', payments: batch.payments }).encode().codeBuffer);
+    var change = tx.inputAmount - tx.outputAmount - self.fee;
+    if (change < Transaction.DUST_AMOUNT) {
+      throw new errors.Asset.NotEnoughFunds(Transaction.DUST_AMOUNT - change);
+    }
+    tx.to(self.from, change).fee(self.fee);
+    if (privateKey) {
+      tx.sign(privateKey);
+    }
+    var output = _.last(tx.outputs);
+    spent = [{ txId: tx.id, outputIndex: tx.outputs.length - 1, script: output.script, satoshis: output.satoshis }];
+    return tx;
+  });
+};
+
+module.exports = Airdrop;
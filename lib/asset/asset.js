@@ -2,17 +2,23 @@
 
 var _ = require('lodash');
 var rsa = require('node-rsa');
+var sffc = require('sffc-encoder');
 var $ = require('../util/preconditions');
+var errors = require('../errors');
 var assetUtils = require('../util/assets');
 var Base58Check = require('../encoding/base58check');
 var bn = require('../crypto/bn');
 var BufferUtil = require('../util/buffer');
 var Hash = require('../crypto/hash');
+var Ledger = require('./ledger');
+var MetaFile = require('./metafile');
+var Rules = require('./rules');
+var UtxoSelector = require('./utxoselector');
 var Address = require('../address');
 var OpCode = require('../opcode');
+var PublicKey = require('../publickey');
 var Script = require('../script');
 var Transaction = require('../transaction');
-var Unit = require('../unit');
 
 var POSTFIXBYTELENGTH = 2;
 var UNLOCKEPADDING = {
@@ -44,6 +50,40 @@ var OP_CODES = {
   }
 }
 
+var OP_CODE_DESCRIPTIONS = {
+  0x00: 'Wild-card to be defined',
+  0x01: 'All hashes in OP_RETURN',
+  0x02: 'SHA2 in Pay-to-Script-Hash multi-sig output (1 out of 2)',
+  0x03: 'All hashes in Pay-to-Script-Hash multi-sig outputs (1 out of 3)',
+  0x04: 'Low security issue, no SHA2 for torrent data',
+  0x05: 'No rules, no torrent, no metadata',
+  0x06: 'No metadata',
+  0x10: 'All hashes in OP_RETURN',
+  0x11: 'SHA2 in Pay-to-Script-Hash multi-sig output (1 out of 2)',
+  0x12: 'All hashes in Pay-to-Script-Hash multi-sig outputs (1 out of 3)',
+  0x13: 'Low security transaction, no SHA2 for torrent data',
+  0x14: 'Low security transaction, no SHA2 for torrent data and no rules',
+  0x15: 'No metadata or rules',
+  0x20: 'All hashes in OP_RETURN',
+  0x21: 'SHA2 in Pay-to-Script-Hash multi-sig output (1 out of 2)',
+  0x22: 'All hashes in Pay-to-Script-Hash multi-sig outputs (1 out of 3)',
+  0x23: 'Low security transaction, no SHA2 for torrent data',
+  0x24: 'Low security transaction, no SHA2 for torrent data and no rules',
+  0x25: 'No metadata or rules'
+};
+
+var V3_OP_CODE_DESCRIPTIONS = {
+  0x01: 'SHA2 of the metadata in OP_RETURN, no rules',
+  0x02: 'SHA2 of the metadata in a multi-sig output, no rules',
+  0x03: 'SHA2 of the metadata in OP_RETURN, rules that can change',
+  0x04: 'SHA2 of the metadata in OP_RETURN, locked rules'
+};
+
+// key holding the return key of the hashes output when none is given
+var DEFAULT_MULTISIG_RETURN_KEY = '03ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff';
+var HASH_KEY_PREFIX = 0x03;
+var SHA1_KEY_PADDING = 13;
+
 var encodingLookup = {}
 
 for (var transactionType in OP_CODES) {
@@ -91,6 +131,484 @@ var paymentsSkipToInput = function (payments) {
   return paymentsDecoded
 }
 
+/**
+ * Builds the 1 out of 2 (or 1 out of 3) multisig output holding the hashes that
+ * don't fit in the OP_RETURN, and puts it first in the transaction
+ *
+ * @param {Transaction} tx
+ * @param {String} returnKey hex public key able to spend the output
+ * @param {Buffer} sha2
+ * @param {Buffer=} sha1
+ */
+var addHashesOutput = function(tx, returnKey, sha2, sha1) {
+  var keys = [
+    new Buffer(returnKey || DEFAULT_MULTISIG_RETURN_KEY, 'hex'),
+    Buffer.concat([new Buffer([HASH_KEY_PREFIX]), sha2])
+  ];
+  if (sha1) {
+    var padding = BufferUtil.fill(new Buffer(SHA1_KEY_PADDING), 0);
+    padding[0] = HASH_KEY_PREFIX;
+    keys.push(Buffer.concat([padding, sha1]));
+  }
+  var script = new Script().add(OpCode.OP_1);
+  keys.forEach(function(key) {
+    script.add(key);
+  });
+  script.add(OpCode.smallInt(keys.length)).add(OpCode.OP_CHECKMULTISIG);
+  var output = new Transaction.Output({ script: script, satoshis: Asset.prototype.getNoneMinDustByScript(script) });
+  tx.addOutput(output);
+  tx.sortOutputs(function(outputs) {
+    return [output].concat(_.without(outputs, output));
+  });
+};
+
+/**
+ * @param {Script} script
+ * @param {Object} multiSig the location of a hash, like `{index: 1, hashType: 'sha2'}`
+ * @return {Boolean} whether the script is a multisig output with a hash key at the location
+ */
+var holdsHash = function(script, multiSig) {
+  if (!script.isMultisigOut() || multiSig.index + 1 >= script.chunks.length - 2) {
+    return false;
+  }
+  return script.chunks[multiSig.index + 1].buf.length === 33;
+};
+
+/**
+ * Finds the multisig output holding the hashes an instruction lists: the first
+ * one with a hash key at each of the locations listed
+ *
+ * @param {Array} outputs
+ * @param {Array} multiSig the locations of the hashes
+ * @return {Output|undefined}
+ */
+var findHashesOutput = function(outputs, multiSig) {
+  return _.find(outputs, function(output) {
+    return _.every(multiSig, function(location) {
+      return holdsHash(output.script, location);
+    });
+  });
+};
+
+/**
+ * Reads a hash back from a key of the hashes multisig output
+ *
+ * @param {Script} script
+ * @param {Object} multiSig the location of the hash, like `{index: 1, hashType: 'sha2'}`
+ * @return {Buffer}
+ */
+var readHashFromOutput = function(script, multiSig) {
+  if (!script || !holdsHash(script, multiSig)) {
+    throw new errors.Asset.MissingHashOutput(multiSig.hashType);
+  }
+  var chunk = script.chunks[multiSig.index + 1];
+  return chunk.buf.slice(multiSig.hashType === 'sha2' ? 1 : SHA1_KEY_PADDING);
+};
+
+/**
+ * Builds the pay-to-script-hash address of a multisig
+ *
+ * @param {Array} pubKeys
+ * @param {Number} m the number of signatures required
+ * @return {Object} the address and its redeem script
+ */
+var generateMultisigAddress = function(pubKeys, m) {
+  var reedemScript = Script.buildMultisigOut(pubKeys, m);
+  return { address: Address.payingTo(reedemScript), reedemScript: reedemScript };
+};
+
+/**
+ * Checks that an output can receive units of a holding on top of the units of
+ * the same asset it already receives, and records them
+ *
+ * @param {Object} received the holdings paid to each output, by asset
+ * @param {Object} recipient
+ * @param {Object} holding
+ */
+var checkAggregation = function(received, recipient, holding) {
+  if (recipient.burn) {
+    return;
+  }
+  var key = recipient.output + ':' + holding.assetId;
+  var previous = received[key];
+  if (previous && previous !== holding && !Ledger.canAggregate(previous, holding)) {
+    throw Ledger.aggregationError(holding);
+  }
+  received[key] = holding;
+};
+
+/**
+ * Plans the payments of a transfer over the holdings of its inputs, in the
+ * order the ledger replays them. A holding can only be paid once the ones
+ * before it in the same input are, so units nobody receives are paid to the
+ * colored change (`change: true`) when a later holding of the input is needed.
+ * The rest of the units are left to flow to the last output. An output only
+ * receives units of an asset from holdings its aggregation policy lets it combine.
+ *
+ * @param {Array} inputs the holdings of each input
+ * @param {Array} recipients like `{assetId, amount, output}` or `{assetId, amount, burn: true}`
+ * @return {Object} the payments, with the units `held` by their holding before they draw
+ *   from it, and whether any units are left for the colored change
+ */
+var planPayments = function(inputs, recipients) {
+  var pending = _.map(recipients, _.clone);
+  var received = {};
+  var payments = [];
+  var leftover = false;
+  _.each(inputs, function(holdings, input) {
+    var paid = [];
+    _.each(holdings, function(holding) {
+      var remaining = holding.amount;
+      _.each(pending, function(recipient) {
+        var amount = recipient.assetId === holding.assetId ? Math.min(remaining, recipient.amount) : 0;
+        if (amount > 0) {
+          checkAggregation(received, recipient, holding);
+          paid.push({ input: input, amount: amount, output: recipient.output, burn: recipient.burn, held: remaining });
+          recipient.amount -= amount;
+          remaining -= amount;
+        }
+      });
+      if (remaining > 0) {
+        leftover = true;
+        paid.push({ input: input, amount: remaining, change: true, held: remaining });
+      }
+    });
+    while (paid.length > 1 && _.last(paid).change) {
+      paid.pop();
+    }
+    payments = payments.concat(paid);
+  });
+  return {
+    payments: _.dropRightWhile(payments, 'change'),
+    leftover: leftover
+  };
+};
+
+/**
+ * Tells whether a planned payment continues a range payment starting at another
+ *
+ * @param {Object} first
+ * @param {Object} payment
+ * @param {Number} offset the position of the payment in the range
+ * @return {Boolean}
+ */
+var continuesRange = function(first, payment, offset) {
+  return payment.input === first.input && payment.amount === first.amount && payment.output === offset;
+};
+
+/**
+ * Merges the planned payments of an input paying the same amount to each of the
+ * first outputs, in order, into a single range payment
+ *
+ * @param {Array} payments
+ * @return {Array}
+ */
+var packRange = function(payments) {
+  var start = _.findIndex(payments, { output: 0 });
+  var end = start + 1;
+  while (start >= 0 && end < payments.length && continuesRange(payments[start], payments[end], end - start)) {
+    end++;
+  }
+  if (end - start < 2) {
+    return payments;
+  }
+  var range = _.assign(_.omit(payments[start], 'held'), { output: end - start - 1, range: true });
+  return payments.slice(0, start).concat([range], payments.slice(end));
+};
+
+/**
+ * Encodes a planned payment as a percent of the units its holding has left,
+ * when that is exact and shorter
+ *
+ * @param {Object} payment
+ * @return {Object}
+ */
+var toPercent = function(payment) {
+  var percent = payment.amount * 100 / payment.held;
+  if (_.isInteger(percent) && sffc.encode(percent).length < sffc.encode(payment.amount).length) {
+    return _.assign({}, payment, { amount: percent, percent: true });
+  }
+  return payment;
+};
+
+/**
+ * Reads the lock status, aggregation policy and divisibility encoded in an
+ * asset ID
+ *
+ * @param {String} assetId
+ * @return {Object}
+ */
+var readAssetId = function(assetId) {
+  var buf;
+  try {
+    buf = Base58Check.decode(assetId);
+  } catch (e) {
+    throw new errors.Asset.InvalidAssetId(assetId);
+  }
+  if (buf.length !== 22 + POSTFIXBYTELENGTH) {
+    throw new errors.Asset.InvalidAssetId(assetId);
+  }
+  var padding = buf.readUInt16BE(0);
+  var lockStatus = _.includes(LOCKEPADDING, padding);
+  var aggregationPolicy = _.findKey(lockStatus ? LOCKEPADDING : UNLOCKEPADDING, function(value) {
+    return value === padding;
+  });
+  if (!aggregationPolicy) {
+    throw new errors.Asset.InvalidAssetId(assetId);
+  }
+  return {
+    prefix: buf.slice(0, 2).toString('hex'),
+    hash: buf.slice(2, 22).toString('hex'),
+    lockStatus: lockStatus,
+    aggregationPolicy: aggregationPolicy,
+    divisibility: buf.readUIntBE(22, POSTFIXBYTELENGTH)
+  };
+};
+
+/**
+ * Checks that an issuance transaction produces an asset ID
+ *
+ * @param {Object} result the parsed asset ID, updated with the outcome
+ * @param {Transaction} transaction
+ */
+var checkIssuance = function(result, transaction) {
+  var issuance;
+  try {
+    issuance = Asset.decode(transaction);
+    if (issuance && issuance.type === 'issuance') {
+      result.issuedAssetId = issuance.assetId;
+    }
+  } catch (e) {
+    result.error = e.message;
+  }
+  if (!result.issuedAssetId) {
+    result.error = result.error || 'Transaction ' + transaction.id + ' is not an issuance';
+  } else if (result.issuedAssetId !== result.assetId) {
+    result.error = 'Transaction ' + transaction.id + ' issues asset ' + result.issuedAssetId;
+  }
+  result.valid = !result.error;
+};
+
+/**
+ * Decrypts one metadata section, parsing it back when it was an object
+ *
+ * @param {String} section base64 ciphertext
+ * @param {String|Buffer} privateKey
+ * @param {Object} encSection the encryption descriptor of the section
+ * @return {Object|String}
+ */
+var decryptSection = function(section, privateKey, encSection) {
+  var key = BufferUtil.isBuffer(privateKey) ?
+    new rsa(privateKey, encSection.type + '-private-' + encSection.format) : new rsa(privateKey);
+  var plaintext = key.decrypt(section, 'utf8');
+  try {
+    return /^[\[{]/.test(plaintext) ? JSON.parse(plaintext) : plaintext;
+  } catch (e) {
+    return plaintext;
+  }
+};
+
+/**
+ * Puts the utxos of an address first, to fund a transaction from it
+ *
+ * @param {Array} utxos
+ * @param {Address|String} address
+ * @return {Array}
+ */
+var fundFromAddress = function(utxos, address) {
+  var script = Script.fromAddress(address).toHex();
+  var funding = _.sortBy(utxos, function(utxo) {
+    return utxo.script.toHex() === script ? 0 : 1;
+  });
+  if (!funding.length || funding[0].script.toHex() !== script) {
+    throw new errors.Asset.InvalidReissuanceInput(address.toString());
+  }
+  return funding;
+};
+
+/**
+ * Takes the inputs out of a transaction
+ *
+ * @param {Transaction} tx
+ * @return {Array} the inputs it had
+ */
+var detachInputs = function(tx) {
+  var inputs = tx.inputs;
+  tx.inputs = [];
+  tx._inputAmount = undefined;
+  return inputs;
+};
+
+/**
+ * Adds inputs back to a transaction, after the ones it has, counting the
+ * satoshis of those it doesn't already spend
+ *
+ * @param {Transaction} tx
+ * @param {Array} inputs
+ * @param {Object} totalInputs the satoshis spent so far
+ */
+var appendInputs = function(tx, inputs, totalInputs) {
+  _.each(inputs, function(input) {
+    if (!Asset.prototype.isInputInTx(tx, input.prevTxId.toString('hex'), input.outputIndex)) {
+      tx.uncheckedAddInput(input);
+      totalInputs.amount += input.output ? input.output.satoshis : 0;
+    }
+  });
+};
+
+/**
+ * Spends the units of a holding toward what is needed of its asset, in the
+ * `assetList` entries of `findBestMatchByNeededAssets`
+ *
+ * @param {Object} needed the `amount` still needed of the asset, and the `inputs` spending it
+ * @param {Number} inputIndex
+ * @param {Object} holding
+ * @param {Boolean} merge adds the units to the last input spending the asset,
+ *   for an aggregatable holding following one of the same asset
+ */
+var spendHolding = function(needed, inputIndex, holding, merge) {
+  var amount = Math.min(needed.amount, holding.amount);
+  if (merge && needed.inputs.length) {
+    _.last(needed.inputs).amount += amount;
+  } else {
+    needed.inputs.push({ index: inputIndex, amount: amount });
+  }
+  if (needed.amount <= holding.amount) {
+    needed.change = holding.amount - needed.amount;
+    needed.done = true;
+  } else {
+    needed.amount -= holding.amount;
+  }
+};
+
+/**
+ * Records the satoshis an asset transaction is short of, so `Asset.plan` can
+ * report them
+ *
+ * @param {Asset} asset
+ * @param {Number} missing
+ * @return {Error}
+ */
+var notEnoughFunds = function(asset, missing) {
+  asset.missing = missing;
+  return new errors.Asset.NotEnoughFunds(missing);
+};
+
+/**
+ * @param {Asset} asset
+ * @param {Object} missing the units missing, by asset ID
+ * @return {Error} for the first asset short of units
+ */
+var notEnoughAssets = function(asset, missing) {
+  var assetId = _.first(_.keys(missing));
+  asset.missingAssets = missing;
+  return new errors.Asset.NotEnoughAssets(assetId, missing[assetId]);
+};
+
+/**
+ * Deep copies plain objects and arrays, keeping instances like addresses as they are
+ *
+ * @param {*} value
+ * @return {*}
+ */
+var copyData = function(value) {
+  return _.cloneDeepWith(value, function(item) {
+    if (_.isObject(item) && !_.isPlainObject(item) && !_.isArray(item)) {
+      return item;
+    }
+  });
+};
+
+/**
+ * Checks the fee of the asset data to plan, the minimum fee when not given
+ *
+ * @param {number=} fee
+ * @return {number}
+ */
+var planFee = function(fee) {
+  if (_.isUndefined(fee)) {
+    return Asset.MIN_FEE;
+  }
+  $.checkArgument(_.isInteger(fee) && fee >= 0, 'fee', 'Fee must be a number of satoshis');
+  return fee;
+};
+
+/**
+ * Finds the utxo spent by each input of a transaction
+ *
+ * @param {Transaction} tx
+ * @param {Array} utxos
+ * @return {Array}
+ */
+var findSpentUtxos = function(tx, utxos) {
+  return _.map(tx.inputs, function(input) {
+    return _.find(utxos, { txId: input.prevTxId.toString('hex'), outputIndex: input.outputIndex });
+  });
+};
+
+/**
+ * Describes the outputs of a planned transaction. Outputs following the
+ * OP_RETURN hold the change.
+ *
+ * @param {Transaction} tx
+ * @param {Network} network
+ * @param {Ledger=} ledger the assets each output receives, when the transaction is complete
+ * @return {Array}
+ */
+var describeOutputs = function(tx, network, ledger) {
+  var dataIndex = _.findIndex(tx.outputs, function(output) { return output.script.isDataOut(); });
+  return _.map(tx.outputs, function(output, index) {
+    var description = { index: index, satoshis: output.satoshis, type: 'recipient' };
+    if (output.script.isDataOut()) {
+      description.type = 'data';
+    } else if (output.script.isMultisigOut()) {
+      description.type = 'hashes';
+    } else if (dataIndex >= 0 && index > dataIndex) {
+      description.type = 'change';
+    }
+    var address = output.script.toAddress(network);
+    if (address) {
+      description.address = address.toString();
+    }
+    if (ledger) {
+      description.assets = ledger.getOutputAssets(index);
+    }
+    return description;
+  });
+};
+
+/**
+ * Runs the builders of an asset transaction on a scratch transaction, for
+ * `Asset.plan`. Being short of DigiByte or of units of an asset stops the
+ * builders without failing.
+ *
+ * @param {Asset} asset
+ * @param {Array} utxos
+ * @return {Transaction}
+ */
+var planTransaction = function(asset, utxos) {
+  var tx = new Transaction();
+  try {
+    if (asset.type === 'burn') {
+      asset.createBurnAssetTransaction(utxos, tx);
+    } else if (asset.type === 'transfer') {
+      asset.addInputsForSendTransaction(tx, utxos);
+    } else {
+      if (asset.assetId) {
+        asset.createReissueTransaction(tx, utxos);
+      } else {
+        asset.createIssueTransaction(tx, utxos);
+      }
+      asset.encodeDigiAssetScheme(tx);
+    }
+  } catch (e) {
+    if (!(e instanceof errors.Asset.NotEnoughFunds) && !(e instanceof errors.Asset.NotEnoughAssets)) {
+      throw e;
+    }
+  }
+  return tx;
+};
+
 /**
  * Represents a digiasset,
  *
@@ -102,12 +620,18 @@ var paymentsSkipToInput = function (payments) {
  * @param {string} data.protocol the asset protocol
  * @param {string} data.version digiasset transaction version
  * @param {string} data.lockStatus  is the data locked
+ * @param {boolean} data.reissueable issue an unlocked asset, same as setting lockStatus to false
  * @param {string} data.aggregationPolicy asset aggregation policy
  * @param {number} data.divisibility asset divisibility
  * @param {array} data.multiSig any associated multisig addresses
  * @param {number} data.amount the amount being transfered
  * @param {string} data.sha2 the sha2 hash of the torrent if included
  * @param {string} data.torrentHash trrent hash
+ * @param {Rules|array|Object} data.rules the rules of the asset, see `Rules`
+ * @param {array} data.chainRules the rules a version 3 issuance carries in OP_RETURN, see `RuleEncoder`
+ * @param {boolean} data.changeable whether a reissuance can change the rules of a version 3 issuance
+ * @param {string|function} data.utxoSelection how to choose the utxos to spend, see `UtxoSelector`
+ * @param {array} data.burn the units to destroy in a burn, like `{assetId, amount}`
  */
 function Asset(data) {
   /* jshint maxcomplexity: 20 */
@@ -119,7 +643,7 @@ function Asset(data) {
     this.aggregationPolicy = data.aggregationPolicy || 'aggregatable';
     this.assetId =  data.assetId || '';
     this.type = data.type || undefined;
-    this.lockStatus = data.lockStatus || true;
+    this.lockStatus = data.lockStatus !== false && !data.reissueable;
     this.multiSig = data.multiSig || [];
     this.payments = data.payments || [];
     this.amount = data.amount;
@@ -133,14 +657,17 @@ function Asset(data) {
     this.urls = data.urls || [];
     this.transfer = data.transfer || [];
     this.metadata = data.metadata;
-    this.rules = data.rules || [];
-    this.falgs = data.flags;
+    this.rules = data.rules instanceof Rules ? data.rules.toObject() : data.rules || [];
+    this.chainRules = data.chainRules || [];
+    this.changeable = data.changeable || false;
+    this.flags = data.flags;
     this.fee = data.fee;
     this.financeOutput = data.financeOutput;
     this.financeOutputTxid = data.financeOutputTxid;
     this.sha1 = data.sha1;
     this.sha2 = data.sha2;
     this.ignoreMetadata = data.ignoreMetadata || false;
+    this.utxoSelection = data.utxoSelection;
   }
   if(!this.type) {
     this.fromBuffer(data);
@@ -149,6 +676,7 @@ function Asset(data) {
 
 Asset.MIN_FEE = 1000;
 Asset.DA_TX_VERSION = 0x02;
+Asset.VERSIONS = assetUtils.VERSIONS;
 Asset.ASSET_IDENTIFIER = 0x4441;
 Asset.MAXBYTESIZE = 80;
 
@@ -159,10 +687,21 @@ Asset.MAXBYTESIZE = 80;
  * @return {Asset}
  */
 Asset.prototype.fromBuffer = function(data) {
+  $.checkArgument(BufferUtil.isBuffer(data), 'data', 'Must provide a buffer to decode');
+  if (data.length < 4 || data.readUInt16BE(0) !== Asset.ASSET_IDENTIFIER) {
+    throw new errors.Asset.InvalidEncoding('missing the DigiAsset protocol identifier');
+  }
   var decoder = encodingLookup[data[3]];
+  if (!decoder) {
+    throw new errors.Asset.UnrecognizedOpcode(data.slice(3, 4).toString('hex'));
+  }
   var rawData = new decoder.encoder().decode(data);
   this.protocol = rawData.protocol;
   this.version = rawData.version;
+  this.opcode = rawData.opcode;
+  this.noRules = rawData.noRules;
+  this.torrentHash = rawData.torrentHash;
+  this.sha2 = rawData.sha2;
   this.multiSig = rawData.multiSig || [];
   this.payments = paymentsSkipToInput(rawData.payments);
   this.type = decoder.type;
@@ -171,10 +710,106 @@ Asset.prototype.fromBuffer = function(data) {
     this.aggregationPolicy = rawData.aggregationPolicy
     this.divisibility = rawData.divisibility
     this.amount = rawData.amount
+    this.chainRules = rawData.chainRules;
+    this.changeable = rawData.changeable;
   }  
   return this;
 };
 
+/**
+ * Decodes the DigiAsset instruction of a transaction, reading the hashes kept
+ * in a multisig output and deriving the asset ID of issuances. When several
+ * outputs hold an instruction, the last one is decoded.
+ *
+ * @param {Transaction} transaction
+ * @return {Asset|null} null when the transaction has no DigiAsset instruction
+ */
+Asset.decode = function(transaction) {
+  $.checkArgumentType(transaction, Transaction, 'transaction');
+  var index = _.findLastIndex(transaction.outputs, function(output) {
+    return output.script.isDataOut() && output.script.isDigiAssetOut();
+  });
+  if (index < 0) {
+    return null;
+  }
+  var asset = new Asset(transaction.outputs[index].script.getData());
+  asset.outputIndex = index;
+  var hashes = findHashesOutput(transaction.outputs, asset.multiSig);
+  asset.multiSig.forEach(function(multiSig) {
+    asset[multiSig.hashType] = readHashFromOutput(hashes && hashes.script, multiSig);
+  });
+  if (asset.type === 'issuance' && transaction.inputs.length) {
+    asset.getAssetId(transaction.inputs[0]);
+  }
+  return asset;
+};
+
+/**
+ * Parses an asset ID, telling what its prefix says about the asset. Asset IDs
+ * carry no network byte, the same ID is valid on every network, so `network`
+ * is always null. Given the issuance transaction, the ID is computed again
+ * from it to check that the transaction issues this asset.
+ *
+ * @example
+ * ```javascript
+ * var parsed = Asset.parseAssetId('La4fdFUgMKAGbgwL4bVVgobn6dYc2Vs7kZkwei', issuanceTx);
+ * if (!parsed.valid) {
+ *   console.log(parsed.error);
+ * }
+ * ```
+ *
+ * @param {String} assetId
+ * @param {Transaction=} transaction the transaction claimed to issue the asset
+ * @return {Object} whether the ID is `valid` and the `error` when it isn't, its
+ *   `prefix`, `hash`, `lockStatus`, `aggregationPolicy` and `divisibility`, and
+ *   the `issuedAssetId` of the transaction
+ */
+Asset.parseAssetId = function(assetId, transaction) {
+  var result = { assetId: assetId, valid: false, network: null };
+  try {
+    _.assign(result, readAssetId(assetId), { valid: true });
+  } catch (e) {
+    result.error = e.message;
+    return result;
+  }
+  if (transaction) {
+    $.checkArgumentType(transaction, Transaction, 'transaction');
+    checkIssuance(result, transaction);
+  }
+  return result;
+};
+
+/**
+ * Returns what the opcode of the asset says about where its hashes are kept
+ *
+ * @return {String}
+ */
+Asset.prototype.getOpcodeDescription = function() {
+  if (this.version === 0x03 && this.type === 'issuance') {
+    return V3_OP_CODE_DESCRIPTIONS[this.opcode];
+  }
+  return OP_CODE_DESCRIPTIONS[this.opcode];
+};
+
+/**
+ * Moves every payment one output further, to make room for the hashes output.
+ * Range payments always start at the first output, so they are split into a
+ * payment per output.
+ */
+Asset.prototype.shiftOutputs = function() {
+  this.payments = _.flatMap(this.payments, function(payment) {
+    if (payment.range) {
+      return _.times(payment.output + 1, function(output) {
+        return _.assign({}, payment, { output: output + 1, range: false });
+      });
+    }
+    if (!_.isUndefined(payment.output)) {
+      payment.output += 1;
+    }
+    return [payment];
+  });
+};
+
 /**
  * Sets the asset amount
  *
@@ -242,7 +877,6 @@ Asset.prototype.allowRules = function() {
  * @param {Input} firstInput
  */
 Asset.prototype.getAssetId = function(firstInput) {
-  var script = firstInput.script;
   var firstInputObj = firstInput.toObject();
   var padding;
   if (this.lockStatus) {
@@ -251,10 +885,10 @@ Asset.prototype.getAssetId = function(firstInput) {
   }
 
   padding = UNLOCKEPADDING[this.aggregationPolicy];
-  if (firstInputObj.previousOutput && firstInputObj.previousOutput.hex) {
-    return createIdFromPreviousOutputScriptPubKey(firstInputObj.previousOutput.hex, padding, divisibility);
+  if (firstInput.output) {
+    return this.createIdFromPreviousOutputScriptPubKey(firstInput.output.script, padding);
   }
-  return this.createIdFromPubKeyHashInput(script, padding);
+  return this.createIdFromPubKeyHashInput(firstInput, padding);
 };
 
 /**
@@ -270,19 +904,59 @@ Asset.prototype.createIdFromTxidIndex = function(firstInput, padding) {
 };
 
 /**
- * Creates AssetId from pubkey hash
+ * Creates AssetId from the script of the output spent by the first input
  *
  * @param {Script} script
  * @param {Number} padding
  */
-Asset.prototype.createIdFromPubKeyHashInput = function(script, padding) {
-  var Script = require('../script');
-  var pubKeyHash = new Address(Hash.sha256ripemd160(script.chunks[1].buf));
-  var pubKeyHashOutput = Script.buildPublicKeyHashOut(pubKeyHash).toBuffer();
-  this.assetId = this.hashAndBase58CheckEncode(pubKeyHashOutput, padding);
+Asset.prototype.createIdFromPreviousOutputScriptPubKey = function(script, padding) {
+  this.assetId = this.hashAndBase58CheckEncode(script.toBuffer(), padding);
   return this.assetId;
 };
 
+// a native segwit output, paying to the key or the script that ends the witnesses
+var witnessProgram = function(witnesses) {
+  if (witnesses.length === 2 && PublicKey.isValid(witnesses[1])) {
+    return new Script().add(OpCode.OP_0).add(Hash.sha256ripemd160(witnesses[1]));
+  }
+  return new Script().add(OpCode.OP_0).add(Hash.sha256(_.last(witnesses)));
+};
+
+/**
+ * Rebuilds the script of the output spent by an input from its script and
+ * witnesses: pay to public key hash, pay to script hash, nested or native
+ * segwit
+ *
+ * @param {Input} input
+ * @return {Script}
+ */
+var spentScript = function(input) {
+  var script = input.script;
+  var witnesses = input.witnesses || [];
+  var last = _.last(script.chunks);
+  if (script.isPublicKeyHashIn()) {
+    return Script.buildPublicKeyHashOut(new Address(Hash.sha256ripemd160(script.chunks[1].buf)));
+  }
+  if (last && last.buf && (script.chunks.length === 1 || script.isScriptHashIn())) {
+    return Script.buildScriptHashOut(new Script(last.buf));
+  }
+  if (!script.chunks.length && witnesses.length) {
+    return witnessProgram(witnesses);
+  }
+  throw new errors.Asset.UnknownIssuanceInput(input.prevTxId.toString('hex') + ':' + input.outputIndex);
+};
+
+/**
+ * Creates AssetId from the script of the first input, when the output it
+ * spends isn't known
+ *
+ * @param {Input} input
+ * @param {Number} padding
+ */
+Asset.prototype.createIdFromPubKeyHashInput = function(input, padding) {
+  return this.createIdFromPreviousOutputScriptPubKey(spentScript(input), padding);
+};
+
 /**
  * Hash and base58 encode the assetID
  *
@@ -316,8 +990,8 @@ Asset.prototype.encode = function() {
  * @param {Input} input
  * @param {Number} amount
  * @param {Number} output
- * @param {Number} range
- * @param {Number} percent
+ * @param {Boolean} range pays the amount to every output up to `output`
+ * @param {Boolean} percent the amount is a percent of the units left in the holding
  */
 Asset.prototype.addPayment  = function(input, amount, output, range, percent) {
   var range = range || false;
@@ -330,7 +1004,7 @@ Asset.prototype.addPayment  = function(input, amount, output, range, percent) {
  *
  * @param {Input} input
  * @param {Number} amount
- * @param {Number} percent
+ * @param {Boolean} percent the amount is a percent of the units left in the holding
  */
 Asset.prototype.addBurn = function (input, amount, percent) {
   if (this.type === 'issuance') {
@@ -355,7 +1029,7 @@ Asset.prototype.tryEncryptData = function (assetData) {
           var section = assetData.metadata.userData[encSection.key]
           if(section) {
               var format = encSection.type + '-public-' +  encSection.format;
-              var key = encSection.pubKey ? new rsa([encSection.pubKey]) : oneKey;
+              var key = encSection.pubKey ? new rsa(encSection.pubKey, format) : oneKey;
               var encrypted = key.encrypt(section, 'base64');
               assetData.metadata.userData[encSection.key] = encrypted;
           }
@@ -367,6 +1041,36 @@ Asset.prototype.tryEncryptData = function (assetData) {
   }
 }
 
+/**
+ * Decrypts the `userData` sections of metadata encrypted by `tryEncryptData`.
+ * Sections encrypted for another key are left as they are.
+ *
+ * @param {Object} metadata the asset metadata, with its `encryptions` descriptors
+ * @param {String|Buffer} privateKey the PEM key returned when encrypting, or the
+ *   recipient's private key, as a buffer in the type and format of the descriptors
+ * @return {Object} a copy of the metadata with the readable sections in plaintext
+ */
+Asset.decryptMetaData = function(metadata, privateKey) {
+  $.checkArgument(metadata && _.isArray(metadata.encryptions), 'Must provide metadata with encryptions');
+  $.checkArgument(privateKey, 'Must provide a private key');
+  var result = _.cloneDeep(metadata);
+  var sections = _.filter(result.encryptions, function(encSection) {
+    return result.userData && result.userData[encSection.key];
+  });
+  var decrypted = _.filter(sections, function(encSection) {
+    try {
+      result.userData[encSection.key] = decryptSection(result.userData[encSection.key], privateKey, encSection);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+  if (sections.length && !decrypted.length) {
+    throw new errors.Asset.DecryptionFailed();
+  }
+  return result;
+};
+
 /**
  * Gets the metadata
  *
@@ -374,11 +1078,13 @@ Asset.prototype.tryEncryptData = function (assetData) {
 Asset.prototype.getMetaData = function() {
   var metafile = {};
   if(this.metadata) {
-    var key = this.tryEncryptData();
-    if (key && key.error) {
-      throw new Error('Encryption error: ' + key.error);
-    } else if (key && key.privateKey) {
-      this.privateKey = key.privateKey;
+    // the sections are encrypted in place, so only once
+    if (_.isUndefined(this.privateKey)) {
+      var key = this.tryEncryptData(this);
+      if (key instanceof Error) {
+        throw new Error('Encryption error: ' + key.message);
+      }
+      this.privateKey = key && key.privateKey;
     }
     metafile.data = this.metadata;
     if(this.rules) {
@@ -389,136 +1095,35 @@ Asset.prototype.getMetaData = function() {
 }
 
 /**
- * Finds the best matching utxos containg assets
+ * Gets the rules of the asset
  *
- * @param {Array} utxos
- * @param {Array} assetList
- * @param {String} key
- * @param {Transaction} tx
- * @param {Object} inputvalues
- * @param {Object} medata
- * @return {String} fee
+ * @return {Rules}
  */
-Asset.prototype.findBestMatchByNeededAssets = function(utxos, assetList, key, tx, inputvalues) {
-  var self = this;
-  var selectedUtxos = [];
-  var foundAmount = 0;
-
-  var bestGreaterOrEqualAmountUtxo = this.findBestGreaterOrEqualAmountUtxo(utxos, assetList, key);
-  if (bestGreaterOrEqualAmountUtxo) {
-    selectedUtxos[0] = bestGreaterOrEqualAmountUtxo;
-  } else {
-    var utxosSortedByAssetAmount = _.sortBy(utxos, function (utxo) { return -self.getUtxoAssetAmount(utxo, key) });
-    var found = utxosSortedByAssetAmount.some(function (utxo) {
-      selectedUtxos.push(utxo);
-      foundAmount += self.getUtxoAssetAmount(utxo, key);
-      return foundAmount >= assetList[key].amount;
-    });
-    if (!found) {
-      selectedUtxos.length = 0;
-    }
-  }
-
-  if (!selectedUtxos.length) {
-    return false;
-  }
-
-  var lastAssetId;
-  selectedUtxos.some(function (utxo) {
-    utxo.assets.forEach(function (asset) {
-      try {
-        var overflow = true;
-        if (assetList[asset.assetId] && !assetList[asset.assetId].done) {
-          var inputIndex = tx.inputs.length
-          if (!tx.inputs.some(function (txutxo, i) {
-            if (txutxo.index === utxo.index && BufferUtil.reverse(txutxo.hash).toString('hex') === utxo.txid) {
-              inputIndex = i;
-              return true
-            }
-            return false
-          })) {
-            var output = new Transaction.UnspentOutput({
-              address: utxo.address,
-              txid: utxo.txid,
-              vout: utxo.index,
-              scriptPubKey: utxo.scriptPubKey.hex,
-              amount: utxo.value,
-            });
-            tx.from(output);
-            inputvalues.amount += Math.round(utxo.value);
-            if (self.flags && self.flags.injectPreviousOutput) {
-              tx.inputs[tx.inputs.length - 1].script = Script.fromHex(utxo.scriptPubKey.hex)
-            }
-          }
-
-          var aggregationPolicy = asset.aggregationPolicy || 'aggregatable';  // TODO - remove after all assets have this field
-          var inputIndexInAsset = assetList[asset.assetId].inputs.length;
-          if (assetList[asset.assetId].amount <= asset.amount) {
-            var totalamount = asset.amount;
-            if (aggregationPolicy === 'aggregatable' && lastAssetId === asset.assetId && assetList[asset.assetId].inputs.length) {
-              assetList[asset.assetId].inputs[inputIndexInAsset - 1].amount += assetList[asset.assetId].amount;
-            } else {
-              assetList[asset.assetId].inputs.push({index: inputIndex, amount: assetList[asset.assetId].amount});
-            }
-            assetList[asset.assetId].change = totalamount - assetList[asset.assetId].amount;
-            assetList[asset.assetId].done = true;
-          } else {
-            if (aggregationPolicy === 'aggregatable' && lastAssetId === asset.assetId && assetList[asset.assetId].inputs.length) {
-              assetList[asset.assetId].inputs[inputIndexInAsset - 1].amount += asset.amount;
-            } else {
-              assetList[asset.assetId].inputs.push({index: inputIndex, amount: asset.amount});
-            }
-            assetList[asset.assetId].amount -= asset.amount;
-          }
-        }
-      } catch (e) { throw e; }
-      
-      lastAssetId = asset.assetId;
-    });
-    return assetList[key].done;
-  });
-  return true;
-}
+Asset.prototype.getRules = function() {
+  return new Rules(this.rules);
+};
 
 /**
- * Finds the best utxo matching a key
+ * Gets the metafile, ready to be serialized and hashed
  *
- * @param {Array} utxos
- * @param {Array} assetList
- * @param {String} key
- * @return {Boolean}
+ * @return {MetaFile}
  */
-Asset.prototype.findBestGreaterOrEqualAmountUtxo = function (utxos, assetList, key) {
-  var foundLargerOrEqualAmountUtxo = false;
-  var self = this;
-
-  utxos.forEach(function (utxo) {
-    utxo.score = 0;
-    var assetAmount = self.getUtxoAssetAmount(utxo, key);
-    if (assetAmount < assetList[key].amount) {
-      return;
-    }
-    foundLargerOrEqualAmountUtxo = true;
-    if (assetAmount === assetList[key].amount) {
-      utxo.score += 10000;
-    } else {  // assetAmount > assetList[key].amount
-      utxo.score += 1000;
-    }
+Asset.prototype.getMetaFile = function() {
+  return new MetaFile(this.getMetaData());
+};
 
-    for (var assetId in assetList) {
-      if (assetId === key) continue;
-      assetAmount = self.getUtxoAssetAmount(utxo, assetId);
-      if (assetAmount === assetList[assetId].amount) {
-        utxo.score += 100;
-      } else if (assetAmount > assetList[assetId].amount) {
-        utxo.score += 10;
-      } else {  // assetAmount < assetList[assetId].amount
-        utxo.score += assetAmount / assetList[assetId].amount;
-      }
-    }
-  });
-  return foundLargerOrEqualAmountUtxo && _.maxBy(utxos, function (utxo) { return utxo.score });
-}
+/**
+ * Sets the torrent hash and SHA2, computing them from the metafile unless
+ * they were already given
+ */
+Asset.prototype.setMetaDataHashes = function() {
+  if (!this.sha1 || !this.sha2) {
+    var metaFile = this.getMetaFile();
+    this.sha1 = metaFile.getTorrentHash();
+    this.sha2 = metaFile.getSha2();
+  }
+  this.setHash(this.sha1, this.sha2);
+};
 
 /**
  * Inserts digitoshi into the current transaction
@@ -533,7 +1138,6 @@ Asset.prototype.insertSatoshiToTransaction = function(utxos, tx, missing, inputs
   var paymentDone = false;
   var missingbn = new bn(missing);
   var financeValue = new bn(0);
-  var currentAmount = new bn(0);
   if(self.financeOutput && self.financeOutputTxid) {
     if(self.isInputInTx(tx, self.financeOutputTxid, self.financeOutput.n)) {
       return false;
@@ -544,37 +1148,31 @@ Asset.prototype.insertSatoshiToTransaction = function(utxos, tx, missing, inputs
       tx.addInput( self.financeOutputTxid, self.financeOutput.n);
       inputsValue.amount += financeValue.toNumber() ;
       if( self.flags && self.flags.injectPreviousOutput) {
-        tx.inputs[tx.inputs.length -1].script = Script.fromHex(self.financeOutput.scriptPubKey.hex);
+        tx.inputs[tx.inputs.length -1].setScript(Script.fromHex(self.financeOutput.scriptPubKey.hex));
       }  
       paymentDone = true;
       return paymentDone;
     }
   } else {
-    var hasEnoughEquity = utxos.some(function (utxo) {
-      utxo.value = Math.round(utxo.value)
-        if (!self.isInputInTx(tx, utxo.txid, utxo.index) && !(utxo.assets && utxo.assets.length)) {
-          var output = new Transaction.UnspentOutput({
-            address: utxo.address,
-            txid: utxo.txid,
-            vout: utxo.index,
-            scriptPubKey: utxo.scriptPubKey.hex,
-            amount: Unit.fromSatoshis(utxo.value).toDGB(),
-          });
-          tx.from(output);
-          inputsValue.amount += utxo.value;
-          currentAmount = currentAmount.add(new bn(utxo.value));
-          if(self.flags && self.flags.injectPreviousOutput) {
-            tx.inputs[tx.inputs.length -1].script = Script.fromHex(utxo.scriptPubKey.hex);
-          }  
-        }
-        return currentAmount.cmp(missingbn) >= 0;
+    var candidates = Asset.toUnspentOutputs(utxos).filter(function (utxo) {
+      return !self.isInputInTx(tx, utxo.txId, utxo.outputIndex) && !utxo.hasAssets();
     });
-    return hasEnoughEquity;
+    var selection = new UtxoSelector(self.utxoSelection).select(candidates, missing, function (utxo) {
+      return utxo.satoshis;
+    });
+    selection.utxos.forEach(function (utxo) {
+      tx.from(utxo);
+      if(self.flags && self.flags.injectPreviousOutput) {
+        tx.inputs[tx.inputs.length -1].setScript(utxo.script);
+      }
+    });
+    inputsValue.amount += selection.amount;
+    return selection.amount >= missing;
   }
 }
 
 /**
- * Gets the value from a utxo
+ * Gets the units of an asset held by a utxo
  *
  * @param {UnspentOutput} utxo
  * @param {String} assetId
@@ -583,6 +1181,65 @@ Asset.prototype.getUtxoAssetAmount = function(utxo, assetId) {
   return _(utxo.assets).filter(function (asset) { return asset.assetId === assetId }).sumBy('amount');
 }
 
+/**
+ * Finds the best matching utxos containg assets, with the `minimizeInputs`
+ * strategy of `UtxoSelector`, and spends them in the transaction
+ *
+ * @param {Array} utxos
+ * @param {Object} assetList the `amount` needed of each asset, with the `inputs` spending it
+ * @param {String} key the asset to select utxos for
+ * @param {Transaction} tx
+ * @param {Object} inputvalues the satoshis spent so far
+ * @return {Boolean} false when the utxos don't hold enough units of the asset
+ */
+Asset.prototype.findBestMatchByNeededAssets = function(utxos, assetList, key, tx, inputvalues) {
+  var self = this;
+  var lastAssetId;
+  var selection = new UtxoSelector('minimizeInputs').select(Asset.toUnspentOutputs(utxos), assetList[key].amount,
+    function(utxo) {
+      return self.getUtxoAssetAmount(utxo, key);
+    });
+  if (selection.amount < assetList[key].amount) {
+    return false;
+  }
+  _.each(selection.utxos, function(utxo) {
+    var inputIndex = _.findIndex(tx.inputs, function(input) {
+      return input.prevTxId.toString('hex') === utxo.txId && input.outputIndex === utxo.outputIndex;
+    });
+    if (inputIndex < 0) {
+      inputIndex = tx.inputs.length;
+      self.addTransferInputs(tx, [utxo], inputvalues);
+    }
+    _.each(utxo.assets, function(holding) {
+      var needed = assetList[holding.assetId];
+      if (needed && !needed.done) {
+        var aggregatable = (holding.aggregationPolicy || 'aggregatable') === 'aggregatable';
+        spendHolding(needed, inputIndex, holding, aggregatable && lastAssetId === holding.assetId);
+      }
+      lastAssetId = holding.assetId;
+    });
+  });
+  return true;
+};
+
+/**
+ * Finds the best utxo matching a key, the one `minimizeInputs` spends first
+ * when it covers the amount on its own
+ *
+ * @param {Array} utxos
+ * @param {Object} assetList
+ * @param {String} key
+ * @return {Object|Boolean} the utxo, or false when none holds enough units
+ */
+Asset.prototype.findBestGreaterOrEqualAmountUtxo = function(utxos, assetList, key) {
+  var self = this;
+  var amountOf = function(utxo) {
+    return self.getUtxoAssetAmount(utxo, key);
+  };
+  var best = _.first(UtxoSelector.STRATEGIES.minimizeInputs(utxos, assetList[key].amount, amountOf));
+  return best && amountOf(best) >= assetList[key].amount ? best : false;
+};
+
 /**
  * Adds enough inputs to fulfull the fee requirement
  *
@@ -609,8 +1266,7 @@ Asset.prototype.tryAddingInputsForFee = function(tx, utxos,  totalInputs, satosh
  */
 Asset.prototype.isInputInTx = function(tx, txid, index) {
   return tx.inputs.some(function (input) {
-    var id = BufferUtil.reverse(input.prevTxId);
-    return (id.toString('hex') === txid && input.index === index);
+    return (input.prevTxId.toString('hex') === txid && input.outputIndex === index);
   });
 }
 
@@ -628,7 +1284,7 @@ Asset.prototype.getTotalIssuenceCost = function(withFee) {
       fee += Transaction.DUST_AMOUNT;
     });
   }
-  if(this.rules || this.metadata) {
+  if(!_.isEmpty(this.rules) || this.metadata) {
     fee += 700; // MULTISIG_MIN_DUST
   }
   fee += Transaction.DUST_AMOUNT;
@@ -656,7 +1312,7 @@ Asset.prototype.comupteCost = function(withFee) {
       fee += Transaction.DUST_AMOUNT;
     });
   }
-  if(this.rules || this.metadata) {
+  if(!_.isEmpty(this.rules) || this.metadata) {
     fee += 700;
   }
   fee += Transaction.DUST_AMOUNT;
@@ -675,9 +1331,9 @@ Asset.prototype.getChangeAmount = function(tx, totalInputValue) {
 }
 
 Asset.prototype.getNoneMinDustByScript = function(script, useFee) {
-  varfee = useFee || Transaction.FEE_PER_KB;
+  var fee = useFee || Transaction.FEE_PER_KB;
   // add 9 to aacount for bitcoind SER_DISK serilaztion before the multiplication
-  return (((Transaction.FEE_PER_KB * (script.toBuffer().length + 148 + 9 )) / 1000) * 3);
+  return (((fee * (script.toBuffer().length + 148 + 9 )) / 1000) * 3);
 }
 
 Asset.prototype.getInputAmountNeededForTx = function(tx, fee) {
@@ -689,154 +1345,199 @@ Asset.prototype.getInputAmountNeededForTx = function(tx, fee) {
 }
 
 /**
- * Adds inputs to the asset transfer transaction.
+ * Adds an output for every address receiving assets, and lists what each
+ * recipient receives. Recipients sharing an address share its output.
  *
  * @param {Transaction} tx
- * @param {Object} assetData 
- * @param {Array} utxos
- * @return {Object} fee
+ * @return {Object} the recipients, and the redeem scripts of multisig outputs
  */
-Asset.prototype.addInputsForSendTransaction = function(tx, utxos) {
-  var self = this;
-  var assetList = [];
-  var totalInputs = { amount: 0 };
-  var satoshiCost = this.comupteCost(true);
-  var coloredOutputIndexes = [];
+Asset.prototype.addTransferOutputs = function(tx) {
+  var outputs = {};
   var reedemScripts = [];
-  self.to.forEach(function(to) {
-    if(!assetList[to.assetId]) {
-      assetList[to.assetId] = { amount: 0, addresses: [], done: false, change: 0, encodeAmount: 0, inputs: [] };
-    }
-    assetList[to.assetId].amount += to.amount;
+  var recipients = _.map(this.to, function(to) {
+    var recipient = { assetId: to.assetId, amount: to.amount };
     if (to.burn) {
-      assetList[to.assetId].addresses.push({ address: 'burn', amount: to.amount });
-    } else if (!to.address && to.pubKeys && to.m) {
-      // ToDo
-      var multisig = generateMultisigAddress(to.pubKeys, to.m)
-      assetList[to.assetId].addresses.push({ address: multisig.address, amount: to.amount, reedemScript: multisig.reedemScript})
-    } else {
-      assetList[to.assetId].addresses.push({ address: to.address, amount: to.amount});
+      recipient.burn = true;
+      return recipient;
     }
- });
- for( var asset in assetList) {
-  var assetUtxos = utxos.filter(function (element, index, array) {
-    if (!element.assets) { return false; }                 
-    return element.assets.some(function(a){
-      return (a.assetId == asset);
-    });
-  });
-  if(assetUtxos && assetUtxos.length > 0) {
-    var key = asset;
-    assetUtxos.forEach(function (utxo){ 
-      if(utxo.used) {
-        throw new Error('Output Alreaedy Spent - output: ' + utxo.txid + ':' + utxo.index);
+    var multisig = !to.address && to.pubKeys && to.m && generateMultisigAddress(to.pubKeys, to.m);
+    var address = (multisig ? multisig.address : to.address).toString();
+    if (_.isUndefined(outputs[address])) {
+      outputs[address] = tx.outputs.length;
+      tx.to(address, Transaction.DUST_AMOUNT);
+      if (multisig) {
+        reedemScripts.push({ index: outputs[address], reedemScript: multisig.reedemScript, address: address });
       }
-    });
-    if(!self.findBestMatchByNeededAssets(assetUtxos, assetList, key, tx, totalInputs)) {
-      throw new Error('Not enough assets - asset: ' + key);
-    }
-  } else {
-    throw new Error('No output with that asset - asset: ' + asset);
-  }
- }
- if(!self.tryAddingInputsForFee(tx, utxos, totalInputs, satoshiCost)) {
-   throw new Error('Not enough funds');
- }
- for( asset in assetList) {
-    var currentAsset = assetList[asset];
-    if(!currentAsset.done) {
-      return new Error('Not enough Assets - asset: ' + asset);
     }
-    var uniAssets = _.uniqBy(currentAsset.addresses, function(item) { return item.address; } );
-    uniAssets.forEach(function(address) {
-      var addressAmountLeft = address.amount;
-      currentAsset.inputs.some(function (input) {
-        if(!input.amount) { return false; }
-        if(addressAmountLeft - input.amount > 0 ) {
-            if (address.address === 'burn') {
-              self.addBurn(input.index, input.amount);
-            } else {
-              self.addPayment(input.index, input.amount, (tx.outputs ? tx.outputs.length : 0));
-            }
-            addressAmountLeft -= input.amount;
-            input.amount = 0;
-            return false;
-        } else {
-            if (address.address === 'burn') {
-              self.addBurn(input.index, addressAmountLeft);
-            } else {
-              self.addPayment(input.index, addressAmountLeft, (tx.outputs ? tx.outputs.length : 0));
-            }
-            input.amount -= addressAmountLeft;
-            addressAmountLeft = 0;
-            return true;
-        }
-      });
-      if (address.address !== 'burn') {
-        tx.to(address.address, Transaction.DUST_AMOUNT);
-      }
-      if(address.reedemScript) {
-        reedemScripts.push({index: tx.outputs.length -1, reedemScript: address.reedemScript, address: address.address});
-      }
+    recipient.output = outputs[address];
+    return recipient;
+  });
+  return { recipients: recipients, reedemScripts: reedemScripts };
+};
+
+/**
+ * Selects the utxos holding the assets of the recipients, asset by asset, with
+ * the `utxoSelection` strategy
+ *
+ * @param {Array} utxos
+ * @param {Array} recipients
+ * @return {Array} the selected utxos, in the order they should be spent
+ */
+Asset.prototype.selectTransferUtxos = function(utxos, recipients) {
+  var self = this;
+  var selector = new UtxoSelector(this.utxoSelection);
+  var selected = [];
+  var missing = {};
+  utxos = Asset.toUnspentOutputs(utxos);
+  _.each(_.uniq(_.map(recipients, 'assetId')), function(assetId) {
+    var needed = _.sumBy(_.filter(recipients, { assetId: assetId }), 'amount');
+    var held = _.sumBy(selected, function(utxo) { return self.getUtxoAssetAmount(utxo, assetId); });
+    var candidates = _.filter(utxos, function(utxo) {
+      return !_.includes(selected, utxo) && self.getUtxoAssetAmount(utxo, assetId) > 0;
+    });
+    var selection = selector.select(candidates, needed - held, function(utxo) {
+      return self.getUtxoAssetAmount(utxo, assetId);
     });
+    selected.push.apply(selected, selection.utxos);
+    held += selection.amount;
+    if (held < needed) {
+      missing[assetId] = needed - held;
+    }
+  });
+  if (!_.isEmpty(missing)) {
+    throw notEnoughAssets(this, missing);
   }
-  try {
-    //add metadata if we have any
-    if((self.metadata || self.rules) && !self.ignoreMetadata) {
-      if(!self.sha1 || !self.sha2) {
-        throw new Error('Missing Torrenthash!');
-      }
-      self.setHash(self.sha1, self.sha2);
+  return selected;
+};
+
+/**
+ * Spends the utxos holding the assets of a transfer
+ *
+ * @param {Transaction} tx
+ * @param {Array} selected
+ * @param {Object} totalInputs the satoshis spent so far
+ */
+Asset.prototype.addTransferInputs = function(tx, selected, totalInputs) {
+  var self = this;
+  _.each(selected, function(utxo) {
+    tx.from(utxo);
+    if (self.flags && self.flags.injectPreviousOutput) {
+      _.last(tx.inputs).setScript(utxo.script);
     }
-    var buffer = self.encode();
-    if(buffer.leftover && buffer.leftover.length > 0) {
-      self.shiftOutputs();
-      reedemScripts.forEach(function(item) { item.index += 1 });
-      buffer = self.encode();
-      if(buffer.leftover.length == 1) {
-        //To Do
-        addHashesOutput(tx, self.pubKeyReturnMultisigDust, buffer.leftover[0]);
-      } else if(buffer.leftover.length == 2) {
-        addHashesOutput(tx, self.pubKeyReturnMultisigDust, buffer.leftover[1], buffer.leftover[0]);
-      } else {
-        throw new Error('have hashes and enough room we offested inputs for nothing');
-      }
+    totalInputs.amount += utxo.satoshis;
+  });
+};
+
+/**
+ * Adds the payments of a transfer, the change payments paying the colored
+ * change output. With the `compact` flag, payments of the same amount to the
+ * first outputs are merged into a range payment, and the others are encoded
+ * as a percent of their holding when that is shorter.
+ *
+ * @param {Array} payments as planned by `planPayments`
+ * @param {Number} changeOutput
+ */
+Asset.prototype.addTransferPayments = function(payments, changeOutput) {
+  var self = this;
+  var compact = Boolean(this.flags && this.flags.compact);
+  payments = _.map(payments, function(payment) {
+    return payment.change ? _.assign({}, payment, { output: changeOutput }) : payment;
+  });
+  payments = compact ? packRange(payments) : payments;
+  _.each(payments, function(payment) {
+    payment = compact && !payment.range ? toPercent(payment) : payment;
+    if (payment.burn) {
+      self.addBurn(payment.input, payment.amount, payment.percent);
+    } else {
+      self.addPayment(payment.input, payment.amount, payment.output, payment.range, payment.percent);
     }
-    // add array of colored ouput indexes
-    self.payments.forEach(function (payment) {
-      if (typeof payment.output !== 'undefined') {
-        coloredOutputIndexes.push(payment.output);
-      }
-    }); 
-  } catch(e) {
-    throw e;
-  }
-  tx.addData(buffer.codeBuffer);
-  var lastOutputValue = self.getChangeAmount(tx, totalInputs);
-  var coloredChange = _.keys(assetList).some(function (assetId) {
-    return assetList[assetId].change > 0;
   });
-  var numOfChanges = (self.flags && self.flags.splitChange && coloredChange && lastOutputValue >= 2 * Transaction.DUST_AMOUNT) ? 2 : 1;
-  if(lastOutputValue < numOfChanges * Transaction.DUST_AMOUNT) {
-    satoshiCost = self.getInputAmountNeededForTx(tx, self.fee) + numOfChanges * Transaction.DUST_AMOUNT;
-    if(!self.tryAddingInputsForFee(tx, utxos, totalInputs, satoshiCost)) {
-      throw new Error('Not Enough funds');
+};
+
+/**
+ * Encodes the transfer in an OP_RETURN output, moving the hashes that don't
+ * fit to a multisig output first in the transaction
+ *
+ * @param {Transaction} tx
+ * @param {Array} reedemScripts
+ */
+Asset.prototype.addTransferData = function(tx, reedemScripts) {
+  if((this.metadata || !_.isEmpty(this.rules)) && !this.ignoreMetadata) {
+    this.setMetaDataHashes();
+  }
+  var buffer = this.encode();
+  if(buffer.leftover && buffer.leftover.length > 0) {
+    this.shiftOutputs();
+    reedemScripts.forEach(function(item) { item.index += 1; });
+    buffer = this.encode();
+    if(buffer.leftover.length === 1) {
+      addHashesOutput(tx, this.pubKeyReturnMultisigDust, buffer.leftover[0]);
+    } else if(buffer.leftover.length === 2) {
+      addHashesOutput(tx, this.pubKeyReturnMultisigDust, buffer.leftover[1], buffer.leftover[0]);
+    } else {
+      throw new Error('have hashes and enough room we offested inputs for nothing');
     }
-    lastOutputValue = self.getChangeAmount(tx, totalInputs);
   }
-  // TODO: make sure we have a from here, even though we try to use first address found in the utxo we want to send
-  // in case we didnt just use an address, there still might not be an address perhaps we should generate a keypair
-  // here and return them as well, also we might have mutiple from addresses
+  tx.addData(buffer.codeBuffer);
+};
+
+/**
+ * Funds the transfer and adds the change outputs, the last one holding the
+ * colored change
+ *
+ * @param {Transaction} tx
+ * @param {Array} utxos
+ * @param {Object} totalInputs
+ * @param {Number} numOfChanges 2 to keep the DigiByte change apart from the colored change
+ */
+Asset.prototype.addTransferChange = function(tx, utxos, totalInputs, numOfChanges) {
+  var from = _.isArray(this.from) ? this.from[0] : this.from;
+  var required = _.sumBy(tx.outputs, 'satoshis') + this.fee + numOfChanges * Transaction.DUST_AMOUNT;
+  if (!this.tryAddingInputsForFee(tx, utxos, totalInputs, required)) {
+    throw notEnoughFunds(this, required - totalInputs.amount);
+  }
+  var lastOutputValue = this.getChangeAmount(tx, totalInputs);
   if (numOfChanges === 2) {
-    tx.addOutput(Array.isArray(self.from) ? self.from[0] : self.from, lastOutputValue - Transaction.DUST_AMOUNT); 
+    tx.to(from, lastOutputValue - Transaction.DUST_AMOUNT);
     lastOutputValue = Transaction.DUST_AMOUNT;
   }
-  if (coloredChange) {
-    coloredOutputIndexes.push(tx.outputs.length)
+  tx.to(from, lastOutputValue);
+};
+
+/**
+ * Adds inputs to the asset transfer transaction. The inputs holding the
+ * assets come first, before any input the transaction already had, and the
+ * payments follow their holdings in order, so several assets can be sent to
+ * several recipients in one OP_RETURN.
+ *
+ * @param {Transaction} tx
+ * @param {Array} utxos
+ * @return {Object}
+ */
+Asset.prototype.addInputsForSendTransaction = function(tx, utxos) {
+  var totalInputs = { amount: 0 };
+  var transfer = this.addTransferOutputs(tx);
+  var selected = this.selectTransferUtxos(utxos, transfer.recipients);
+  var existing = detachInputs(tx);
+  this.addTransferInputs(tx, selected, totalInputs);
+  appendInputs(tx, existing, totalInputs);
+  var plan = planPayments(_.map(selected, 'assets'), transfer.recipients);
+  var numOfChanges = (this.flags && this.flags.splitChange && plan.leftover) ? 2 : 1;
+  // the change outputs follow the OP_RETURN
+  this.addTransferPayments(plan.payments, tx.outputs.length + numOfChanges);
+  this.addTransferData(tx, transfer.reedemScripts);
+  this.addTransferChange(tx, utxos, totalInputs, numOfChanges);
+
+  var coloredOutputIndexes = _.filter(_.map(this.payments, 'output'), _.isNumber);
+  if (plan.leftover) {
+    coloredOutputIndexes.push(tx.outputs.length - 1);
   }
-  tx.to(self.from, lastOutputValue);
-  return { tx: tx, multisigOutputs: reedemScripts, coloredOutputIndexes: _.uniqBy(coloredOutputIndexes) };
-}
+  return {
+    tx: tx,
+    multisigOutputs: transfer.reedemScripts,
+    coloredOutputIndexes: _.uniq(coloredOutputIndexes)
+  };
+};
 
 /**
  * Adds inputs to the asset issue transaction.
@@ -846,51 +1547,98 @@ Asset.prototype.addInputsForSendTransaction = function(tx, utxos) {
  * @return {Object} object
  */
 Asset.prototype.addInputsForIssuance = function(tx, utxos) {
-  var current = new bn(utxos[0].value);
-  if(utxos.length > 1) {
-    var values = utxos.map(function(utxo) { return utxo.value; });
-    current = new bn(values.reduce(function(a, b) { return a + b; }));
-  }
+  utxos = Asset.toUnspentOutputs(utxos);
+  var current = new bn(_.sumBy(utxos, 'satoshis'));
   var cost = new bn(this.getIssuenceCost());
-  var outputs = utxos.map(function(utxo) {
-    return new Transaction.UnspentOutput({
-      address: utxo.address,
-      txid: utxo.txid,
-      vout: utxo.index,
-      scriptPubKey: utxo.scriptPubKey.hex,
-      amount: utxo.value,
-    });
-  });
-  tx.from(outputs);
+  tx.from(utxos);
   if(this.flags && this.flags.injectPreviousOutput) {
-    tx.inputs[tx.inputs.length -1].script = new Script(utxo.scriptPubKey);
+    tx.inputs.forEach(function(input, index) {
+      input.setScript(utxos[index].script);
+    });
   }
   this.assetId = this.getAssetId(tx.inputs[0]);
-  this.change = current - cost;
-  this.totalInputs = { amount: current };
-  return { tx: tx, assetData: this, change: current - cost, totalInputs: { amount: current } };
+  this.change = current.sub(cost).toNumber();
+  this.totalInputs = { amount: current.toNumber() };
+  return { tx: tx, assetData: this, change: this.change, totalInputs: this.totalInputs };
 }
 
 /**
- * Creates a Burn Asset transfer transaction
+ * Creates an asset burn transaction, destroying the units listed in `burn`
+ * and sending the ones listed in `to`. The rest of the spent units go to the
+ * colored change. The `receipt` of the asset tells what the transaction burns,
+ * and `tx` is the transaction built.
  *
- * @param {Object} assetData 
  * @param {Array} utxos
- * @return {Transaction}
+ * @param {Transaction=} tx the transaction to build on, a new one by default
+ * @return {Asset}
+ */
+Asset.prototype.createBurnAssetTransaction = function(utxos, tx) {
+  tx = tx instanceof Transaction ? tx : new Transaction();
+  this.to = (this.to || []).concat(_.map(this.burn, function(burn) {
+    return _.assign({}, burn, { burn: true });
+  }));
+  $.checkState(_.some(this.to, 'burn'), 'Needs the asset units to burn');
+  utxos = Asset.toUnspentOutputs(utxos);
+  this.addInputsForSendTransaction(tx, utxos);
+  this.receipt = Asset.getBurnReceipt(tx, findSpentUtxos(tx, utxos));
+  this.tx = tx;
+  return this;
+};
+
+/**
+ * Reads the utxos given to the asset builders. They are either `UnspentOutput`s,
+ * objects taken by its constructor, or utxos as listed by the DigiAsset explorer,
+ * like `{address, txid, index, value, scriptPubKey: {hex}, assets}` with the
+ * value in satoshis. Malformed utxos fail here, before any input is added.
+ *
+ * @param {Array} utxos
+ * @return {Array} the `UnspentOutput`s
  */
-Asset.prototype.createBurnAssetTransaction = function(utxos) {
-  var to = this.to || [];
-  var burn = this.burn || [];
-  burn.forEach(function(burnItem) {
-    burnItem.burn = true;
+Asset.toUnspentOutputs = function(utxos) {
+  $.checkArgument(_.isArray(utxos), 'utxos', 'Must provide an array of utxos');
+  return _.map(utxos, function(utxo) {
+    if (utxo instanceof Transaction.UnspentOutput) {
+      return utxo;
+    }
+    $.checkArgument(_.isObject(utxo), 'utxos', 'Invalid utxo: ' + utxo);
+    $.checkArgument(!utxo.used, 'utxos', 'Output already spent: ' + utxo.txid + ':' + utxo.index);
+    if (!_.isObject(utxo.scriptPubKey)) {
+      return new Transaction.UnspentOutput(utxo);
+    }
+    return new Transaction.UnspentOutput({
+      address: utxo.address,
+      txid: utxo.txid,
+      vout: utxo.index,
+      scriptPubKey: utxo.scriptPubKey.hex,
+      satoshis: _.isNumber(utxo.value) ? Math.round(utxo.value) : utxo.value,
+      assets: utxo.assets
+    });
   });
-  to.push.apply(to, burn);
-  delete this.transfer;
-  this.to = to;
-  var lol = this.createSendAssetTransaction(utxos);
-  return this.createSendAssetTransaction(utxos); //{ tx: txResponse.tx, asset: completeTx.assetId.assetId, metadata: metadata, multisigOutputs: txResponse.multisigOutputs, coloredOutputIndexes: txResponse.coloredOutputIndexes };
-}
+};
 
+/**
+ * Tells what a burn transaction destroys, replaying its instruction over the
+ * assets it spends, like `Ledger` does
+ *
+ * @param {Transaction} transaction
+ * @param {Array} inputs the asset holdings of each spent output, as taken by the Ledger
+ * @return {Object} the `txid`, whether the instruction is `valid`, and the units
+ *   `burned` of each asset
+ */
+Asset.getBurnReceipt = function(transaction, inputs) {
+  var ledger = new Ledger(transaction, inputs);
+  var receipt = {
+    txid: transaction.id,
+    valid: ledger.valid,
+    burned: _.map(_.groupBy(ledger.burned, 'assetId'), function(holdings, assetId) {
+      return { assetId: assetId, amount: _.sumBy(holdings, 'amount') };
+    })
+  };
+  if (ledger.error) {
+    receipt.error = ledger.error;
+  }
+  return receipt;
+};
 
 /**
  * Creates an Asset transfer transaction
@@ -920,6 +1668,36 @@ Asset.prototype.createIssueTransaction = function(tx, utxos) {
   return this;
 }
 
+/**
+ * Creates a reissuance of an unlocked asset. The first input spends from the
+ * issue address, so the new units get the asset ID of the original issuance.
+ *
+ * @param {Transaction} tx
+ * @param {Array} utxos
+ * @return {Asset}
+ */
+Asset.prototype.createReissueTransaction = function(tx, utxos) {
+  $.checkState(this.amount , 'Amount must be set');
+  $.checkState(this.issueAddress , 'Need an Issue Address');
+  $.checkState(this.assetId, 'Need the asset ID to reissue');
+  var assetId = this.assetId;
+  var properties = readAssetId(assetId);
+  if (properties.lockStatus) {
+    throw new errors.Asset.LockedAsset(assetId);
+  }
+  _.assign(this, {
+    reissueable: true,
+    lockStatus: false,
+    aggregationPolicy: properties.aggregationPolicy,
+    divisibility: properties.divisibility
+  });
+  this.addInputsForIssuance(tx, fundFromAddress(Asset.toUnspentOutputs(utxos), this.issueAddress));
+  if (this.assetId !== assetId) {
+    throw new errors.Asset.AssetIdMismatch(this.assetId, assetId);
+  }
+  return this;
+};
+
 /**
  * Encodes the DigiAsset Scheme and adds it to OP_RETURN output
  *
@@ -928,34 +1706,32 @@ Asset.prototype.createIssueTransaction = function(tx, utxos) {
  */
 Asset.prototype.encodeDigiAssetScheme = function(tx) {
   var addMultisig = false;
-  var encoder = new Asset({ protocol: Asset.ASSET_IDENTIFIER, version: Asset.DA_TX_VERSION, type: 'issuance', divisibility: this.divisibility, protocol: 17473, version: 0x02 });
   var reedemScripts = [];
   var coloredOutputIndexes = [];
   var coloredAmount = this.amount;
-  this.setLockStatus(!this.reissueable);
+  this.setLockStatus(this.lockStatus && !this.reissueable);
   this.setAmount(this.amount, this.divisibility);
   this.setAggregationPolicy(this.aggregationPolicy);
-  if((this.metadata || this.rules) && !this.ignoreMetadata) {
-    if(!this.sha1 || !this.sha2) {
-      throw new Error('Missing SHA hash');
-    }
-    this.setHash(this.sha1, this.sha2);
+  if((this.metadata || !_.isEmpty(this.rules)) && !this.ignoreMetadata) {
+    this.setMetaDataHashes();
   }
 
   if(this.transfer) {
-    this.transfer.forEach(function(transferobj, i){
-      this.addPayment(0, transferobj.amount, tx.outputs.length);
+    var payments = [];
+    this.transfer.forEach(function(transferobj) {
+      payments.push({ input: 0, amount: transferobj.amount, output: tx.outputs.length, held: coloredAmount });
       coloredAmount -= transferobj.amount;
       // check multisig
       if(transferobj.pubKeys && transferobj.m) {
          var multisig = generateMultisigAddress(transferobj.pubKeys, transferobj.m);
          reedemScripts.push({index: tx.outputs.length , reedemScript: multisig.reedemScript, address: multisig.address});
-         tx.addOutput(multisig.address, Transaction.DUST_AMOUNT);
+         tx.to(multisig.address, Transaction.DUST_AMOUNT);
       }
       else {
-        tx.addOutput(transferobj.address, Transaction.DUST_AMOUNT);
+        tx.to(transferobj.address, Transaction.DUST_AMOUNT);
       }
     });
+    this.addTransferPayments(payments);
   }
 
   if (coloredAmount < 0) {
@@ -973,7 +1749,7 @@ Asset.prototype.encodeDigiAssetScheme = function(tx) {
   tx.addData(buffer.codeBuffer);
 
   // add array of colored ouput indexes
-  encoder.payments.forEach(function (payment) {
+  this.payments.forEach(function (payment) {
     coloredOutputIndexes.push(payment.output);
   });
 
@@ -989,21 +1765,15 @@ Asset.prototype.encodeDigiAssetScheme = function(tx) {
     }
   }
 
-  var allOutputValues =  _.sumBy(tx.outputs, function(output) { return output.value; });
+  var allOutputValues =  _.sumBy(tx.outputs, function(output) { return output.satoshis; });
   var lastOutputValue = this.totalInputs.amount - (allOutputValues + this.fee);
   if(lastOutputValue < Transaction.DUST_AMOUNT) {
-    var totalCost = Transaction.DUST_AMOUNT + this.totalInputs.amount.toNumber();
-    throw new errors.NotEnoughFundsError({
-      type: 'issuance',
-      fee: metadata.fee,
-      totalCost: totalCost,
-      missing: Transaction.DUST_AMOUNT - lastOutputValue
-    });
+    throw notEnoughFunds(this, Transaction.DUST_AMOUNT - lastOutputValue);
   }
   if (this.flags && this.flags.splitChange && lastOutputValue >= 2 * Transaction.DUST_AMOUNT && coloredAmount > 0) {
     var digibyteChange = lastOutputValue - Transaction.DUST_AMOUNT;
     lastOutputValue = Transaction.DUST_AMOUNT;
-    tx.addOutput(metadata.issueAddress, digibyteChange);
+    tx.to(this.issueAddress, digibyteChange);
   }
   if (coloredAmount > 0) {
     // there's a colored change output
@@ -1014,6 +1784,57 @@ Asset.prototype.encodeDigiAssetScheme = function(tx) {
   return this;
 }
 
+/**
+ * Plans an asset transaction without building it. The builders run on a
+ * scratch transaction with copies of the asset data and the utxos, and the
+ * plan describes what they produced. Being short of DigiByte or of units of
+ * an asset doesn't throw: the plan tells how many satoshis, or how many units
+ * of each asset, are missing, and leaves out the change. The fee is
+ * `Asset.MIN_FEE` unless given.
+ *
+ * @example
+ * ```javascript
+ * var plan = Asset.plan({ type: 'transfer', from: address, fee: 5000, to: to }, utxos);
+ * if (plan.missing) {
+ *   // fund the address with plan.missing more satoshis
+ * }
+ * ```
+ *
+ * @param {Object} assetData the data of an `issuance`, a reissuance when it has
+ *   an `assetId`, a `transfer` or a `burn`, as taken by the `Transaction` asset builders
+ * @param {Array} utxos
+ * @return {Object} the spent `inputs`, the `outputs` with their `type` (recipient,
+ *   hashes, data or change), the `opReturnSize` in bytes, the `fee`, the `missing`
+ *   satoshis, the `missingAssets` units by asset ID, and for issuances the
+ *   `assetId` and the `issuanceCost`
+ */
+Asset.plan = function(assetData, utxos) {
+  $.checkArgument(assetData && _.includes(['issuance', 'transfer', 'burn'], assetData.type),
+    'Must provide the data of an issuance, a transfer or a burn');
+  var asset = new Asset(_.assign(copyData(assetData), { fee: planFee(assetData.fee) }));
+  var candidates = Asset.toUnspentOutputs(utxos);
+  var tx = planTransaction(asset, candidates);
+  var spent = findSpentUtxos(tx, candidates);
+  var from = new Address(_.isArray(asset.from) ? asset.from[0] : asset.from || asset.issueAddress);
+  var data = _.find(tx.outputs, function(output) { return output.script.isDataOut(); });
+  var plan = {
+    type: asset.type,
+    inputs: _.map(spent, function(utxo) {
+      return { txid: utxo.txId, index: utxo.outputIndex, value: utxo.satoshis, assets: utxo.assets };
+    }),
+    outputs: describeOutputs(tx, from.network, !asset.missing && !asset.missingAssets && new Ledger(tx, spent)),
+    opReturnSize: data ? data.script.getData().length : 0,
+    fee: asset.fee,
+    missing: asset.missing || 0,
+    missingAssets: asset.missingAssets || {}
+  };
+  if (asset.type === 'issuance') {
+    plan.assetId = asset.assetId;
+    plan.issuanceCost = asset.getTotalIssuenceCost();
+  }
+  return plan;
+};
+
 /**
  * Provide an informative output when displaying this object in the console
  * @returns string
@@ -1050,16 +1871,30 @@ Asset.fromObject = function(data) {
  * @return {object}
  */
 Asset.prototype.toObject = Asset.prototype.toJSON = function toObject() {
-  return {
-    assetId: this.assetId,
+  var obj = {
     type: this.type,
-    amount: this.amount,
     protocol: this.protocol,
     version: this.version,
-    type: this.type,
+    opcode: this.opcode,
+    description: this.getOpcodeDescription(),
+    noRules: this.noRules,
+    torrentHash: BufferUtil.isBuffer(this.torrentHash) ? this.torrentHash.toString('hex') : this.torrentHash,
+    sha2: BufferUtil.isBuffer(this.sha2) ? this.sha2.toString('hex') : this.sha2,
     multiSig: this.multiSig,
-    payments: this.script.payments()
+    payments: this.payments
   };
+  if (this.type === 'issuance') {
+    obj.assetId = this.assetId;
+    obj.amount = this.amount;
+    obj.divisibility = this.divisibility;
+    obj.lockStatus = this.lockStatus;
+    obj.aggregationPolicy = this.aggregationPolicy;
+    if (this.version === 0x03) {
+      obj.chainRules = this.chainRules;
+      obj.changeable = this.changeable;
+    }
+  }
+  return obj;
 };
 
 module.exports = Asset;
\ No newline at end of file
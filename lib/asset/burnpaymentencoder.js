@@ -10,10 +10,14 @@ function BurnPaymentEncoder(params) {
   if (!(this instanceof BurnPaymentEncoder)) {
     return new BurnPaymentEncoder(params);
   }
-  this.amount = params.amount;
-  this.output = params.output;
-  this.range = params.range;
-  this.burn = params.burn;
+  if (params) {
+    this.skip = params.skip;
+    this.percent = params.percent;
+    this.amount = params.amount;
+    this.output = params.output;
+    this.range = params.range;
+    this.burn = params.burn;
+  }
 }
 
 BurnPaymentEncoder.prototype.encode = function() {
@@ -66,14 +70,10 @@ BurnPaymentEncoder.prototype.encodeBulk = function(paymentsArray, isBurn) {
 
 BurnPaymentEncoder.prototype.decodeBulk = function(consume, paymentsArray) {
   paymentsArray = paymentsArray || [];
-  while (true) {
-    try {
-      paymentsArray.push(new BurnPaymentEncoder().decode(consume));
-      this.decodeBulk(consume, paymentsArray);
-    } catch (e) {
-      return paymentsArray;
-    }
+  while (consume.remaining()) {
+    paymentsArray.push(new BurnPaymentEncoder().decode(consume));
   }
+  return paymentsArray;
 }
 
 
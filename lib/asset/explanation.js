@@ -0,0 +1,243 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var Ledger = require('./ledger');
+
+/**
+ * Formats an amount of units in whole units of its asset, with thousands separators
+ *
+ * @param {Number} amount
+ * @param {Number=} divisibility
+ * @return {String}
+ */
+var formatAmount = function(amount, divisibility) {
+  divisibility = divisibility || 0;
+  var digits = _.padStart(String(amount), divisibility + 1, '0');
+  var whole = digits.slice(0, digits.length - divisibility).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  var fraction = digits.slice(digits.length - divisibility);
+  return fraction ? whole + '.' + fraction : whole;
+};
+
+/**
+ * Describes the units of an entry, either units of a known asset or, without
+ * the spent holdings, what the payment draws from its input
+ *
+ * @param {Object} entry
+ * @return {String}
+ */
+var describeUnits = function(entry) {
+  if (entry.assetId) {
+    return formatAmount(entry.amount, entry.divisibility) + ' of ' + entry.assetId;
+  }
+  if (entry.percent) {
+    return entry.amount + '% of the units left in input ' + entry.input;
+  }
+  return entry.amount + ' units from input ' + entry.input;
+};
+
+/**
+ * @param {Object} entry
+ * @return {String} the address an entry pays, or its output index
+ */
+var describeOutput = function(entry) {
+  return entry.address || 'output ' + entry.output;
+};
+
+/**
+ * Reads the metadata hashes of an instruction
+ *
+ * @param {Asset} asset
+ * @return {Object|undefined} the `sha2` and `torrentHash` in hex, when the instruction has any
+ */
+var readMetadata = function(asset) {
+  var hashes = _.pickBy({
+    sha2: asset && asset.sha2,
+    torrentHash: asset && asset.torrentHash
+  });
+  return _.isEmpty(hashes) ? undefined : _.mapValues(hashes, function(hash) {
+    return hash.toString('hex');
+  });
+};
+
+/**
+ * Reads the units an issuance creates
+ *
+ * @param {Ledger} ledger
+ * @return {Object|undefined}
+ */
+var readIssuance = function(ledger) {
+  if (!ledger.asset || ledger.asset.type !== 'issuance') {
+    return undefined;
+  }
+  return _.pick(ledger.asset, ['assetId', 'amount', 'divisibility', 'lockStatus', 'aggregationPolicy']);
+};
+
+/**
+ * Explains what the DigiAsset instruction of a transaction does, both as plain
+ * data and as a line of text for people:
+ *
+ * "issued 1,000.00 of La..., locked, aggregatable; sent 100.00 of La... to dgb1...;
+ * 900.00 of La... colored change to dgb1...; metadata hash ..."
+ *
+ * Given the asset holdings of the spent outputs, the instruction is replayed
+ * with `Ledger`, and every entry tells which asset it moves and how much of it.
+ * Without them, issuances are still replayed, and the payments of transfers and
+ * burns are listed as they are encoded, by input and amount.
+ *
+ * Outputs after the OP_RETURN are the colored change, and the ones before it
+ * are the recipients.
+ *
+ * @constructor
+ * @param {Transaction} transaction
+ * @param {Array=} inputs the asset holdings of each spent output, see `Ledger`
+ * @param {Network|String=} network the network of the addresses, livenet by default
+ */
+function Explanation(transaction, inputs, network) {
+  if (!(this instanceof Explanation)) {
+    return new Explanation(transaction, inputs, network);
+  }
+  $.checkArgument(transaction && transaction.inputs && transaction.outputs, 'Must provide a transaction');
+  var ledger = new Ledger(transaction, inputs);
+  var verified = transaction.verifyDigiAssets(inputs);
+  this.transaction = transaction;
+  this.network = network;
+  this.type = ledger.asset ? ledger.asset.type : undefined;
+  this.valid = verified === true;
+  this.error = this.valid ? undefined : verified;
+  this.issued = readIssuance(ledger);
+  this.metadata = readMetadata(ledger.asset);
+  this._list(ledger, !!inputs);
+}
+
+/**
+ * Lists what the recipients, the colored change and the burns receive
+ *
+ * @param {Ledger} ledger
+ * @param {Boolean} replayed whether the ledger knows the spent holdings
+ */
+Explanation.prototype._list = function(ledger, replayed) {
+  this.sent = [];
+  this.change = [];
+  this.burned = [];
+  if (replayed || this.issued) {
+    this._fromLedger(ledger);
+  } else if (ledger.asset) {
+    this._fromPayments(ledger.asset.payments);
+  }
+};
+
+/**
+ * Lists what an output receives, as a recipient or as the colored change
+ *
+ * @param {Number} index
+ * @param {Object} entry
+ */
+Explanation.prototype._add = function(index, entry) {
+  var dataIndex = _.findIndex(this.transaction.outputs, function(output) {
+    return output.script.isDataOut();
+  });
+  var address = this.transaction.outputs[index].script.toAddress(this.network);
+  entry = _.assign({ output: index }, address ? { address: address.toString() } : {}, entry);
+  if (dataIndex >= 0 && index > dataIndex) {
+    this.change.push(entry);
+  } else {
+    this.sent.push(entry);
+  }
+};
+
+/**
+ * Lists the holdings of each output after the ledger's replay
+ *
+ * @param {Ledger} ledger
+ */
+Explanation.prototype._fromLedger = function(ledger) {
+  var self = this;
+  var fields = ['assetId', 'amount', 'divisibility'];
+  _.each(ledger.outputs, function(holdings, index) {
+    _.each(holdings, function(holding) {
+      self._add(index, _.pick(holding, fields));
+    });
+  });
+  this.burned = _.map(ledger.burned, function(holding) {
+    return _.pick(holding, fields);
+  });
+};
+
+/**
+ * Lists the payments as they are encoded, a range payment once per output
+ *
+ * @param {Array} payments
+ */
+Explanation.prototype._fromPayments = function(payments) {
+  var self = this;
+  _.each(payments, function(payment) {
+    var entry = { input: payment.input, amount: payment.amount, percent: payment.percent };
+    if (payment.burn) {
+      self.burned.push(entry);
+      return;
+    }
+    _.each(_.range(payment.range ? 0 : payment.output, payment.output + 1), function(index) {
+      if (self.transaction.outputs[index]) {
+        self._add(index, _.clone(entry));
+      }
+    });
+  });
+};
+
+/**
+ * Returns a plain object with the explanation
+ *
+ * @return {Object}
+ */
+Explanation.prototype.toObject = Explanation.prototype.toJSON = function toObject() {
+  return _.omitBy({
+    txid: this.transaction.id,
+    type: this.type,
+    valid: this.valid,
+    error: this.error,
+    issued: this.issued,
+    sent: this.sent,
+    change: this.change,
+    burned: this.burned,
+    metadata: this.metadata,
+    text: this.toString()
+  }, _.isUndefined);
+};
+
+/**
+ * Returns the explanation as a line of text
+ *
+ * @return {String}
+ */
+Explanation.prototype.toString = function() {
+  var parts = this.valid ? [] : ['invalid: ' + this.error];
+  if (this.issued) {
+    parts.push('issued ' + formatAmount(this.issued.amount, this.issued.divisibility) + ' of ' + this.issued.assetId +
+      ', ' + (this.issued.lockStatus ? 'locked' : 'unlocked') + ', ' + this.issued.aggregationPolicy);
+  }
+  parts = parts.concat(_.map(this.sent, function(entry) {
+    return 'sent ' + describeUnits(entry) + ' to ' + describeOutput(entry);
+  }), _.map(this.change, function(entry) {
+    return describeUnits(entry) + ' colored change to ' + describeOutput(entry);
+  }), _.map(this.burned, function(entry) {
+    return 'burned ' + describeUnits(entry);
+  }));
+  if (this.metadata && this.metadata.sha2) {
+    parts.push('metadata hash ' + this.metadata.sha2);
+  }
+  if (this.metadata && this.metadata.torrentHash) {
+    parts.push('metadata torrent ' + this.metadata.torrentHash);
+  }
+  return parts.join('; ') || 'no DigiAsset instruction';
+};
+
+/**
+ * Provide an informative output when displaying this object in the console
+ * @returns string
+ */
+Explanation.prototype.inspect = function() {
+  return '<DigiAsset Explanation: ' + this.toString() + '>';
+};
+
+module.exports = Explanation;
@@ -1,7 +1,14 @@
 module.exports = require('./asset');
 
+module.exports.Airdrop = require('./airdrop');
 module.exports.BurnPaymentEncoder = require('./burnpaymentencoder');
+module.exports.Explanation = require('./explanation');
 module.exports.IssuanceEncoder = require('./issuanceencoder');
 module.exports.IssueFlagsEncoder = require('./issueflagsencoder');
+module.exports.Ledger = require('./ledger');
+module.exports.MetaFile = require('./metafile');
 module.exports.PaymentEncoder = require('./paymentencoder');
-module.exports.TransferEncoder = require('./transferencoder');
\ No newline at end of file
+module.exports.RuleEncoder = require('./ruleencoder');
+module.exports.Rules = require('./rules');
+module.exports.TransferEncoder = require('./transferencoder');
+module.exports.UtxoSelector = require('./utxoselector');
\ No newline at end of file
@@ -1,10 +1,11 @@
 'use strict';
 
 var $ = require('../util/preconditions');
+var errors = require('../errors');
 var assetUtils = require('../util/assets');
 var IssueFlagsEncoder = require('./issueflagsencoder.js');
 var PaymentEncoder = require('./paymentencoder');
-var sffc = require('sffc-encoder');
+var RuleEncoder = require('./ruleencoder');
 
 var OP_CODES = [
   new Buffer([0x00]), // wild-card to be defined
@@ -16,7 +17,16 @@ var OP_CODES = [
   new Buffer([0x06])  // No meta data (anyone can add rules and/or metadata  in the future)
 ];
 
+// version 3 issuances are written with the SHA2 of their metadata in OP_RETURN
+var V3_OP_CODES = {
+  noRules: new Buffer([0x01]),    // No rules
+  multiSig: new Buffer([0x02]),   // SHA2 in Pay-to-Script-Hash multi-sig output (1 out of 2), no rules
+  changeable: new Buffer([0x03]), // Rules that can be changed by a reissuance
+  locked: new Buffer([0x04])      // Rules that can never be changed
+};
+
 function IssuanceEncoder(params) {
+  /* jshint maxstatements: 20 */
   if (!(this instanceof IssuanceEncoder)) {
     return new IssuanceEncoder(params);
   }
@@ -30,32 +40,35 @@ function IssuanceEncoder(params) {
     this.payments = params.payments || [];
     this.torrentHash = params.torrentHash;
     this.sha2 = params.sha2;
-    this.payments = params.payments;
     this.noRules = params.noRules;
+    this.multiSig = params.multiSig;
+    this.opcode = params.opcode;
+    this.chainRules = params.chainRules || [];
+    this.changeable = params.changeable || false;
   }
 }
 
 IssuanceEncoder.prototype.encode = function(byteSize) {
   $.checkState(this.amount, 'Amount must be set');
-  $.checkState(this.lockStatus, 'lockStatus must be set');
+  $.checkState(typeof this.lockStatus === 'boolean', 'lockStatus must be set');
   $.checkState(this.aggregationPolicy, 'aggregationPolicy must be set');
   $.checkState(this.protocol, 'protocol must be set');
   $.checkState(this.version, 'version must be set');
+  assetUtils.checkVersion(this.version);
   var opcode;
   var hash = new Buffer(0);
   var protocolBuf = new Buffer(assetUtils.padLeadingZeros(this.protocol.toString(16), 2), 'hex');
   var versionBuf = new Buffer([this.version]);
   var issueHeader = Buffer.concat([protocolBuf, versionBuf]);
-  var amount = sffc.encode(this.amount);
-  var payments = new Buffer(0);
-  if (this.payments) {
-    var bulkEncoder = new PaymentEncoder();
-    payments = bulkEncoder.encodeBulk(this.payments);
-  }
+  var amount = assetUtils.encodeAmountByVersion(this.version, this.amount, this.divisibility);
+  var payments = new PaymentEncoder().encodeBulk(this.payments);
   var issueFlagsByte = new IssueFlagsEncoder({ divisibility: this.divisibility, lockStatus: this.lockStatus, aggregationPolicy: this.aggregationPolicy }).encode();
   var issueTail = Buffer.concat([amount, payments, issueFlagsByte]);
   var issueByteSize = issueHeader.length + issueTail.length + 1;
 
+  if (this.version === 0x03) {
+    return this._encodeVersion3(issueHeader, amount, Buffer.concat([payments, issueFlagsByte]), byteSize);
+  }
   if (issueByteSize > byteSize) throw new Error('Data code is bigger then the allowed byte size');
   if (!this.sha2) {
     if (this.torrentHash) {
@@ -83,6 +96,45 @@ IssuanceEncoder.prototype.encode = function(byteSize) {
   return { codeBuffer: Buffer.concat([issueHeader, opcode, hash, issueTail]), leftover: leftover };
 }
 
+/**
+ * Version 3 keeps the SHA2 of the metadata, the amount, the rules and the
+ * payments in OP_RETURN, with no torrent hash and no multisig output
+ */
+IssuanceEncoder.prototype._encodeVersion3 = function(issueHeader, amount, paymentsAndFlags, byteSize) {
+  if (!this.sha2) {
+    throw new Error('SHA2 of the metadata is missing');
+  }
+  var hasRules = this.changeable || this.chainRules.length > 0;
+  var opcode = !hasRules ? V3_OP_CODES.noRules : this.changeable ? V3_OP_CODES.changeable : V3_OP_CODES.locked;
+  var rules = hasRules ? new RuleEncoder({ rules: this.chainRules }).encode() : new Buffer(0);
+  var codeBuffer = Buffer.concat([issueHeader, opcode, this.sha2, amount, rules, paymentsAndFlags]);
+  if (codeBuffer.length > byteSize) {
+    throw new Error('Data code is bigger then the allowed byte size');
+  }
+  return { codeBuffer: codeBuffer, leftover: [] };
+};
+
+var decodeVersion3 = function(data, consume) {
+  if (data.opcode === V3_OP_CODES.noRules[0] || data.opcode === V3_OP_CODES.multiSig[0]) {
+    data.noRules = true;
+  } else if (data.opcode === V3_OP_CODES.changeable[0] || data.opcode === V3_OP_CODES.locked[0]) {
+    data.changeable = data.opcode === V3_OP_CODES.changeable[0];
+  } else {
+    throw new errors.Asset.UnrecognizedOpcode(assetUtils.padLeadingZeros(data.opcode.toString(16), 1));
+  }
+  if (data.opcode === V3_OP_CODES.multiSig[0]) {
+    data.multiSig.push({'index': 1, 'hashType': 'sha2'});
+  } else {
+    data.sha2 = consume(32);
+  }
+  data.amount = assetUtils.decodeAmountByVersion(data.version, consume, data.divisibility);
+  if (!data.noRules) {
+    data.chainRules = new RuleEncoder().decode(consume).rules;
+  }
+  data.payments = new PaymentEncoder().decodeBulk(consume);
+  return new IssuanceEncoder(data);
+};
+
 IssuanceEncoder.prototype.decode = function(op_code_buffer) {
   var data = {};
   if (!Buffer.isBuffer(op_code_buffer)) {
@@ -97,8 +149,14 @@ IssuanceEncoder.prototype.decode = function(op_code_buffer) {
   var consume = assetUtils.consumer(op_code_buffer.slice(0, byteSize - 1));
   data.protocol = parseInt(consume(2).toString('hex'), 16);
   data.version = parseInt(consume(1).toString('hex'), 16);
+  assetUtils.checkVersion(data.version);
   data.multiSig = [];
+  data.noRules = false;
   var opcode = consume(1);
+  data.opcode = opcode[0];
+  if (data.version === 0x03) {
+    return decodeVersion3(data, consume);
+  }
   if (opcode[0] === OP_CODES[1][0]) {
     data.torrentHash = consume(20);
     data.sha2 = consume(32);
@@ -112,10 +170,8 @@ IssuanceEncoder.prototype.decode = function(op_code_buffer) {
     data.torrentHash = consume(20);
   } else if (opcode[0] === OP_CODES[5][0]) {
     data.noRules = true;
-  } else if (opcode[0] === OP_CODES[6][0]) {
-    data.noRules = false;
-  } else {
-    throw new Error('Unrecognized Code');
+  } else if (opcode[0] !== OP_CODES[6][0]) {
+    throw new errors.Asset.UnrecognizedOpcode(opcode.toString('hex'));
   }
 
   data.amount = assetUtils.decodeAmountByVersion(data.version, consume, data.divisibility);
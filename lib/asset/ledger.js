@@ -0,0 +1,328 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var errors = require('../errors');
+
+var ASSET_FIELDS = ['assetId', 'amount', 'issueTxid', 'divisibility', 'lockStatus', 'aggregationPolicy'];
+
+/**
+ * Copies the asset holdings of the spent outputs so the ledger can consume
+ * them without touching the caller's data.
+ *
+ * @param {Array} inputs
+ * @param {Number} length
+ * @return {Array}
+ */
+var cloneInputs = function(inputs, length) {
+  return _.times(length, function(index) {
+    var assets = inputs && inputs[index];
+    if (assets && !_.isArray(assets)) {
+      assets = assets.assets;
+    }
+    return _.map(assets || [], function(asset) {
+      return _.pick(asset, ASSET_FIELDS);
+    });
+  });
+};
+
+/**
+ * Replays the DigiAsset instruction of a transaction over the assets held by
+ * the outputs it spends, and computes which assets each of its outputs holds.
+ *
+ * Payments are applied in order, each one drawing from the first asset left in
+ * its input. A range payment pays its amount to every output up to its own, and
+ * a percent payment draws a percent of the units left in the holding it starts
+ * on. Burn payments destroy what they draw, assets no payment touched flow to
+ * the last output, and an instruction that can't be decoded or applied moves
+ * every input asset to the last output instead. Units are only combined
+ * as their aggregation policy allows, so a payment drawing from holdings that
+ * can't be combined makes the instruction invalid.
+ *
+ * @constructor
+ * @param {Transaction} transaction
+ * @param {Array} inputs the asset holdings of each spent output, in input order.
+ *   Holdings look like `{assetId, amount, issueTxid, divisibility, lockStatus, aggregationPolicy}`,
+ *   either as an array or as the `assets` property of a utxo
+ */
+function Ledger(transaction, inputs) {
+  if (!(this instanceof Ledger)) {
+    return new Ledger(transaction, inputs);
+  }
+  $.checkArgument(transaction && transaction.inputs && transaction.outputs, 'Must provide a transaction');
+  this.transaction = transaction;
+  this.inputs = cloneInputs(inputs, transaction.inputs.length);
+  this.valid = true;
+  this.error = undefined;
+  try {
+    this.asset = transaction.getDigiAssets();
+  } catch (e) {
+    this.asset = null;
+    this.valid = false;
+    this.error = e.message;
+  }
+  this._process();
+}
+
+/**
+ * Tells whether two holdings can be combined into one. Units of an aggregatable
+ * asset always can, units of a hybrid asset only when they come from the same
+ * issuance, and units of a dispersed asset never.
+ *
+ * @param {Object} holding
+ * @param {Object} other
+ * @return {Boolean}
+ */
+Ledger.canAggregate = function(holding, other) {
+  var policy = holding.aggregationPolicy || 'aggregatable';
+  if (holding.assetId !== other.assetId || policy !== (other.aggregationPolicy || 'aggregatable')) {
+    return false;
+  }
+  if (policy === 'hybrid') {
+    return !!holding.issueTxid && holding.issueTxid === other.issueTxid;
+  }
+  return policy === 'aggregatable';
+};
+
+/**
+ * Returns the error for combining units of a holding against its aggregation policy
+ *
+ * @param {Object} holding
+ * @return {Error}
+ */
+Ledger.aggregationError = function(holding) {
+  if (holding.aggregationPolicy === 'hybrid') {
+    return new errors.Asset.HybridAggregation(holding.assetId);
+  }
+  return new errors.Asset.DispersedAggregation(holding.assetId);
+};
+
+/**
+ * Applies the instruction, falling back to the last output on failure
+ */
+Ledger.prototype._process = function() {
+  if (this.asset && this.asset.type === 'issuance') {
+    this._issue();
+  }
+  var original = _.cloneDeep(this.inputs);
+  this._reset();
+  if (!this.asset) {
+    this._transferLeftovers();
+    return;
+  }
+  try {
+    this._transfer(this.asset.payments);
+  } catch (e) {
+    this.valid = false;
+    this.error = e.message;
+    this.inputs = original;
+    this._reset();
+  }
+  this._transferLeftovers();
+};
+
+/**
+ * Empties the outputs and the burned units
+ */
+Ledger.prototype._reset = function() {
+  this.outputs = _.map(this.transaction.outputs, function() {
+    return [];
+  });
+  this.burned = [];
+};
+
+/**
+ * Puts the newly issued units in front of the first input's assets
+ */
+Ledger.prototype._issue = function() {
+  $.checkState(this.inputs.length, 'Issuance transaction has no inputs');
+  this.inputs[0].unshift({
+    assetId: this.asset.assetId,
+    amount: this.asset.amount,
+    issueTxid: this.transaction.id,
+    divisibility: this.asset.divisibility,
+    lockStatus: this.asset.lockStatus,
+    aggregationPolicy: this.asset.aggregationPolicy
+  });
+};
+
+/**
+ * Applies every payment of the instruction, in order
+ *
+ * @param {Array} payments decoded payments, with their input index
+ */
+Ledger.prototype._transfer = function(payments) {
+  var self = this;
+  var cursor = { input: 0, asset: 0 };
+  _.each(payments, function(payment, index) {
+    if (!payment.burn && payment.output >= self.outputs.length) {
+      throw new Error('Payment ' + index + ' pays to non-existent output ' + payment.output);
+    }
+    if (payment.input > cursor.input) {
+      cursor.input = payment.input;
+      cursor.asset = 0;
+    }
+    _.each(self._expand(payment, index, cursor), function(single) {
+      self._pay(single, index, cursor);
+    });
+  });
+};
+
+/**
+ * Resolves a payment into the plain payments it makes. A range payment pays its
+ * amount to every output from the first one up to its own, and a percent payment
+ * pays that percent of the units left in the holding at the cursor, rounded down.
+ *
+ * @param {Object} payment
+ * @param {Number} index
+ * @param {Object} cursor
+ * @return {Array}
+ */
+Ledger.prototype._expand = function(payment, index, cursor) {
+  var amount = payment.amount;
+  if (payment.percent) {
+    var holding = this._current(cursor);
+    if (amount > 100) {
+      throw new Error('Payment ' + index + ' pays more than 100 percent');
+    }
+    if (!holding) {
+      throw new Error('Payment ' + index + ' spends more than its inputs hold');
+    }
+    amount = Math.floor(holding.amount * amount / 100);
+  }
+  var outputs = payment.range ? _.range(payment.output + 1) : [payment.output];
+  return _.map(outputs, function(output) {
+    return { output: output, amount: amount, burn: payment.burn };
+  });
+};
+
+/**
+ * Draws the amount of a single payment from the inputs, starting at the cursor.
+ * A payment only continues over the next holding when both can be combined.
+ *
+ * @param {Object} payment
+ * @param {Number} index
+ * @param {Object} cursor
+ */
+Ledger.prototype._pay = function(payment, index, cursor) {
+  var remaining = payment.amount;
+  var previous;
+  while (remaining > 0) {
+    var holding = this._current(cursor);
+    if (!holding) {
+      throw new Error('Payment ' + index + ' spends more than its inputs hold');
+    }
+    if (previous && holding.assetId !== previous.assetId) {
+      throw new Error('Payment ' + index + ' spans more than one asset');
+    }
+    if (previous && !Ledger.canAggregate(previous, holding)) {
+      throw Ledger.aggregationError(holding);
+    }
+    previous = holding;
+    var amount = Math.min(remaining, holding.amount);
+    this._move(payment, holding, amount);
+    remaining -= amount;
+  }
+};
+
+/**
+ * Moves units out of a holding, into the payment's output or burned
+ *
+ * @param {Object} payment
+ * @param {Object} holding
+ * @param {Number} amount
+ */
+Ledger.prototype._move = function(payment, holding, amount) {
+  var moved = _.assign({}, holding, { amount: amount });
+  if (payment.burn) {
+    this.burned.push(moved);
+  } else {
+    this._credit(payment.output, moved);
+  }
+  holding.amount -= amount;
+};
+
+/**
+ * Finds the first holding with units left, moving the cursor past empty ones
+ *
+ * @param {Object} cursor
+ * @return {Object|undefined}
+ */
+Ledger.prototype._current = function(cursor) {
+  while (cursor.input < this.inputs.length) {
+    var holding = this.inputs[cursor.input][cursor.asset];
+    if (holding && holding.amount > 0) {
+      return holding;
+    }
+    if (holding) {
+      cursor.asset++;
+    } else {
+      cursor.input++;
+      cursor.asset = 0;
+    }
+  }
+};
+
+/**
+ * Adds units to an output, aggregating with the previous holding when the
+ * aggregation policy allows it
+ *
+ * @param {Number} outputIndex
+ * @param {Object} holding
+ */
+Ledger.prototype._credit = function(outputIndex, holding) {
+  var output = this.outputs[outputIndex];
+  var last = _.last(output);
+  if (last && Ledger.canAggregate(last, holding)) {
+    last.amount += holding.amount;
+    return;
+  }
+  output.push(holding);
+};
+
+/**
+ * Moves every unit no payment consumed to the last output
+ */
+Ledger.prototype._transferLeftovers = function() {
+  var self = this;
+  var lastOutput = this.outputs.length - 1;
+  _.each(this.inputs, function(assets) {
+    _.each(assets, function(holding) {
+      if (holding.amount > 0) {
+        $.checkState(lastOutput >= 0, 'Transaction has no output to receive leftover assets');
+        self._credit(lastOutput, _.clone(holding));
+        holding.amount = 0;
+      }
+    });
+  });
+};
+
+/**
+ * Returns the assets held by one output of the transaction
+ *
+ * @param {Number} index
+ * @return {Array}
+ */
+Ledger.prototype.getOutputAssets = function(index) {
+  return this.outputs[index] || [];
+};
+
+/**
+ * Returns a plain object with the result of the replay
+ *
+ * @return {Object}
+ */
+Ledger.prototype.toObject = Ledger.prototype.toJSON = function toObject() {
+  var obj = {
+    txid: this.transaction.id,
+    valid: this.valid,
+    outputs: _.cloneDeep(this.outputs),
+    burned: _.cloneDeep(this.burned)
+  };
+  if (this.error) {
+    obj.error = this.error;
+  }
+  return obj;
+};
+
+module.exports = Ledger;
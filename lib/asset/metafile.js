@@ -0,0 +1,127 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var BufferUtil = require('../util/buffer');
+var Hash = require('../crypto/hash');
+
+/**
+ * Bencodes strings, buffers, integers and dictionaries
+ *
+ * @param {*} value
+ * @return {Buffer}
+ */
+var bencode = function(value) {
+  if (BufferUtil.isBuffer(value)) {
+    return Buffer.concat([new Buffer(value.length + ':'), value]);
+  }
+  if (_.isString(value)) {
+    return bencode(new Buffer(value, 'utf8'));
+  }
+  if (_.isNumber(value)) {
+    return new Buffer('i' + value + 'e');
+  }
+  var parts = [new Buffer('d')];
+  _.each(_.keys(value).sort(), function(key) {
+    parts.push(bencode(key), bencode(value[key]));
+  });
+  parts.push(new Buffer('e'));
+  return Buffer.concat(parts);
+};
+
+/**
+ * The metadata file of a DigiAsset, as seeded to the metadata servers. Its
+ * SHA256 and the infohash of a single file torrent holding it are the hashes
+ * referenced by the asset's OP_RETURN. Both are computed like the
+ * digiasset-metadata-handler does, so they match the ones the servers return.
+ *
+ * @example
+ * ```javascript
+ * var metaFile = new MetaFile(asset.getMetaData());
+ * asset.setHash(metaFile.getTorrentHash(), metaFile.getSha2());
+ * ```
+ *
+ * @constructor
+ * @param {Object} data the metafile, like the one returned by `Asset.prototype.getMetaData`
+ * @param {String=} name the name of the file in the torrent, the SHA256 in hex with
+ * the `.dam` extension by default
+ */
+function MetaFile(data, name) {
+  if (!(this instanceof MetaFile)) {
+    return new MetaFile(data, name);
+  }
+  $.checkArgument(_.isPlainObject(data), 'Must provide the metafile object');
+  this.data = data;
+  this.name = name;
+}
+
+MetaFile.EXTENSION = '.dam';
+MetaFile.COMMENT = 'DigiAssets Metadata';
+MetaFile.CREATED_BY = 'DigiAssets-1.0.0';
+MetaFile.MIN_PIECE_LENGTH = 16384;
+MetaFile.MAX_PIECE_LENGTH = 4194304;
+
+/**
+ * Picks the piece length of the torrent like create-torrent does: the power of
+ * two between 16KiB and 4MiB closest to the length in KiB
+ *
+ * @param {Number} length the length of the file
+ * @return {Number}
+ */
+MetaFile.getPieceLength = function(length) {
+  var target = length / 1024;
+  var best = MetaFile.MIN_PIECE_LENGTH;
+  for (var size = best * 2; size <= MetaFile.MAX_PIECE_LENGTH; size *= 2) {
+    if (Math.abs(size - target) < Math.abs(best - target)) {
+      best = size;
+    }
+  }
+  return best;
+};
+
+/**
+ * Serializes the metafile as JSON, keeping the order of its keys
+ *
+ * @return {Buffer}
+ */
+MetaFile.prototype.toBuffer = function() {
+  return new Buffer(JSON.stringify(this.data), 'utf8');
+};
+
+/**
+ * @return {Buffer} the SHA256 of the serialized metafile
+ */
+MetaFile.prototype.getSha2 = function() {
+  return Hash.sha256(this.toBuffer());
+};
+
+/**
+ * Returns the info dictionary of a single file torrent holding the metafile
+ *
+ * @return {Object}
+ */
+MetaFile.prototype.getTorrentInfo = function() {
+  var buf = this.toBuffer();
+  var pieceLength = MetaFile.getPieceLength(buf.length);
+  var pieces = [];
+  for (var i = 0; i < buf.length; i += pieceLength) {
+    pieces.push(Hash.sha1(buf.slice(i, i + pieceLength)));
+  }
+  return {
+    comment: MetaFile.COMMENT,
+    'created by': MetaFile.CREATED_BY,
+    length: buf.length,
+    name: this.name || Hash.sha256(buf).toString('hex') + MetaFile.EXTENSION,
+    'piece length': pieceLength,
+    pieces: Buffer.concat(pieces)
+  };
+};
+
+/**
+ * @return {Buffer} the infohash (SHA1 of the bencoded info dictionary) of the torrent
+ */
+MetaFile.prototype.getTorrentHash = function() {
+  return Hash.sha1(bencode(this.getTorrentInfo()));
+};
+
+module.exports = MetaFile;
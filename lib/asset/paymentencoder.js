@@ -1,5 +1,6 @@
 'use strict';
 
+var _ = require('lodash');
 var $ = require('../util/preconditions');
 var assetUtils = require('../util/assets');
 var sffc = require('sffc-encoder');
@@ -40,7 +41,7 @@ PaymentEncoder.prototype.encode = function() {
 
 PaymentEncoder.prototype.decode = function(consume) {
   var flagsBuffer = consume(1)[0];
-  $.checkState(flagsBuffer, 'No flags found');
+  $.checkState(!_.isUndefined(flagsBuffer), 'No flags found');
   this.output = new Buffer([flagsBuffer & (~flagMask)]);
   this.flags = flagsBuffer & flagMask;
   this.skip = !!(this.flags & skipFlag);
@@ -66,15 +67,10 @@ PaymentEncoder.prototype.encodeBulk = function(paymentsArray) {
 
 PaymentEncoder.prototype.decodeBulk = function(consume, paymentsArray) {
   paymentsArray = paymentsArray || [];
-  while (true) {
-    try {
-      var decoded = new PaymentEncoder();
-      paymentsArray.push(decoded.decode(consume));
-      this.decodeBulk(consume, paymentsArray);
-    } catch (e) {
-      return paymentsArray;
-    }
-  };
+  while (consume.remaining()) {
+    paymentsArray.push(new PaymentEncoder().decode(consume));
+  }
+  return paymentsArray;
 }
 
 module.exports = PaymentEncoder;
\ No newline at end of file
@@ -0,0 +1,279 @@
+'use strict';
+
+var _ = require('lodash');
+var sffc = require('sffc-encoder');
+var errors = require('../errors');
+var assetUtils = require('../util/assets');
+
+var SIGNERS = 0x0;
+var ROYALTY = 0x1;
+var KYC_ALLOW = 0x2;
+var KYC_BAN = 0x3;
+var VOTE = 0x4;
+var DEFLATION = 0x5;
+var ROYALTY_IN_UNITS = 0x9;
+var END = 0xf;
+
+// a standard exchange rate is written as its index, with the first bit set
+var STANDARD_RATE = 0x80;
+
+// the characters of country codes, three of them packed in 16 bits
+var COUNTRY_CHARSET = '0123456789abcdefghijklmnopqrstuvwxyz#$&.';
+var COUNTRY_LIST_END = '...';
+
+// the bytes of a precision number, by the three bits it starts with
+var PRECISION_SIZES = [1, 2, 3, 4, 5, 6, 7, 7];
+
+var toBits = function(buf) {
+  return _.map(buf, function(byte) {
+    return _.padStart(byte.toString(2), 8, '0');
+  }).join('');
+};
+
+var fromBits = function(bits) {
+  var buf = new Buffer(bits.length / 8);
+  for (var i = 0; i < buf.length; i++) {
+    buf[i] = parseInt(bits.substr(i * 8, 8), 2);
+  }
+  return buf;
+};
+
+var integerBits = function(value, size) {
+  if (!_.isInteger(value) || value < 0 || value >= Math.pow(2, size)) {
+    throw new errors.Asset.InvalidEncoding('expected an integer of ' + size + ' bits, got ' + value);
+  }
+  return _.padStart(value.toString(2), size, '0');
+};
+
+var precisionBits = function(value) {
+  return toBits(sffc.encode(value));
+};
+
+/**
+ * Reads the bits of the rules, taking a byte from `consume` whenever more are needed
+ *
+ * @param {Function} consume
+ * @return {Function} reads a number of bits, as a string of 0 and 1
+ */
+var bitReader = function(consume) {
+  var bits = '';
+  return function(length) {
+    while (bits.length < length) {
+      bits += toBits(consume(1));
+    }
+    var result = bits.slice(0, length);
+    bits = bits.slice(length);
+    return result;
+  };
+};
+
+var readInteger = function(read, size) {
+  return parseInt(read(size), 2);
+};
+
+// numbers starting with a 0 bit, so that a leading 1 can flag something else
+var leadingZeroBits = function(value) {
+  var bits = precisionBits(value);
+  if (bits[0] !== '0') {
+    throw new errors.Asset.InvalidEncoding('expected a number starting with a 0 bit, got ' + value);
+  }
+  return bits;
+};
+
+var readPrecision = function(read, prefix) {
+  prefix = (prefix || '') + read(3 - (prefix || '').length);
+  var size = PRECISION_SIZES[parseInt(prefix, 2)];
+  var buf = fromBits(prefix + read(size * 8 - 3));
+  return sffc.decode(assetUtils.consumer(buf));
+};
+
+var encodeUnits = function(units) {
+  if (!_.isUndefined(units.output)) {
+    return leadingZeroBits(units.output);
+  }
+  if (!_.isInteger(units.rate) || units.rate < 0 || units.rate >= STANDARD_RATE) {
+    throw new errors.Asset.InvalidRule('royalty units ' + JSON.stringify(units));
+  }
+  return integerBits(STANDARD_RATE + units.rate, 8);
+};
+
+var decodeUnits = function(read) {
+  var first = read(1);
+  if (first === '0') {
+    return { output: readPrecision(read, first) };
+  }
+  return { rate: readInteger(read, 7) };
+};
+
+var countryBits = function(country) {
+  var chars = _.map(country.toLowerCase(), function(char) {
+    return COUNTRY_CHARSET.indexOf(char);
+  });
+  if (chars.length !== 3 || _.includes(chars, -1)) {
+    throw new errors.Asset.InvalidRule('country ' + country);
+  }
+  return integerBits(chars[0] * 1600 + chars[1] * 40 + chars[2], 16);
+};
+
+var readCountry = function(read) {
+  var value = readInteger(read, 16);
+  return COUNTRY_CHARSET[Math.floor(value / 1600)] + COUNTRY_CHARSET[Math.floor(value / 40) % 40] +
+    COUNTRY_CHARSET[value % 40];
+};
+
+var ENCODERS = {
+  signers: function(rule) {
+    var bits = integerBits(SIGNERS, 4) + precisionBits(rule.required) + _.map(rule.signers, function(signer) {
+      return leadingZeroBits(signer.output + 1) + precisionBits(signer.weight);
+    }).join('');
+    if (_.isUndefined(rule.output)) {
+      return bits + precisionBits(0);
+    }
+    return bits + '1' + leadingZeroBits(rule.output).slice(1) + precisionBits(rule.count);
+  },
+  royalty: function(rule) {
+    var bits = rule.units ? integerBits(ROYALTY_IN_UNITS, 4) + encodeUnits(rule.units) : integerBits(ROYALTY, 4);
+    return bits + precisionBits(rule.output) + precisionBits(rule.count);
+  },
+  kyc: function(rule) {
+    if (_.isArray(rule.allow) === _.isArray(rule.ban)) {
+      throw new errors.Asset.InvalidRule('kyc needs either countries to allow or to ban');
+    }
+    var countries = rule.allow || rule.ban;
+    return integerBits(rule.allow ? KYC_ALLOW : KYC_BAN, 4) + _.map(countries, countryBits).join('') +
+      countryBits(COUNTRY_LIST_END);
+  },
+  vote: function(rule) {
+    var output = _.isUndefined(rule.output) ? 0 : rule.output + 1;
+    return integerBits(VOTE, 4) + (rule.movable ? '1' : '0') + integerBits(rule.options || 0, 7) +
+      precisionBits(rule.expiry || 0) + precisionBits(output);
+  },
+  deflation: function(rule) {
+    return integerBits(DEFLATION, 4) + precisionBits(rule.amount);
+  }
+};
+
+var DECODERS = {};
+
+DECODERS[SIGNERS] = function(read) {
+  var rule = { type: 'signers', required: readPrecision(read), signers: [] };
+  var first = read(1);
+  while (first === '0') {
+    var output = readPrecision(read, first);
+    if (!output) {
+      return rule;
+    }
+    rule.signers.push({ output: output - 1, weight: readPrecision(read) });
+    first = read(1);
+  }
+  return _.assign(rule, { output: readPrecision(read, '0'), count: readPrecision(read) });
+};
+
+DECODERS[ROYALTY] = function(read) {
+  return { type: 'royalty', output: readPrecision(read), count: readPrecision(read) };
+};
+
+DECODERS[ROYALTY_IN_UNITS] = function(read) {
+  var units = decodeUnits(read);
+  return { type: 'royalty', units: units, output: readPrecision(read), count: readPrecision(read) };
+};
+
+DECODERS[KYC_ALLOW] = DECODERS[KYC_BAN] = function(read, code) {
+  var countries = [];
+  var country = readCountry(read);
+  while (country !== COUNTRY_LIST_END) {
+    countries.push(country.toUpperCase());
+    country = readCountry(read);
+  }
+  var rule = { type: 'kyc' };
+  rule[code === KYC_ALLOW ? 'allow' : 'ban'] = countries;
+  return rule;
+};
+
+DECODERS[VOTE] = function(read) {
+  var rule = { type: 'vote', movable: read(1) === '1', options: readInteger(read, 7), expiry: readPrecision(read) };
+  var output = readPrecision(read);
+  if (output) {
+    rule.output = output - 1;
+  }
+  return rule;
+};
+
+DECODERS[DEFLATION] = function(read) {
+  return { type: 'deflation', amount: readPrecision(read) };
+};
+
+/**
+ * The rules a version 3 issuance carries in its OP_RETURN. Each rule starts
+ * with a 4 bit code and the numbers that follow are not aligned on bytes, so
+ * the rules are written as bits, ended by the code 0xf and padded with ones.
+ *
+ * Rules are plain objects:
+ * - `{type: 'signers', required, signers, output, count}`, the transfers must be
+ *   signed by addresses weighing `required` in all. `signers` are like
+ *   `{output, weight}`, and the `count` outputs starting at `output` add signers
+ *   weighing their value less 600 satoshis
+ * - `{type: 'royalty', output, count, units}`, the `count` outputs starting at `output`
+ *   pay the royalties, in DigiByte or in the `units` of an exchange rate: a
+ *   standard one like `{rate: 1}`, see `RuleEncoder.EXCHANGE_RATES`, or the one
+ *   published to the address of `{output}`
+ * - `{type: 'kyc', allow}` or `{type: 'kyc', ban}`, only KYC verified addresses
+ *   of the allowed countries, or not of the banned ones, like `['CAN']`, can
+ *   receive the asset. An empty ban list lets any verified address receive it.
+ * - `{type: 'vote', movable, options, expiry, output}`, the asset can only be
+ *   sent to the `options` vote addresses, the standard ones or the outputs
+ *   starting at `output`, and can go back to any address when `movable`. It
+ *   can't move after `expiry`, a block height or a time in milliseconds. An
+ *   expiry with no options is the expiry of the asset.
+ * - `{type: 'deflation', amount}`, the units burned by every transfer
+ *
+ * @constructor
+ * @param {Object=} params
+ * @param {Array=} params.rules
+ */
+function RuleEncoder(params) {
+  if (!(this instanceof RuleEncoder)) {
+    return new RuleEncoder(params);
+  }
+  this.rules = (params && params.rules) || [];
+}
+
+// the exchange rates a royalty can be paid in by their index, each published
+// by an address as the value of its output at the given index
+var FIAT = 'dgb1qunxh378eltj2jrwza5sj9grvu5xud43vqvudwh';
+var CRYPTO = 'dgb1qlk3hldeynl3prqw259u8gv0jh7w5nwppxlvt3v';
+RuleEncoder.EXCHANGE_RATES = _.map([
+  'CAD', 'USD', 'EUR', 'GBP', 'AUD', 'JPY', 'CNY', 'TRY', 'BRL', 'CHF',
+  'BTC', 'ETH', 'LTC', 'DCR', 'ZIL', 'RVN', 'XVG', 'RDD', 'NXS', 'POT'
+], function(name, rate) {
+  return { name: name, address: rate < 10 ? FIAT : CRYPTO, index: rate % 10 };
+});
+
+RuleEncoder.prototype.encode = function() {
+  var bits = _.map(this.rules, function(rule) {
+    if (!ENCODERS[rule.type]) {
+      throw new errors.Asset.InvalidRule(rule.type);
+    }
+    return ENCODERS[rule.type](rule);
+  }).join('') + integerBits(END, 4);
+  while (bits.length % 8) {
+    bits += '1';
+  }
+  return fromBits(bits);
+};
+
+RuleEncoder.prototype.decode = function(consume) {
+  var read = bitReader(consume);
+  var rules = [];
+  var code = readInteger(read, 4);
+  while (code !== END) {
+    if (!DECODERS[code]) {
+      throw new errors.Asset.InvalidRule(code.toString(16));
+    }
+    rules.push(DECODERS[code](read, code));
+    code = readInteger(read, 4);
+  }
+  return new RuleEncoder({ rules: rules });
+};
+
+module.exports = RuleEncoder;
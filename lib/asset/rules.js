@@ -0,0 +1,424 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var errors = require('../errors');
+var Address = require('../address');
+var Ledger = require('./ledger');
+var Script = require('../script');
+
+var ROYALTY = 'royalty';
+var EXPIRY = 'expiry';
+var KYC = 'kyc';
+var VOTE = 'vote';
+var FEE = 'fee';
+var HOLDERS = 'holders';
+
+/**
+ * @param {Address|String} address
+ * @return {String} the hex of the output script paying to the address
+ */
+var toScriptHex = function(address) {
+  return Script.fromAddress(address).toHex();
+};
+
+/**
+ * Sums the satoshis of the outputs paying to an address
+ *
+ * @param {Object} transfer
+ * @param {String} address
+ * @return {Number}
+ */
+var satoshisPaidTo = function(transfer, address) {
+  var script = toScriptHex(address);
+  return _.sumBy(transfer.transaction.outputs, function(output) {
+    return output.script.toHex() === script ? output.satoshis : 0;
+  });
+};
+
+/**
+ * Sums the units of an asset the outputs paying to an address receive
+ *
+ * @param {Object} transfer
+ * @param {String} address
+ * @param {String} assetId
+ * @return {Number}
+ */
+var unitsPaidTo = function(transfer, address, assetId) {
+  var script = toScriptHex(address);
+  return _.sum(_.map(transfer.transaction.outputs, function(output, index) {
+    if (output.script.toHex() !== script) {
+      return 0;
+    }
+    return _.sumBy(_.filter(transfer.ledger.getOutputAssets(index), { assetId: assetId }), 'amount');
+  }));
+};
+
+/**
+ * Checks the current block height against a rule
+ *
+ * @param {Number} height the block height the rule ends at
+ * @param {Object} options
+ * @param {String} message
+ * @return {String|undefined}
+ */
+var checkHeight = function(height, options, message) {
+  if (!_.isNumber(options.height)) {
+    return 'The ' + message + ' rule needs the current block height';
+  }
+  if (options.height >= height) {
+    return message + ' at block ' + height;
+  }
+};
+
+var VERIFIERS = {};
+
+VERIFIERS[ROYALTY] = function(rule, transfer) {
+  var required = rule.amount * transfer.units;
+  if (satoshisPaidTo(transfer, rule.address) < required) {
+    return 'Royalty of ' + required + ' satoshis to ' + rule.address + ' is not paid';
+  }
+};
+
+VERIFIERS[FEE] = function(rule, transfer) {
+  var paid = rule.assetId ?
+    unitsPaidTo(transfer, rule.address, rule.assetId) : satoshisPaidTo(transfer, rule.address);
+  if (paid < rule.amount) {
+    return 'Fee of ' + rule.amount + (rule.assetId ? ' units of ' + rule.assetId : ' satoshis') +
+      ' to ' + rule.address + ' is not paid';
+  }
+};
+
+VERIFIERS[EXPIRY] = function(rule, transfer, options) {
+  if (!_.isUndefined(rule.height)) {
+    return checkHeight(rule.height, options, 'Asset expired');
+  }
+  var time = options.time || Math.floor(Date.now() / 1000);
+  if (time >= rule.time) {
+    return 'Asset expired at time ' + rule.time;
+  }
+};
+
+VERIFIERS[KYC] = function(rule, transfer, options) {
+  var countries = {};
+  _.each(options.countries, function(country, address) {
+    countries[toScriptHex(address)] = country;
+  });
+  var failed = _.find(transfer.recipients, function(recipient) {
+    var country = countries[recipient.script];
+    return !country || (rule.allow && !_.includes(rule.allow, country)) || _.includes(rule.ban, country);
+  });
+  if (failed) {
+    return 'Output ' + failed.index + ' is not KYC verified in an allowed country';
+  }
+};
+
+VERIFIERS[VOTE] = function(rule, transfer, options) {
+  var scripts = _.map(rule.addresses, toScriptHex);
+  var failed = _.find(transfer.recipients, function(recipient) {
+    return !_.includes(scripts, recipient.script);
+  });
+  if (failed) {
+    return 'Output ' + failed.index + ' is not a vote option';
+  }
+  if (!_.isUndefined(rule.cutoff) && transfer.recipients.length) {
+    return checkHeight(rule.cutoff, options, 'Voting closed');
+  }
+};
+
+VERIFIERS[HOLDERS] = function(rule, transfer) {
+  var scripts = _.map(rule.addresses, toScriptHex);
+  var failed = _.find(transfer.recipients, function(recipient) {
+    return !_.includes(scripts, recipient.script);
+  });
+  if (failed) {
+    return 'Output ' + failed.index + ' is not allowed to hold the asset';
+  }
+};
+
+/**
+ * Finds who receives an asset in a transfer. Outputs after the OP_RETURN are
+ * the colored change and are not recipients, while the ones before it are,
+ * even when they pay back to a spent script.
+ *
+ * @param {String} assetId
+ * @param {Transaction} transaction
+ * @param {Array} inputs the asset holdings of each spent output
+ * @return {Object}
+ */
+var getTransfer = function(assetId, transaction, inputs) {
+  var ledger = new Ledger(transaction, inputs);
+  var dataIndex = _.findIndex(transaction.outputs, function(output) {
+    return output.script.isDataOut();
+  });
+  var recipients = [];
+  _.each(transaction.outputs, function(output, index) {
+    var amount = _.sumBy(_.filter(ledger.getOutputAssets(index), { assetId: assetId }), 'amount');
+    if (amount && (dataIndex < 0 || index < dataIndex)) {
+      recipients.push({ index: index, script: output.script.toHex(), amount: amount });
+    }
+  });
+  return {
+    transaction: transaction,
+    ledger: ledger,
+    spends: _.some(ledger.inputs.concat(ledger.outputs), function(holdings) {
+      return _.some(holdings, { assetId: assetId });
+    }),
+    recipients: recipients,
+    units: _.sumBy(recipients, 'amount')
+  };
+};
+
+/**
+ * The rules of a DigiAsset, as kept in its metadata. Rules are plain objects
+ * with a `type`, created with the builders like `Rules.royalty`.
+ *
+ * @example
+ * ```javascript
+ * var rules = new Rules([
+ *   Rules.royalty('DHUdu2DMUUXAErkgx3v3v3cdDcFYxYiSXy', 1000),
+ *   Rules.expiry({ height: 15000000 })
+ * ]);
+ * var result = rules.verify(assetId, transaction, inputs, { height: 14000000 });
+ * ```
+ *
+ * The rules published in the metadata of existing assets, with `fees`,
+ * `expiration` and `holders`, are read too, and the entries that can't be
+ * read are listed in `skipped`.
+ *
+ * @constructor
+ * @param {Array|Object=} rules
+ */
+function Rules(rules) {
+  if (!(this instanceof Rules)) {
+    return new Rules(rules);
+  }
+  this.rules = [];
+  this.skipped = [];
+  if (_.isPlainObject(rules)) {
+    rules = Rules.fromMetadata(rules, this.skipped);
+  }
+  _.each(rules, this.add.bind(this));
+}
+
+Rules.ROYALTY = ROYALTY;
+Rules.EXPIRY = EXPIRY;
+Rules.KYC = KYC;
+Rules.VOTE = VOTE;
+Rules.FEE = FEE;
+Rules.HOLDERS = HOLDERS;
+
+/**
+ * A royalty paid to an address for every unit transferred
+ *
+ * @param {Address|String} address
+ * @param {Number} amount satoshis for each unit transferred
+ * @return {Object}
+ */
+Rules.royalty = function(address, amount) {
+  $.checkArgument(_.isInteger(amount) && amount > 0, 'amount', 'Royalty must be a positive number of satoshis');
+  return { type: ROYALTY, address: new Address(address).toString(), amount: amount };
+};
+
+/**
+ * A fee paid to an address on every transfer, in satoshis or in units of an asset
+ *
+ * @param {Address|String} address
+ * @param {Number} amount
+ * @param {String=} assetId the asset to pay the fee with, DigiByte by default
+ * @return {Object}
+ */
+Rules.fee = function(address, amount, assetId) {
+  $.checkArgument(_.isInteger(amount) && amount > 0, 'amount', 'Fee must be a positive amount');
+  var rule = { type: FEE, address: new Address(address).toString(), amount: amount };
+  if (assetId) {
+    rule.assetId = assetId;
+  }
+  return rule;
+};
+
+/**
+ * Makes the asset impossible to transfer from a block height or a time on
+ *
+ * @param {Object} options
+ * @param {Number=} options.height
+ * @param {Date|Number=} options.time a date, or a unix timestamp in seconds
+ * @return {Object}
+ */
+Rules.expiry = function(options) {
+  $.checkArgument(options && (_.isUndefined(options.height) !== _.isUndefined(options.time)),
+    'Expiry needs either a block height or a time');
+  if (_.isNumber(options.height)) {
+    return { type: EXPIRY, height: options.height };
+  }
+  var time = _.isDate(options.time) ? Math.floor(options.time.getTime() / 1000) : options.time;
+  $.checkArgument(_.isNumber(time), 'time', 'Expiry time must be a date or a unix timestamp');
+  return { type: EXPIRY, time: time };
+};
+
+/**
+ * Only lets KYC verified addresses receive the asset, optionally restricted
+ * to some countries
+ *
+ * @param {Object=} options
+ * @param {Array=} options.allow country codes the recipients must be verified in
+ * @param {Array=} options.ban country codes the recipients can't be verified in
+ * @return {Object}
+ */
+Rules.kyc = function(options) {
+  options = options || {};
+  $.checkArgument(!(options.allow && options.ban), 'KYC rule can either allow or ban countries');
+  var rule = { type: KYC };
+  if (options.allow) {
+    rule.allow = options.allow;
+  }
+  if (options.ban) {
+    rule.ban = options.ban;
+  }
+  return rule;
+};
+
+/**
+ * Only lets the asset be sent to the addresses of the vote options
+ *
+ * @param {Array} addresses one address for each option
+ * @param {Number=} cutoff the block height the vote closes at
+ * @return {Object}
+ */
+Rules.vote = function(addresses, cutoff) {
+  $.checkArgument(_.isArray(addresses) && addresses.length, 'Vote needs the addresses of its options');
+  var rule = {
+    type: VOTE,
+    addresses: _.map(addresses, function(address) {
+      return new Address(address).toString();
+    })
+  };
+  if (!_.isUndefined(cutoff)) {
+    rule.cutoff = cutoff;
+  }
+  return rule;
+};
+
+/**
+ * Only lets the asset be held by some addresses
+ *
+ * @param {Array} addresses
+ * @return {Object}
+ */
+Rules.holders = function(addresses) {
+  $.checkArgument(_.isArray(addresses) && addresses.length, 'Holders rule needs the allowed addresses');
+  return {
+    type: HOLDERS,
+    addresses: _.map(addresses, function(address) {
+      return new Address(address).toString();
+    })
+  };
+};
+
+/**
+ * Builds one of the published rules, leaving it out when it can't be read
+ *
+ * @param {Array} skipped receives the entries that can't be read, with the reason
+ * @param {Object} entry
+ * @param {Function} build
+ * @return {Object|undefined}
+ */
+var readPublished = function(skipped, entry, build) {
+  try {
+    return build(entry);
+  } catch (e) {
+    skipped.push({ entry: entry, reason: e.message });
+  }
+};
+
+/**
+ * Reads the rules in the format published in the metadata of DigiAssets:
+ * `{ fees: { items: [{ address, value, assetId }] }, expiration: { validUntil },
+ * holders: [{ address }] }`, with `validUntil` in milliseconds. Minters only
+ * concern reissuances and are not checked on transfers. An entry that can't
+ * be read, like a fee that isn't a whole number of satoshis, is left out and
+ * added to `skipped` instead of failing the other rules.
+ *
+ * @param {Object} rules
+ * @param {Array=} skipped receives `{entry, reason}` for every entry left out
+ * @return {Array} the rules, as taken by `Rules`
+ */
+Rules.fromMetadata = function(rules, skipped) {
+  skipped = skipped || [];
+  var result = _.map(rules.fees && rules.fees.items, function(item) {
+    return readPublished(skipped, item, function() {
+      return Rules.fee(item.address, Number(item.value), item.assetId);
+    });
+  });
+  if (rules.expiration && !_.isUndefined(rules.expiration.validUntil)) {
+    result.push(readPublished(skipped, rules.expiration, function(expiration) {
+      return Rules.expiry({ time: new Date(expiration.validUntil) });
+    }));
+  }
+  if (!_.isEmpty(rules.holders)) {
+    result.push(readPublished(skipped, rules.holders, function(holders) {
+      return Rules.holders(_.map(holders, 'address'));
+    }));
+  }
+  return _.compact(result);
+};
+
+/**
+ * Deserialize Rules from the array kept in the metadata, or from the rules
+ * published in the metadata of existing assets
+ *
+ * @param {Array|Object} rules
+ * @return {Rules}
+ */
+Rules.fromObject = function(rules) {
+  return new Rules(rules);
+};
+
+/**
+ * Adds a rule
+ *
+ * @param {Object} rule
+ * @return {Rules} this, for chaining
+ */
+Rules.prototype.add = function(rule) {
+  if (!rule || !VERIFIERS[rule.type]) {
+    throw new errors.Asset.InvalidRule(rule && rule.type);
+  }
+  this.rules.push(_.cloneDeep(rule));
+  return this;
+};
+
+/**
+ * Checks a transfer against the rules of an asset it moves
+ *
+ * @param {String} assetId
+ * @param {Transaction} transaction
+ * @param {Array} inputs the asset holdings of each spent output, as taken by the Ledger
+ * @param {Object=} options
+ * @param {Number=} options.height the current block height
+ * @param {Number=} options.time the current unix time in seconds, now by default
+ * @param {Object=} options.countries the KYC country of the recipients, by address
+ * @return {Boolean|String} true, or the reason the transfer breaks a rule
+ */
+Rules.prototype.verify = function(assetId, transaction, inputs, options) {
+  options = options || {};
+  var transfer = getTransfer(assetId, transaction, inputs);
+  if (!transfer.spends) {
+    return true;
+  }
+  var reason;
+  _.find(this.rules, function(rule) {
+    reason = VERIFIERS[rule.type](rule, transfer, options);
+    return reason;
+  });
+  return reason || true;
+};
+
+/**
+ * @return {Array} the rules, as kept in the metadata
+ */
+Rules.prototype.toObject = Rules.prototype.toJSON = function toObject() {
+  return _.cloneDeep(this.rules);
+};
+
+module.exports = Rules;
@@ -1,6 +1,7 @@
 'use strict';
 
 var $ = require('../util/preconditions');
+var errors = require('../errors');
 var assetUtils = require('../util/assets');
 var BurnPaymentEncoder = require('./burnpaymentencoder');
 var PaymentEncoder = require('./paymentencoder');
@@ -29,18 +30,23 @@ function TransferEncoder(params) {
   if (!(this instanceof TransferEncoder)) {
     return new TransferEncoder(params);
   }
-  this.payments = params.payments;
-  this.type = params.type;
-  this.protocol = params.protocol;
-  this.version = params.version;
-  this.sha2 = params.sha2;
-  this.torrentHash = params.torrentHash;
-  this.noRules = params.noRules;
-  this.output = params.output;
+  if (params) {
+    this.payments = params.payments;
+    this.type = params.type;
+    this.protocol = params.protocol;
+    this.version = params.version;
+    this.sha2 = params.sha2;
+    this.torrentHash = params.torrentHash;
+    this.noRules = params.noRules;
+    this.output = params.output;
+    this.multiSig = params.multiSig;
+    this.opcode = params.opcode;
+  }
 }
 
 TransferEncoder.prototype.encode = function(byteSize) {
   $.checkState(this.payments, 'Missing Data');
+  assetUtils.checkVersion(this.version);
   var opcode
   var OP_CODES = this.type === 'burn' ? BURN_OP_CODES : TRANSFER_OP_CODES;
   var paymentEncoder = this.type === 'burn' ? BurnPaymentEncoder : PaymentEncoder;
@@ -52,6 +58,10 @@ TransferEncoder.prototype.encode = function(byteSize) {
   var issueByteSize = transferHeader.length + payments.length + 1;
 
   if (issueByteSize > byteSize) throw new Error('Data code is bigger then the allowed byte size');
+  if (this.version === 0x03) {
+    // version 3 transfers and burns carry no metadata hashes
+    return { codeBuffer: Buffer.concat([transferHeader, OP_CODES[5], payments]), leftover: [] };
+  }
   if (!this.sha2) {
     if (this.torrentHash) {
       opcode = this.noRules ? OP_CODES[4] : OP_CODES[3];
@@ -84,15 +94,21 @@ TransferEncoder.prototype.decode = function(op_code_buffer) {
   var consume = assetUtils.consumer(op_code_buffer);
   data.protocol = parseInt(consume(2).toString('hex'), 16);
   data.version = parseInt(consume(1).toString('hex'), 16);
+  assetUtils.checkVersion(data.version);
   data.multiSig = [];
+  data.noRules = false;
   var opcode = consume(1);
+  data.opcode = opcode[0];
   var paymentEncoder;
   if ((opcode[0] & TYPE_MASK) === TRANSFER_MASK) {
     paymentEncoder = PaymentEncoder;
   } else if ((opcode[0] & TYPE_MASK) === BURN_MASK) {
     paymentEncoder = BurnPaymentEncoder;
   } else {
-    throw new Error('Unrecognized Code');
+    throw new errors.Asset.UnrecognizedOpcode(opcode.toString('hex'));
+  }
+  if (data.version === 0x03 && opcode[0] !== TRANSFER_OP_CODES[5][0] && opcode[0] !== BURN_OP_CODES[5][0]) {
+    throw new errors.Asset.UnrecognizedOpcode(opcode.toString('hex'));
   }
 
   if (opcode[0] === TRANSFER_OP_CODES[0][0] || opcode[0] === BURN_OP_CODES[0][0]) {
@@ -106,13 +122,11 @@ TransferEncoder.prototype.decode = function(op_code_buffer) {
     data.multiSig.push({'index': 2, 'hashType': 'torrentHash'});
   } else if (opcode[0] === TRANSFER_OP_CODES[3][0] || opcode[0] === BURN_OP_CODES[3][0]) {
     data.torrentHash = consume(20);
-    data.noRules = false;
   } else if (opcode[0] === TRANSFER_OP_CODES[4][0] || opcode[0] === BURN_OP_CODES[4][0]) {
     data.torrentHash = consume(20);
     data.noRules = true;
-  } else if (opcode[0] === TRANSFER_OP_CODES[5][0] || opcode[0] === BURN_OP_CODES[5][0]) {
-  } else {
-    throw new Error('Unrecognized Code');
+  } else if (opcode[0] !== TRANSFER_OP_CODES[5][0] && opcode[0] !== BURN_OP_CODES[5][0]) {
+    throw new errors.Asset.UnrecognizedOpcode(opcode.toString('hex'));
   }
   data.payments = new paymentEncoder().decodeBulk(consume);
 
@@ -0,0 +1,106 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+
+/**
+ * Orders the utxos by the amount they hold, largest first
+ *
+ * @param {Array} utxos
+ * @param {Function} amountOf
+ * @return {Array}
+ */
+var largestFirst = function(utxos, amountOf) {
+  return _.sortBy(utxos, function(utxo) {
+    return -amountOf(utxo);
+  });
+};
+
+/**
+ * Spends a single utxo when one covers the amount, preferring an exact match
+ * and then the smallest, and the largest utxos first otherwise
+ */
+var minimizeInputs = function(utxos, amount, amountOf) {
+  var ordered = largestFirst(utxos, amountOf);
+  var covering = _.filter(ordered, function(utxo) {
+    return amountOf(utxo) >= amount;
+  });
+  var best = _.find(covering, function(utxo) {
+    return amountOf(utxo) === amount;
+  }) || _.last(covering);
+  return best ? [best].concat(_.without(ordered, best)) : ordered;
+};
+
+/**
+ * Spends the smallest utxos first, to merge dust into fewer outputs
+ */
+var consolidateDust = function(utxos, amount, amountOf) {
+  return _.sortBy(utxos, amountOf);
+};
+
+/**
+ * Spends the utxos holding a single asset before the ones holding several,
+ * so fewer unrelated assets move to the change
+ */
+var preferSingleAsset = function(utxos, amount, amountOf) {
+  var groups = _.partition(utxos, function(utxo) {
+    return _.uniqBy(utxo.assets, 'assetId').length <= 1;
+  });
+  return minimizeInputs(groups[0], amount, amountOf).concat(minimizeInputs(groups[1], amount, amountOf));
+};
+
+/**
+ * Chooses the utxos to spend in an asset transaction, either the ones holding
+ * an asset or plain DigiByte ones. A strategy orders the candidate utxos, and
+ * they are spent in that order until they cover the amount.
+ *
+ * @example
+ * ```javascript
+ * var selector = new UtxoSelector('consolidateDust');
+ * var selection = selector.select(utxos, 5000, function(utxo) { return utxo.value; });
+ * ```
+ *
+ * @constructor
+ * @param {String|Function=} strategy the name of a built-in strategy, `minimizeInputs`
+ *   by default, or a `function(utxos, amount, amountOf)` returning the utxos in the order
+ *   to spend them
+ */
+function UtxoSelector(strategy) {
+  if (!(this instanceof UtxoSelector)) {
+    return new UtxoSelector(strategy);
+  }
+  this.strategy = _.isFunction(strategy) ? strategy : UtxoSelector.STRATEGIES[strategy || 'minimizeInputs'];
+  $.checkArgument(_.isFunction(this.strategy), 'strategy', 'Unknown utxo selection strategy: ' + strategy);
+}
+
+UtxoSelector.STRATEGIES = {
+  minimizeInputs: minimizeInputs,
+  consolidateDust: consolidateDust,
+  preferSingleAsset: preferSingleAsset
+};
+
+/**
+ * Selects utxos covering an amount
+ *
+ * @param {Array} utxos the candidates
+ * @param {Number} amount
+ * @param {Function} amountOf returns the amount a utxo holds, satoshis or units of an asset
+ * @return {Object} the selected `utxos`, and the `amount` they hold, less than asked when
+ *   the candidates don't cover it
+ */
+UtxoSelector.prototype.select = function(utxos, amount, amountOf) {
+  var selected = [];
+  var total = 0;
+  _.each(this.strategy(utxos, amount, amountOf), function(utxo) {
+    if (total >= amount) {
+      return false;
+    }
+    if (_.includes(utxos, utxo) && !_.includes(selected, utxo)) {
+      selected.push(utxo);
+      total += amountOf(utxo);
+    }
+  });
+  return { utxos: selected, amount: total };
+};
+
+module.exports = UtxoSelector;
@@ -250,6 +250,38 @@ Block.prototype.validMerkleRoot = function validMerkleRoot() {
   return true;
 };
 
+/**
+ * Finds every DigiAsset issuance, transfer and burn in the block, in the order
+ * of its transactions. An instruction that can't be decoded is still listed,
+ * with the reason in `error`, since its transaction moves every asset it spends
+ * to its last output.
+ * @returns {Array} - One operation per transaction with a DigiAsset instruction, like
+ *   `{txid, index, type, asset, assetId}`, the asset ID being derived for issuances only
+ */
+Block.prototype.getDigiAssetOperations = function getDigiAssetOperations() {
+  var Asset = require('../asset');
+  var operations = [];
+  _.each(this.transactions, function(transaction, index) {
+    var operation = { txid: transaction.id, index: index };
+    try {
+      operation.asset = Asset.decode(transaction);
+    } catch (e) {
+      operation.asset = null;
+      operation.error = e.message;
+    }
+    if (operation.asset) {
+      operation.type = operation.asset.type;
+    }
+    if (operation.type === 'issuance') {
+      operation.assetId = operation.asset.assetId;
+    }
+    if (operation.asset || operation.error) {
+      operations.push(operation);
+    }
+  });
+  return operations;
+};
+
 /**
  * @returns {Buffer} - The little endian hash buffer of the header
  */
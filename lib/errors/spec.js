@@ -44,6 +44,55 @@ module.exports = [{
     'name': 'InvalidRate',
     'message': 'Invalid exchange rate: {0}'
   }]
+}, {
+  name: 'Asset',
+  message: 'Internal Error on Asset {0}',
+  errors: [{
+    name: 'InvalidEncoding',
+    message: 'Invalid DigiAsset encoding: {0}'
+  }, {
+    name: 'UnrecognizedOpcode',
+    message: 'Unrecognized DigiAsset opcode: {0}'
+  }, {
+    name: 'UnsupportedVersion',
+    message: 'Unsupported DigiAsset protocol version: {0}'
+  }, {
+    name: 'MissingHashOutput',
+    message: 'Missing the multisig output holding the {0} hash'
+  }, {
+    name: 'NotEnoughFunds',
+    message: 'Not enough funds, missing {0} satoshis'
+  }, {
+    name: 'InvalidAssetId',
+    message: 'Invalid DigiAsset asset ID: {0}'
+  }, {
+    name: 'LockedAsset',
+    message: 'Asset {0} was issued locked and can\'t be reissued'
+  }, {
+    name: 'InvalidReissuanceInput',
+    message: 'A reissuance must be funded from the issue address {0}'
+  }, {
+    name: 'UnknownIssuanceInput',
+    message: 'Can\'t tell the output spent by the issuance input {0}'
+  }, {
+    name: 'AssetIdMismatch',
+    message: 'Reissuance produces asset ID {0} instead of {1}'
+  }, {
+    name: 'DecryptionFailed',
+    message: 'Can\'t decrypt the metadata with the given private key'
+  }, {
+    name: 'InvalidRule',
+    message: 'Invalid DigiAsset rule type: {0}'
+  }, {
+    name: 'NotEnoughAssets',
+    message: 'Not enough units of asset {0}, missing {1}'
+  }, {
+    name: 'DispersedAggregation',
+    message: 'Units of the dispersed asset {0} can\'t be combined'
+  }, {
+    name: 'HybridAggregation',
+    message: 'Units of the hybrid asset {0} from different issuances can\'t be combined'
+  }]
 }, {
   name: 'Transaction',
   message: 'Internal Error on Transaction {0}',
@@ -60,6 +109,28 @@ module.exports = [{
       name: 'MissingPreviousOutput',
       message: 'No previous output information.'
     }]
+  }, {
+    name: 'PSBT',
+    message: 'Internal Error on PSBT {0}',
+    errors: [{
+      name: 'InvalidEncoding',
+      message: 'Invalid PSBT encoding: {0}'
+    }, {
+      name: 'Mismatch',
+      message: 'Can\'t combine PSBTs of different transactions'
+    }, {
+      name: 'NotFinalized',
+      message: 'Input {0} is not finalized'
+    }, {
+      name: 'SighashMismatch',
+      message: 'Input {0} must be signed with sighash type {1}'
+    }, {
+      name: 'UtxoMismatch',
+      message: 'The previous transaction of input {0} does not match its outpoint'
+    }, {
+      name: 'ScriptMismatch',
+      message: 'The scripts of input {0} don\'t hash to the output it spends'
+    }]
   }, {
     name: 'NeedMoreInfo',
     message: '{0}'
@@ -81,6 +152,9 @@ module.exports = [{
   }, {
     name: 'DustOutputs',
     message: 'Dust amount detected in one output'
+  }, {
+    name: 'InvalidDigiAssets',
+    message: '{0}'
   }, {
     name: 'InvalidSatoshis',
     message: 'Output satoshis are invalid',
@@ -100,6 +174,22 @@ module.exports = [{
   }, {
     name: 'ChangeAddressMissing',
     message: 'Change address is missing'
+  }, {
+    name: 'NotEnoughFunds',
+    message: 'Not enough funds, missing {0} satoshis'
+  }, {
+    name: 'BumpFee',
+    message: 'Can\'t bump the fee: {0}',
+    errors: [{
+      name: 'NotReplaceable',
+      message: 'The transaction doesn\'t signal that it can be replaced (BIP125)'
+    }, {
+      name: 'FeeRateTooLow',
+      message: 'The new fee rate must be higher than the current {0} satoshis per virtual byte'
+    }, {
+      name: 'NotEnoughFunds',
+      message: 'Missing {0} satoshis to pay the new fee, with no confirmed outputs left to add'
+    }]
   }, {
     name: 'BlockHeightTooHigh',
     message: 'Block Height can be at most 2^32 -1'
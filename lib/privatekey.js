@@ -388,6 +388,19 @@ PrivateKey.prototype.toLegacyAddress = function(network) {
   return Address.fromPublicKey(pubkey, network || this.network);
 };
 
+/**
+ * Will return a P2SH-P2WPKH address for the private key, a witness program
+ * nested in a pay to script hash
+ * @param {Network=} network - optional parameter specifying
+ * the desired network for the address
+ *
+ * @returns {Address} An address generated from the private key
+ */
+PrivateKey.prototype.toNestedWitnessAddress = function(network) {
+  var pubkey = this.toPublicKey();
+  return Address.toNestedWitnessAddress(pubkey.toBuffer(), network || this.network);
+};
+
 /**
  * @returns {Object} A plain object representation
  */
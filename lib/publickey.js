@@ -381,6 +381,18 @@ PublicKey.prototype.toLegacyAddress = function(network) {
   return Address.fromPublicKey(this, network || this.network);
 };
 
+/**
+ * Will return a P2SH-P2WPKH address for the public key, a witness program
+ * nested in a pay to script hash
+ *
+ * @param {String|Network=} network - Which network should the address be for
+ * @returns {Address} An address generated from the public key
+ */
+PublicKey.prototype.toNestedWitnessAddress = function(network) {
+  var Address = require('./address');
+  return Address.toNestedWitnessAddress(this.toBuffer(), network || this.network);
+};
+
 /**
  * Will output the PublicKey to a DER encoded hex string
  *
@@ -599,7 +599,9 @@ Script.prototype.decodeDigiAsset = function(firstInput) {
   var Asset = require('../asset');
   $.checkState(this.isDigiAssetOut(), 'Not a digiasset output script');
   var asset = new Asset(this.getData());
-  asset.getAssetId(firstInput);
+  if (asset.type === 'issuance') {
+    asset.getAssetId(firstInput);
+  }
   return asset;
 };
 
@@ -0,0 +1,480 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var errors = require('../errors');
+
+var Address = require('../address');
+var Input = require('./input');
+var Opcode = require('../opcode');
+var PublicKey = require('../publickey');
+var Script = require('../script');
+var Transaction = require('./transaction');
+var UnspentOutput = require('./unspentoutput');
+
+// pay to witness public key hash, the change script assumed when none is given
+var DEFAULT_CHANGE_SCRIPT = new Script('OP_0 20 0x' + _.repeat('00', 20));
+var NULL_TXID = _.repeat('00', 32);
+
+// Tries of the branch and bound search before it settles for its best subset, as in Bitcoin Core
+var BNB_MAX_TRIES = 100000;
+// Rounds of the random subset search of the knapsack, as in Bitcoin Core
+var KNAPSACK_ROUNDS = 1000;
+
+/**
+ * Converts a weight into the fee it costs
+ *
+ * @param {number} weight
+ * @param {number} feeRate satoshis per virtual byte
+ * @return {number}
+ */
+var feeOf = function(weight, feeRate) {
+  return Math.ceil(weight * feeRate / Input.WITNESS_SCALE_FACTOR);
+};
+
+/**
+ * Builds the input spending an unspent output, as a multisig input when the
+ * output or the `redeemScript` given with it is a multisig script
+ *
+ * @param {UnspentOutput|Object} utxo
+ * @return {Input}
+ */
+var spendingInput = function(utxo) {
+  var script = new Script(utxo.script);
+  var multisig = utxo.redeemScript ? new Script(utxo.redeemScript) : script;
+  if (!multisig.isMultisigOut()) {
+    return new Transaction().from(utxo).inputs[0];
+  }
+  var publicKeys = _.map(multisig.chunks.slice(1, -2), function(chunk) {
+    return new PublicKey(chunk.buf);
+  });
+  var threshold = multisig.chunks[0].opcodenum - Opcode.OP_1 + 1;
+  var nested = script.isScriptHashOut() && !Script.buildScriptHashOut(multisig).equals(script);
+  return new Transaction().from(utxo, publicKeys, threshold, nested).inputs[0];
+};
+
+/**
+ * Estimates the weight of spending an unspent output once signed
+ *
+ * @param {UnspentOutput|Object} utxo
+ * @return {number}
+ * @throws {errors.Transaction.Input.UnsupportedScript} when the type of the
+ *   output doesn't tell what spending it takes, like a P2SH output given without
+ *   its redeem script
+ */
+var spendingWeight = function(utxo) {
+  var input = spendingInput(utxo);
+  if (input.constructor === Input) {
+    throw new errors.Transaction.Input.UnsupportedScript(input.output.script);
+  }
+  return input._estimateWeight();
+};
+
+/**
+ * @param {Script|Address|String} output a script, an address or an address string
+ * @return {Script}
+ */
+var toScript = function(output) {
+  return _.isString(output) && Address.isValid(output) ? Script.fromAddress(output) : new Script(output);
+};
+
+/**
+ * Estimates the weight of a segwit transaction paying to the scripts, before
+ * any input is added
+ *
+ * @param {Array} scripts
+ * @return {number}
+ */
+var baseWeight = function(scripts) {
+  var transaction = new Transaction();
+  _.each(scripts, function(script) {
+    transaction.addOutput(new Transaction.Output({ script: script, satoshis: 0 }));
+  });
+  return transaction._estimateWeight() + Transaction.WITNESS_HEADER_SIZE;
+};
+
+/**
+ * @param {Array} candidates
+ * @return {number} the value the candidates add up to
+ */
+var sumValues = function(candidates) {
+  return _.sumBy(candidates, 'value');
+};
+
+/**
+ * @param {Array} candidates
+ * @param {Array} flags whether each candidate is picked
+ * @return {Array} the candidates picked
+ */
+var pick = function(candidates, flags) {
+  return _.filter(candidates, function(candidate, index) {
+    return flags[index];
+  });
+};
+
+/**
+ * @param {Array} candidates
+ * @return {Array} the candidates, the largest value first
+ */
+var byValue = function(candidates) {
+  return _.sortBy(candidates, function(candidate) {
+    return -candidate.value;
+  });
+};
+
+/**
+ * Moves the branch and bound search back to the last candidate included,
+ * excluding it instead
+ *
+ * @param {Object} search
+ * @param {Array} pool
+ * @return {Boolean} false when every branch was explored
+ */
+var backtrack = function(search, pool) {
+  while (search.path.length && !_.last(search.path)) {
+    search.path.pop();
+    search.available += pool[search.path.length].value;
+  }
+  if (!search.path.length) {
+    return false;
+  }
+  search.path[search.path.length - 1] = false;
+  search.value -= pool[search.path.length - 1].value;
+  return true;
+};
+
+/**
+ * Moves the branch and bound search one candidate deeper, including it unless
+ * an equal candidate was just excluded, which would explore the same sums
+ *
+ * @param {Object} search
+ * @param {Array} pool
+ */
+var descend = function(search, pool) {
+  var depth = search.path.length;
+  var candidate = pool[depth];
+  search.available -= candidate.value;
+  var previous = pool[depth - 1];
+  if (depth && !_.last(search.path) && previous.value === candidate.value && previous.fee === candidate.fee) {
+    search.path.push(false);
+  } else {
+    search.path.push(true);
+    search.value += candidate.value;
+  }
+};
+
+/**
+ * Checks the subset the branch and bound search is at, keeping it when it is
+ * the closest to the target so far
+ *
+ * @param {Object} search
+ * @param {number} target
+ * @param {number} costOfChange
+ * @return {Boolean} whether the search must backtrack, as going deeper can't do better
+ */
+var visit = function(search, target, costOfChange) {
+  if (search.value + search.available < target || search.value > target + costOfChange) {
+    return true;
+  }
+  if (search.value < target) {
+    return false;
+  }
+  if (search.value - target < search.excess) {
+    search.excess = search.value - target;
+    search.best = pick(search.pool, search.path);
+  }
+  return true;
+};
+
+/**
+ * Looks for the candidates whose value falls between the target and the target
+ * plus the cost of a change output, so that the transaction needs no change,
+ * exploring the subsets depth first as Bitcoin Core does. The excess of a match
+ * goes to the fee: the context is marked `changeless`
+ *
+ * @param {Array} candidates
+ * @param {number} target
+ * @param {Object} context
+ * @return {Array|null} the candidates to spend, null when no such subset was found
+ */
+var branchAndBound = function(candidates, target, context) {
+  var pool = byValue(candidates);
+  var search = { pool: pool, path: [], value: 0, available: sumValues(pool), best: null, excess: Infinity };
+  for (var tries = 0; tries < BNB_MAX_TRIES; tries++) {
+    var exhausted = visit(search, target, context.costOfChange);
+    if (search.excess === 0 || exhausted && !backtrack(search, pool)) {
+      break;
+    }
+    if (!exhausted) {
+      descend(search, pool);
+    }
+  }
+  context.changeless = !!search.best;
+  return search.best;
+};
+
+/**
+ * Runs a round of the random subset search: includes candidates at random,
+ * then the rest, dropping each one that reaches the target after noting the sum
+ *
+ * @param {Array} candidates
+ * @param {number} target
+ * @param {Object} best the `selected` candidates and `value` of the closest subset so far
+ * @return {Object} the closest subset after the round
+ */
+var subsetRound = function(candidates, target, best) {
+  var included = [];
+  var value = 0;
+  var visitCandidate = function(candidate, index) {
+    value += candidate.value;
+    included[index] = true;
+    if (value >= target) {
+      best = value < best.value ? { selected: pick(candidates, included), value: value } : best;
+      value -= candidate.value;
+      included[index] = false;
+    }
+  };
+  for (var pass = 0; pass < 2 && value < target; pass++) {
+    for (var i = 0; i < candidates.length; i++) {
+      if (pass === 0 ? Math.random() < 0.5 : !included[i]) {
+        visitCandidate(candidates[i], i);
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Approximates the subset of the candidates closest to the target with rounds
+ * of random search, as Bitcoin Core does
+ *
+ * @param {Array} candidates sorted by value, the largest first
+ * @param {number} target
+ * @return {Object} the `selected` candidates and their `value`
+ */
+var approximateBestSubset = function(candidates, target) {
+  var best = { selected: candidates, value: sumValues(candidates) };
+  for (var round = 0; round < KNAPSACK_ROUNDS && best.value !== target; round++) {
+    best = subsetRound(candidates, target, best);
+  }
+  return best;
+};
+
+/**
+ * Picks the subset of the candidates closest to the target, aiming for enough
+ * change when no subset matches the target, unless the smallest larger
+ * candidate does better
+ *
+ * @param {Array} smaller the candidates below the target plus enough change
+ * @param {Object} lowestLarger the smallest candidate above it, if any
+ * @param {number} target
+ * @param {number} minChange
+ * @return {Array}
+ */
+var closestSubset = function(smaller, lowestLarger, target, minChange) {
+  var best = approximateBestSubset(smaller, target);
+  if (best.value !== target && sumValues(smaller) >= target + minChange) {
+    best = approximateBestSubset(smaller, target + minChange);
+  }
+  var lacksChange = best.value !== target && best.value < target + minChange;
+  if (lowestLarger && (lacksChange || lowestLarger.value <= best.value)) {
+    return [lowestLarger];
+  }
+  return best.selected;
+};
+
+/**
+ * Picks a candidate matching the target exactly, or the subset of the smaller
+ * candidates closest to the target, or the smallest candidate larger than the
+ * target plus enough change, as Bitcoin Core's knapsack solver does
+ *
+ * @param {Array} candidates
+ * @param {number} target
+ * @param {Object} context
+ * @return {Array|null}
+ */
+var knapsack = function(candidates, target, context) {
+  var exact = _.find(candidates, { value: target });
+  if (exact) {
+    return [exact];
+  }
+  var groups = _.partition(byValue(candidates), function(candidate) {
+    return candidate.value < target + context.minChange;
+  });
+  var lowestLarger = _.last(groups[1]);
+  var total = sumValues(groups[0]);
+  if (total === target) {
+    return groups[0];
+  }
+  if (total < target) {
+    return lowestLarger ? [lowestLarger] : null;
+  }
+  return closestSubset(groups[0], lowestLarger, target, context.minChange);
+};
+
+/**
+ * Picks the largest candidates until they cover the target
+ *
+ * @param {Array} candidates
+ * @param {number} target
+ * @return {Array|null}
+ */
+var largestFirst = function(candidates, target) {
+  var value = 0;
+  var selected = _.takeWhile(byValue(candidates), function(candidate) {
+    var needed = value < target;
+    value += candidate.value;
+    return needed;
+  });
+  return sumValues(selected) >= target ? selected : null;
+};
+
+/**
+ * Works out the change of a selection: what its excess leaves after paying for
+ * the change output, unless that is dust or the algorithm chose no change
+ *
+ * @param {number} excess what the selection holds beyond the target and fees
+ * @param {Object} context
+ * @return {number} the change, 0 for none
+ */
+var changeOf = function(excess, context) {
+  var change = excess - context.changeFee;
+  return !context.changeless && change >= Transaction.DUST_AMOUNT ? change : 0;
+};
+
+/**
+ * Looks for a changeless selection first, and falls back to the knapsack
+ */
+var auto = function(candidates, target, context) {
+  return branchAndBound(candidates, target, context) || knapsack(candidates, target, context);
+};
+
+/**
+ * Chooses the unspent outputs a transaction spends to pay an amount at a fee
+ * rate, and whether it needs a change output.
+ *
+ * Every output is valued at its amount minus the fee of spending it, which
+ * depends on its type: a P2PKH input weighs more than a P2WPKH one. Outputs
+ * costing more than they hold are never spent. A P2SH or P2WSH output must come
+ * with its `redeemScript`, or the `publicKey` of a nested P2WPKH output, for its
+ * spending to be sized.
+ *
+ * The algorithms are:
+ * - `branchAndBound`: looks for outputs that pay the amount and fee without
+ *   leaving enough for a change output to be worth it, so no change is needed
+ * - `knapsack`: looks for the outputs closest to the amount, fee and change
+ * - `largestFirst`: spends the largest outputs first
+ * - `auto`, the default: `branchAndBound`, then `knapsack` when it finds nothing
+ *
+ * @example
+ * ```javascript
+ * var selection = new CoinSelector().select(utxos, 50000, 10, { changeScript: changeAddress });
+ * var transaction = new Transaction()
+ *   .from(selection.inputs)
+ *   .to(address, 50000)
+ *   .feePerVbyte(10);
+ * if (selection.change) {
+ *   transaction.change(changeAddress);
+ * }
+ * ```
+ *
+ * @constructor
+ * @param {String|Function=} algorithm the name of a built-in algorithm, or a
+ *   `function(candidates, target, context)` given the spendable `{utxo, value, fee}`
+ *   and returning the ones to spend, or null; it sets `context.changeless` when
+ *   the excess of its selection must go to the fee
+ */
+function CoinSelector(algorithm) {
+  if (!(this instanceof CoinSelector)) {
+    return new CoinSelector(algorithm);
+  }
+  this.algorithm = _.isFunction(algorithm) ? algorithm : CoinSelector.ALGORITHMS[algorithm || 'auto'];
+  $.checkArgument(_.isFunction(this.algorithm), 'algorithm', 'Unknown coin selection algorithm: ' + algorithm);
+}
+
+CoinSelector.BNB_MAX_TRIES = BNB_MAX_TRIES;
+CoinSelector.KNAPSACK_ROUNDS = KNAPSACK_ROUNDS;
+
+CoinSelector.ALGORITHMS = {
+  auto: auto,
+  branchAndBound: branchAndBound,
+  knapsack: knapsack,
+  largestFirst: largestFirst
+};
+
+/**
+ * Works out the fees of a selection: of the transaction without inputs, of the
+ * change output, and of spending that change output later
+ *
+ * @param {number} feeRate
+ * @param {Object} options
+ * @return {Object}
+ */
+CoinSelector.prototype._context = function(feeRate, options) {
+  var changeScript = options.changeScript ? toScript(options.changeScript) : DEFAULT_CHANGE_SCRIPT;
+  var outputs = _.map(options.outputs || [changeScript], toScript);
+  var changeFee = feeOf(Transaction._outputSize(changeScript) * Input.WITNESS_SCALE_FACTOR, feeRate);
+  // the redeem script of a P2SH change isn't known, so spending it is priced as a bare input
+  var changeSpendFee = feeOf(spendingInput({
+    txId: NULL_TXID,
+    outputIndex: 0,
+    script: changeScript,
+    satoshis: 0
+  })._estimateWeight(), feeRate);
+  return {
+    feeRate: feeRate,
+    baseFee: feeOf(baseWeight(outputs), feeRate),
+    changeFee: changeFee,
+    costOfChange: changeFee + changeSpendFee,
+    minChange: changeFee + Transaction.DUST_AMOUNT
+  };
+};
+
+/**
+ * Selects the unspent outputs to pay an amount with
+ *
+ * @param {Array} utxos the `UnspentOutput`s, or objects to build them from, with the
+ *   `redeemScript` or `publicKey` of P2SH and P2WSH outputs
+ * @param {number} target the satoshis to pay
+ * @param {number} feeRate satoshis per virtual byte
+ * @param {Object=} options
+ * @param {Array=} options.outputs the scripts or addresses paid, without the change,
+ *   one like the change script by default
+ * @param {Script|Address=} options.changeScript the change script or address, P2WPKH by default
+ * @return {Object|null} the `inputs` to spend, the `change` to send back, 0 for none, and
+ *   the `fee` that leaves, or null when the algorithm finds no selection
+ * @throws {errors.Transaction.NotEnoughFunds} when the outputs don't cover the amount and fees
+ * @throws {errors.Transaction.Input.UnsupportedScript} when the cost of spending an output
+ *   can't be told from its script
+ */
+CoinSelector.prototype.select = function(utxos, target, feeRate, options) {
+  $.checkArgument(_.isArray(utxos), 'utxos', 'Must provide an array of unspent outputs');
+  $.checkArgument(_.isSafeInteger(target) && target > 0, 'target', 'Target must be a positive integer');
+  $.checkArgument(_.isNumber(feeRate) && feeRate >= 0, 'feeRate', 'Fee rate must be a non negative number');
+  var context = this._context(feeRate, options || {});
+  var needed = target + context.baseFee;
+  var candidates = _.filter(_.map(utxos, function(utxo) {
+    var fee = feeOf(spendingWeight(utxo), feeRate);
+    utxo = utxo instanceof UnspentOutput ? utxo : new UnspentOutput(utxo);
+    return { utxo: utxo, value: utxo.satoshis - fee, fee: fee };
+  }), function(candidate) {
+    return candidate.value > 0;
+  });
+  if (sumValues(candidates) < needed) {
+    throw new errors.Transaction.NotEnoughFunds(needed - sumValues(candidates));
+  }
+  var selected = this.algorithm(candidates, needed, context);
+  if (!selected) {
+    return null;
+  }
+  var excess = sumValues(selected) - needed;
+  var change = changeOf(excess, context);
+  var inputs = _.map(selected, 'utxo');
+  return {
+    inputs: inputs,
+    change: change,
+    fee: _.sumBy(inputs, 'satoshis') - target - change
+  };
+};
+
+module.exports = CoinSelector;
@@ -6,3 +6,5 @@ module.exports.UnspentOutput = require('./unspentoutput');
 module.exports.Signature = require('./signature');
 module.exports.Sighash = require('./sighash');
 module.exports.SighashWitness = require('./sighashwitness');
+module.exports.PSBT = require('./psbt');
+module.exports.CoinSelector = require('./coinselector');
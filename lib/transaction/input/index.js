@@ -5,4 +5,5 @@ module.exports.PublicKeyHash = require('./publickeyhash');
 module.exports.MultiSig = require('./multisig.js');
 module.exports.MultiSigScriptHash = require('./multisigscripthash.js');
 module.exports.WitnessPublicKeyHash = require('./witnesspublickeyhash');
+module.exports.NestedWitnessPublicKeyHash = require('./nestedwitnesspublickeyhash');
 module.exports.WitnessScriptHash = require('./witnessscripthash');
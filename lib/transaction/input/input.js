@@ -16,6 +16,8 @@ var MAXINT = 0xffffffff; // Math.pow(2, 32) - 1;
 var DEFAULT_RBF_SEQNUMBER = MAXINT - 2;
 var DEFAULT_SEQNUMBER = MAXINT;
 var DEFAULT_LOCKTIME_SEQNUMBER = MAXINT - 1;
+// bytes outside the witness weigh four units, witness bytes one (BIP141)
+var WITNESS_SCALE_FACTOR = 4;
 
 function Input(params) {
   if (!(this instanceof Input)) {
@@ -30,6 +32,11 @@ Input.MAXINT = MAXINT;
 Input.DEFAULT_SEQNUMBER = DEFAULT_SEQNUMBER;
 Input.DEFAULT_LOCKTIME_SEQNUMBER = DEFAULT_LOCKTIME_SEQNUMBER;
 Input.DEFAULT_RBF_SEQNUMBER = DEFAULT_RBF_SEQNUMBER;
+Input.WITNESS_SCALE_FACTOR = WITNESS_SCALE_FACTOR;
+
+Input.OUTPOINT_AND_SEQUENCE_SIZE = 32 + 4 + 4; // prevTxId, outputIndex and sequenceNumber
+Input.SIGNATURE_SIZE = 72; // DER with a low S (<=71) + sighash (1)
+Input.PUBKEY_SIZE = 33; // compressed public key
 
 Object.defineProperty(Input.prototype, 'script', {
   configurable: false,
@@ -217,4 +224,51 @@ Input.prototype._estimateSize = function() {
   return this.toBufferWriter().toBuffer().length;
 };
 
+/**
+ * Computes the size of a serialized witness
+ *
+ * @param {Array} sizes the size of each item of the witness
+ * @return {number}
+ */
+Input._witnessSize = function(sizes) {
+  return _.reduce(sizes, function(total, size) {
+    return total + BufferWriter.varintBufNum(size).length + size;
+  }, BufferWriter.varintBufNum(sizes.length).length);
+};
+
+/**
+ * Estimates the size of the scriptSig once the input is signed. Subclasses
+ * know what their scriptSig holds; this one takes the current script.
+ *
+ * @return {number}
+ */
+Input.prototype._estimateScriptSigSize = function() {
+  return this._scriptBuffer.length;
+};
+
+/**
+ * Estimates the size of the witness once the input is signed, 0 for inputs
+ * without one. Subclasses know what their witness holds; this one takes the
+ * current witness.
+ *
+ * @return {number}
+ */
+Input.prototype._estimateWitnessSize = function() {
+  if (!this.hasWitnesses()) {
+    return 0;
+  }
+  return Input._witnessSize(_.map(this.witnesses, 'length'));
+};
+
+/**
+ * Estimates the weight of the input once signed, as defined by BIP141
+ *
+ * @return {number}
+ */
+Input.prototype._estimateWeight = function() {
+  var scriptSigSize = this._estimateScriptSigSize();
+  var size = Input.OUTPOINT_AND_SEQUENCE_SIZE + BufferWriter.varintBufNum(scriptSigSize).length + scriptSigSize;
+  return size * WITNESS_SCALE_FACTOR + this._estimateWitnessSize();
+};
+
 module.exports = Input;
\ No newline at end of file
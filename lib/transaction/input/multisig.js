@@ -208,4 +208,8 @@ MultiSigInput.prototype._estimateSize = function() {
     this.threshold * MultiSigInput.SIGNATURE_SIZE;
 };
 
+MultiSigInput.prototype._estimateScriptSigSize = function() {
+  return this._estimateSize();
+};
+
 module.exports = MultiSigInput;
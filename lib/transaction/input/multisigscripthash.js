@@ -238,4 +238,25 @@ MultiSigScriptHashInput.prototype._estimateSize = function() {
     this.publicKeys.length * MultiSigScriptHashInput.PUBKEY_SIZE;
 };
 
+// push (1) of the witness program: OP_0 (1) and the script hash (1 + 32)
+MultiSigScriptHashInput.NESTED_SCRIPT_SIG_SIZE = 1 + 34;
+
+MultiSigScriptHashInput.prototype._estimateScriptSigSize = function() {
+  if (this.nestedWitness) {
+    return MultiSigScriptHashInput.NESTED_SCRIPT_SIG_SIZE;
+  }
+  // OP_0, a push of each signature and a push of the redeem script
+  var redeemScriptPush = new Script().add(this.redeemScript.toBuffer()).toBuffer();
+  return 1 + this.threshold * (1 + Input.SIGNATURE_SIZE) + redeemScriptPush.length;
+};
+
+MultiSigScriptHashInput.prototype._estimateWitnessSize = function() {
+  if (!this.nestedWitness) {
+    return 0;
+  }
+  // an empty item, the signatures and the witness script
+  return Input._witnessSize([0].concat(_.times(this.threshold, _.constant(Input.SIGNATURE_SIZE)),
+    this.redeemScript.toBuffer().length));
+};
+
 module.exports = MultiSigScriptHashInput;
\ No newline at end of file
@@ -0,0 +1,196 @@
+'use strict';
+
+var _ = require('lodash');
+var inherits = require('inherits');
+
+var $ = require('../../util/preconditions');
+var BufferWriter = require('../../encoding/bufferwriter');
+var BufferUtil = require('../../util/buffer');
+var Opcode = require('../../opcode');
+
+var Hash = require('../../crypto/hash');
+var Input = require('./input');
+var Output = require('../output');
+var PublicKey = require('../../publickey');
+var Sighash = require('../sighashwitness');
+var Script = require('../../script');
+var Signature = require('../../crypto/signature');
+var TransactionSignature = require('../signature');
+
+/**
+ * Builds the witness program of a public key hash, the redeem script of a
+ * P2SH-P2WPKH output
+ *
+ * @param {Buffer} hash
+ * @return {Script}
+ */
+var witnessProgram = function(hash) {
+  return new Script().add(Opcode.OP_0).add(hash);
+};
+
+/**
+ * Represents a special kind of input of PayToScriptHash kind, that nests a
+ * PayToWitnessPublicKeyHash program. The public key behind the output is
+ * learned when signing, or can be given up front.
+ *
+ * @constructor
+ * @param {Object} input
+ * @param {PublicKey=} publicKey the key the output pays to
+ */
+function NestedWitnessPublicKeyHashInput(input, publicKey) {
+  Input.apply(this, arguments);
+  publicKey = publicKey || input.publicKey;
+  if (publicKey) {
+    var hash = Hash.sha256ripemd160(new PublicKey(publicKey).toBuffer());
+    $.checkState(this._paysTo(hash), 'Provided public key doesn\'t hash to the provided output (nested witness)');
+    this.redeemScript = witnessProgram(hash);
+  } else if (input.redeemScript) {
+    this.redeemScript = new Script(input.redeemScript);
+    $.checkState(Script.buildScriptHashOut(this.redeemScript).equals(this.output.script),
+      'Provided redeem script doesn\'t hash to the provided output');
+  }
+  this.setWitnesses(_.map(input.witnesses, function(witness) {
+    return BufferUtil.isBuffer(witness) ? witness : new Buffer(witness, 'hex');
+  }));
+}
+inherits(NestedWitnessPublicKeyHashInput, Input);
+
+NestedWitnessPublicKeyHashInput.prototype.toObject = function() {
+  var obj = Input.prototype.toObject.apply(this, arguments);
+  obj.witnesses = _.map(this.witnesses, function(witness) {
+    return witness.toString('hex');
+  });
+  if (this.redeemScript) {
+    obj.redeemScript = this.redeemScript.toHex();
+  }
+  return obj;
+};
+
+/**
+ * @param {Buffer} hash
+ * @return {Boolean} whether the output spent nests the witness program of the public key hash
+ */
+NestedWitnessPublicKeyHashInput.prototype._paysTo = function(hash) {
+  return Script.buildScriptHashOut(witnessProgram(hash)).equals(this.output.script);
+};
+
+/* jshint maxparams: 5 */
+/**
+ * @param {Transaction} transaction - the transaction to be signed
+ * @param {PrivateKey} privateKey - the private key with which to sign the transaction
+ * @param {number} index - the index of the input in the transaction input vector
+ * @param {number=} sigtype - the type of signature, defaults to Signature.SIGHASH_ALL
+ * @param {Buffer=} hashData - the precalculated hash of the public key associated with the privateKey provided
+ * @return {Array} of objects that can be
+ */
+NestedWitnessPublicKeyHashInput.prototype.getSignatures = function(transaction, privateKey, index, sigtype, hashData) {
+  $.checkState(this.output instanceof Output);
+  hashData = hashData || Hash.sha256ripemd160(privateKey.publicKey.toBuffer());
+  sigtype = sigtype || Signature.SIGHASH_ALL;
+  if (this._paysTo(hashData)) {
+    this.redeemScript = witnessProgram(hashData);
+    return [new TransactionSignature({
+      publicKey: privateKey.publicKey,
+      prevTxId: this.prevTxId,
+      outputIndex: this.outputIndex,
+      inputIndex: index,
+      signature: Sighash.sign(transaction, privateKey, sigtype, index, this.getScriptCode(), this.getSatoshisBuffer()),
+      sigtype: sigtype
+    })];
+  }
+  return [];
+};
+/* jshint maxparams: 3 */
+
+/**
+ * Add the provided signature, pushing the witness program in the scriptSig
+ * and the signature and public key in the witness
+ *
+ * @param {Object} signature
+ * @param {PublicKey} signature.publicKey
+ * @param {Signature} signature.signature
+ * @param {number=} signature.sigtype
+ * @return {NestedWitnessPublicKeyHashInput} this, for chaining
+ */
+NestedWitnessPublicKeyHashInput.prototype.addSignature = function(transaction, signature) {
+  $.checkState(this.isValidSignature(transaction, signature), 'Signature is invalid');
+  this.redeemScript = witnessProgram(Hash.sha256ripemd160(signature.publicKey.toBuffer()));
+  this.setScript(new Script().add(this.redeemScript.toBuffer()));
+  this.setWitnesses([
+    BufferUtil.concat([
+      signature.signature.toDER(),
+      BufferUtil.integerAsSingleByteBuffer(signature.sigtype)
+    ]),
+    signature.publicKey.toBuffer()
+  ]);
+  return this;
+};
+
+/**
+ * Clear the input's signature
+ * @return {NestedWitnessPublicKeyHashInput} this, for chaining
+ */
+NestedWitnessPublicKeyHashInput.prototype.clearSignatures = function() {
+  this.setScript(Script.empty());
+  this.setWitnesses([]);
+  return this;
+};
+
+NestedWitnessPublicKeyHashInput.prototype.isValidSignature = function(transaction, signature) {
+  var hash = Hash.sha256ripemd160(signature.publicKey.toBuffer());
+  if (!this._paysTo(hash)) {
+    return false;
+  }
+  signature.signature.nhashtype = signature.sigtype;
+  return Sighash.verify(
+    transaction,
+    signature.signature,
+    signature.publicKey,
+    signature.inputIndex,
+    this.getScriptCode(hash),
+    this.getSatoshisBuffer()
+  );
+};
+
+/**
+ * Returns the script code signed, the pay to public key hash script of the
+ * nested witness program, prefixed with its length
+ *
+ * @param {Buffer=} hash the public key hash, read from the redeem script by default
+ * @return {Buffer}
+ */
+NestedWitnessPublicKeyHashInput.prototype.getScriptCode = function(hash) {
+  $.checkState(hash || this.redeemScript, 'The public key of the input is unknown');
+  var script = new Script()
+    .add(Opcode.OP_DUP)
+    .add(Opcode.OP_HASH160)
+    .add(hash || this.redeemScript.chunks[1].buf)
+    .add(Opcode.OP_EQUALVERIFY)
+    .add(Opcode.OP_CHECKSIG)
+    .toBuffer();
+  return new BufferWriter().writeVarintNum(script.length).write(script).toBuffer();
+};
+
+NestedWitnessPublicKeyHashInput.prototype.isFullySigned = function() {
+  return this.hasWitnesses();
+};
+
+// redeem script push (1 + 22) + witness signature (1 + 72) and pubkey (1 + 33)
+NestedWitnessPublicKeyHashInput.SCRIPT_MAX_SIZE = 23 + 73 + 34;
+
+NestedWitnessPublicKeyHashInput.prototype._estimateSize = function() {
+  return NestedWitnessPublicKeyHashInput.SCRIPT_MAX_SIZE;
+};
+
+// push (1) of the witness program: OP_0 (1) and the public key hash (1 + 20)
+NestedWitnessPublicKeyHashInput.SCRIPT_SIG_SIZE = 1 + 22;
+
+NestedWitnessPublicKeyHashInput.prototype._estimateScriptSigSize = function() {
+  return NestedWitnessPublicKeyHashInput.SCRIPT_SIG_SIZE;
+};
+
+NestedWitnessPublicKeyHashInput.prototype._estimateWitnessSize = function() {
+  return Input._witnessSize([Input.SIGNATURE_SIZE, Input.PUBKEY_SIZE]);
+};
+
+module.exports = NestedWitnessPublicKeyHashInput;
@@ -86,4 +86,8 @@ PublicKeyInput.prototype._estimateSize = function() {
   return PublicKeyInput.SCRIPT_MAX_SIZE;
 };
 
+PublicKeyInput.prototype._estimateScriptSigSize = function() {
+  return PublicKeyInput.SCRIPT_MAX_SIZE;
+};
+
 module.exports = PublicKeyInput;
@@ -92,4 +92,8 @@ PublicKeyHashInput.prototype._estimateSize = function() {
   return PublicKeyHashInput.SCRIPT_MAX_SIZE;
 };
 
+PublicKeyHashInput.prototype._estimateScriptSigSize = function() {
+  return PublicKeyHashInput.SCRIPT_MAX_SIZE;
+};
+
 module.exports = PublicKeyHashInput;
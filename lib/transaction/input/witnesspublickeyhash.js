@@ -132,5 +132,13 @@ WitnessPublicKeyHashInput.prototype.isFullySigned = function() {
   return true;
 };
 
+WitnessPublicKeyHashInput.prototype._estimateScriptSigSize = function() {
+  return 0;
+};
+
+WitnessPublicKeyHashInput.prototype._estimateWitnessSize = function() {
+  return Input._witnessSize([Input.SIGNATURE_SIZE, Input.PUBKEY_SIZE]);
+};
+
 
 module.exports = WitnessPublicKeyHashInput;
@@ -200,4 +200,14 @@ WitnessScriptHash.prototype._estimateSize = function() {
     this.publicKeys.length * WitnessScriptHash.PUBKEY_SIZE;
 };
 
+WitnessScriptHash.prototype._estimateScriptSigSize = function() {
+  return 0;
+};
+
+WitnessScriptHash.prototype._estimateWitnessSize = function() {
+  // an empty item, the signatures and the witness script
+  return Input._witnessSize([0].concat(_.times(this.threshold, _.constant(Input.SIGNATURE_SIZE)),
+    this.redeemScript.toBuffer().length));
+};
+
 module.exports = WitnessScriptHash;
\ No newline at end of file
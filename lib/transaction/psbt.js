@@ -0,0 +1,882 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var errors = require('../errors');
+var BufferReader = require('../encoding/bufferreader');
+var BufferWriter = require('../encoding/bufferwriter');
+var BufferUtil = require('../util/buffer');
+var Hash = require('../crypto/hash');
+var HDPrivateKey = require('../hdprivatekey');
+var Opcode = require('../opcode');
+var PrivateKey = require('../privatekey');
+var PublicKey = require('../publickey');
+var Script = require('../script');
+var Signature = require('../crypto/signature');
+var Input = require('./input');
+var Output = require('./output');
+var Sighash = require('./sighash');
+var SighashWitness = require('./sighashwitness');
+var Transaction = require('./transaction');
+
+var MAGIC = new Buffer('70736274ff', 'hex');
+var MAGIC_BASE64 = 'cHNidP8';
+
+var readTransaction = function(value) {
+  return new Transaction(value);
+};
+
+// The unsigned transaction is serialized without witnesses, so a transaction
+// without inputs isn't mistaken for one with a witness marker
+var readUnsignedTransaction = function(value) {
+  var reader = new BufferReader(value);
+  var transaction = new Transaction();
+  transaction.version = reader.readInt32LE();
+  transaction.inputs = _.times(reader.readVarintNum(), function() {
+    return Input.fromBufferReader(reader);
+  });
+  transaction.outputs = _.times(reader.readVarintNum(), function() {
+    return Output.fromBufferReader(reader);
+  });
+  transaction.nLockTime = reader.readUInt32LE();
+  if (!reader.finished()) {
+    throw new errors.Transaction.PSBT.InvalidEncoding('unexpected data after the unsigned transaction');
+  }
+  return transaction;
+};
+
+var writeTransaction = function(transaction) {
+  return transaction.toBuffer();
+};
+
+var readOutput = function(value) {
+  return Output.fromBufferReader(new BufferReader(value));
+};
+
+var writeOutput = function(output) {
+  return output.toBufferWriter(new BufferWriter()).toBuffer();
+};
+
+var readScript = function(value) {
+  return new Script(value);
+};
+
+var writeScript = function(script) {
+  return script.toBuffer();
+};
+
+var readUInt32 = function(value) {
+  return new BufferReader(value).readUInt32LE();
+};
+
+var writeUInt32 = function(number) {
+  return new BufferWriter().writeUInt32LE(number).toBuffer();
+};
+
+var readWitness = function(value) {
+  var reader = new BufferReader(value);
+  return _.times(reader.readVarintNum(), function() {
+    return reader.readVarLengthBuffer();
+  });
+};
+
+var writeWitness = function(stack) {
+  var writer = new BufferWriter().writeVarintNum(stack.length);
+  _.each(stack, function(item) {
+    writer.writeVarintNum(item.length).write(item);
+  });
+  return writer.toBuffer();
+};
+
+var readPublicKey = function(keydata) {
+  if (keydata.length !== 33 && keydata.length !== 65) {
+    throw new errors.Transaction.PSBT.InvalidEncoding('invalid public key length');
+  }
+  return new PublicKey(keydata);
+};
+
+var readPartialSig = function(keydata, value) {
+  return { publicKey: readPublicKey(keydata), signature: Signature.fromTxFormat(value) };
+};
+
+var writePartialSig = function(entry) {
+  return { keydata: entry.publicKey.toBuffer(), value: entry.signature.toTxFormat() };
+};
+
+var readDerivation = function(keydata, value) {
+  if (value.length < 4 || value.length % 4) {
+    throw new errors.Transaction.PSBT.InvalidEncoding('invalid BIP32 derivation');
+  }
+  var reader = new BufferReader(value.slice(4));
+  var steps = _.times((value.length - 4) / 4, function() {
+    var index = reader.readUInt32LE();
+    return index >= HDPrivateKey.Hardened ? (index - HDPrivateKey.Hardened) + '\'' : String(index);
+  });
+  return {
+    publicKey: readPublicKey(keydata),
+    masterFingerprint: value.slice(0, 4),
+    path: ['m'].concat(steps).join('/')
+  };
+};
+
+var writeDerivation = function(entry) {
+  var writer = new BufferWriter().write(entry.masterFingerprint);
+  _.each(HDPrivateKey._getDerivationIndexes(entry.path), function(index) {
+    writer.writeUInt32LE(index);
+  });
+  return { keydata: entry.publicKey.toBuffer(), value: writer.toBuffer() };
+};
+
+// The key-value pairs this library reads, by map. Pairs of other types are
+// kept as they are in `unknown`.
+var GLOBAL_FIELDS = [
+  { type: 0x00, name: 'unsignedTx', read: readUnsignedTransaction, write: writeTransaction }
+];
+
+var INPUT_FIELDS = [
+  { type: 0x00, name: 'nonWitnessUtxo', read: readTransaction, write: writeTransaction },
+  { type: 0x01, name: 'witnessUtxo', read: readOutput, write: writeOutput },
+  { type: 0x02, name: 'partialSigs', keyed: true, read: readPartialSig, write: writePartialSig },
+  { type: 0x03, name: 'sighashType', read: readUInt32, write: writeUInt32 },
+  { type: 0x04, name: 'redeemScript', read: readScript, write: writeScript },
+  { type: 0x05, name: 'witnessScript', read: readScript, write: writeScript },
+  { type: 0x06, name: 'bip32Derivation', keyed: true, read: readDerivation, write: writeDerivation },
+  { type: 0x07, name: 'finalScriptSig', read: readScript, write: writeScript },
+  { type: 0x08, name: 'finalScriptWitness', read: readWitness, write: writeWitness }
+];
+
+var OUTPUT_FIELDS = [
+  { type: 0x00, name: 'redeemScript', read: readScript, write: writeScript },
+  { type: 0x01, name: 'witnessScript', read: readScript, write: writeScript },
+  { type: 0x02, name: 'bip32Derivation', keyed: true, read: readDerivation, write: writeDerivation }
+];
+
+/**
+ * Turns the key-value pairs of a map into its fields
+ *
+ * @param {Array} pairs like `{key, value}`
+ * @param {Array} fields
+ * @return {Object}
+ */
+var fromPairs = function(pairs, fields) {
+  var map = { unknown: [] };
+  _.each(pairs, function(pair) {
+    var field = _.find(fields, { type: pair.key[0] });
+    if (!field) {
+      map.unknown.push(pair);
+    } else if (field.keyed) {
+      if (pair.key.length === 1) {
+        throw new errors.Transaction.PSBT.InvalidEncoding('missing key data');
+      }
+      map[field.name] = (map[field.name] || []).concat(field.read(pair.key.slice(1), pair.value));
+    } else {
+      if (pair.key.length !== 1) {
+        throw new errors.Transaction.PSBT.InvalidEncoding('unexpected key data');
+      }
+      map[field.name] = field.read(pair.value);
+    }
+  });
+  return map;
+};
+
+/**
+ * Turns the fields of a map into its key-value pairs
+ *
+ * @param {Object} map
+ * @param {Array} fields
+ * @return {Array} like `{key, value}`
+ */
+var toPairs = function(map, fields) {
+  var pairs = [];
+  _.each(fields, function(field) {
+    if (_.isUndefined(map[field.name])) {
+      return;
+    }
+    var type = new Buffer([field.type]);
+    if (field.keyed) {
+      _.each(map[field.name], function(entry) {
+        var pair = field.write(entry);
+        pairs.push({ key: BufferUtil.concat([type, pair.keydata]), value: pair.value });
+      });
+    } else {
+      pairs.push({ key: type, value: field.write(map[field.name]) });
+    }
+  });
+  return pairs.concat(map.unknown || []);
+};
+
+/**
+ * @param {BufferReader} reader
+ * @return {Buffer} the next length prefixed buffer
+ */
+var readBuffer = function(reader) {
+  if (reader.finished()) {
+    throw new errors.Transaction.PSBT.InvalidEncoding('missing separator');
+  }
+  try {
+    return reader.readVarLengthBuffer();
+  } catch (e) {
+    throw new errors.Transaction.PSBT.InvalidEncoding('truncated key-value pair');
+  }
+};
+
+/**
+ * Reads the key-value pairs of a map, up to its separator
+ *
+ * @param {BufferReader} reader
+ * @return {Array}
+ */
+var readPairs = function(reader) {
+  var pairs = [];
+  var seen = {};
+  for (;;) {
+    var key = readBuffer(reader);
+    if (!key.length) {
+      return pairs;
+    }
+    if (seen[key.toString('hex')]) {
+      throw new errors.Transaction.PSBT.InvalidEncoding('duplicate key ' + key.toString('hex'));
+    }
+    seen[key.toString('hex')] = true;
+    pairs.push({ key: key, value: readBuffer(reader) });
+  }
+};
+
+/**
+ * @param {BufferWriter} writer
+ * @param {Array} pairs
+ */
+var writePairs = function(writer, pairs) {
+  _.each(pairs, function(pair) {
+    writer.writeVarintNum(pair.key.length).write(pair.key);
+    writer.writeVarintNum(pair.value.length).write(pair.value);
+  });
+  writer.writeUInt8(0);
+};
+
+/**
+ * Merges two maps, keeping every key-value pair of both
+ *
+ * @param {Object} map
+ * @param {Object} other
+ * @param {Array} fields
+ * @return {Object}
+ */
+var mergeMaps = function(map, other, fields) {
+  var pairs = _.uniqBy(toPairs(map, fields).concat(toPairs(other, fields)), function(pair) {
+    return pair.key.toString('hex');
+  });
+  return fromPairs(pairs, fields);
+};
+
+/**
+ * @param {Transaction} transaction
+ * @return {Transaction} a copy of the transaction without scriptSigs nor witnesses
+ */
+var unsignedCopy = function(transaction) {
+  var copy = Transaction.shallowCopy(transaction);
+  _.each(copy.inputs, function(input) {
+    input.setScript(Script.empty());
+    input.setWitnesses([]);
+  });
+  return copy;
+};
+
+/**
+ * @param {Object} input
+ * @return {Boolean} whether the input has its final scriptSig or witness
+ */
+var isFinal = function(input) {
+  return !!(input.finalScriptSig || input.finalScriptWitness);
+};
+
+/**
+ * Reads the redeem and witness scripts of a multisig or nested witness input
+ *
+ * @param {Object} map
+ * @param {Input} input
+ */
+var describeScripts = function(map, input) {
+  if (input.nestedWitness) {
+    map.redeemScript = Script.buildWitnessMultisigOutFromScript(input.redeemScript);
+    map.witnessScript = input.redeemScript;
+  } else if (input.output.script.isScriptHashOut()) {
+    map.redeemScript = input.redeemScript;
+  } else {
+    map.witnessScript = input.redeemScript;
+  }
+};
+
+/**
+ * Reads the signatures of an input, partial for multisig inputs and final
+ * for the others
+ *
+ * @param {Object} map
+ * @param {Input} input
+ */
+var describeSignatures = function(map, input) {
+  if (input.signatures) {
+    var signed = _.compact(input.signatures);
+    if (signed.length) {
+      map.partialSigs = _.map(signed, function(signature) {
+        return { publicKey: signature.publicKey, signature: signature.signature.set({ nhashtype: signature.sigtype }) };
+      });
+    }
+    return;
+  }
+  if (input.script.chunks.length) {
+    map.finalScriptSig = input.script;
+  }
+  if (input.hasWitnesses()) {
+    map.finalScriptWitness = input.getWitnesses();
+  }
+};
+
+/**
+ * Describes an input of a transaction built with `Transaction#from`
+ *
+ * @param {Input} input
+ * @param {Array} previousTransactions
+ * @return {Object}
+ */
+var describeInput = function(input, previousTransactions) {
+  var map = { unknown: [] };
+  var script = input.output.script;
+  var previous = _.find(previousTransactions, { id: input.prevTxId.toString('hex') });
+  if (previous) {
+    map.nonWitnessUtxo = previous;
+  }
+  var nested = input.nestedWitness || (script.isScriptHashOut() && input.redeemScript &&
+    input.redeemScript.isWitnessPublicKeyHashOut());
+  if (script.isWitnessPublicKeyHashOut() || script.isWitnessScriptHashOut() || nested) {
+    map.witnessUtxo = new Output({ script: script, satoshis: input.output.satoshis });
+  }
+  if (input.redeemScript) {
+    describeScripts(map, input);
+  }
+  describeSignatures(map, input);
+  return map;
+};
+
+/**
+ * Finds the script a witness program signs
+ *
+ * @param {Object} input
+ * @param {Script} script a witness program
+ * @param {Number} index
+ * @return {Object|null}
+ */
+var witnessSpendingScript = function(input, script, index) {
+  if (script.isWitnessPublicKeyHashOut()) {
+    return { witness: true, scriptCode: new Script().add(Opcode.OP_DUP).add(Opcode.OP_HASH160)
+      .add(script.getWitnessPublicKeyHash()).add(Opcode.OP_EQUALVERIFY).add(Opcode.OP_CHECKSIG) };
+  }
+  if (!input.witnessScript) {
+    return null;
+  }
+  if (!BufferUtil.equals(Hash.sha256(input.witnessScript.toBuffer()), script.chunks[1].buf)) {
+    throw new errors.Transaction.PSBT.ScriptMismatch(index);
+  }
+  return { witness: true, scriptCode: input.witnessScript, reveal: input.witnessScript };
+};
+
+/**
+ * Finds the script an input signs and the one it reveals
+ *
+ * @param {Object} input
+ * @param {Script} script the script of the output spent
+ * @param {Number} index
+ * @return {Object|null} the `scriptCode`, whether it is signed as a `witness`
+ *   program, and the script to `reveal`, or null when the input lacks a script
+ */
+var spendingScript = function(input, script, index) {
+  var reveal;
+  if (script.isScriptHashOut()) {
+    if (!input.redeemScript) {
+      return null;
+    }
+    if (!Script.buildScriptHashOut(input.redeemScript).equals(script)) {
+      throw new errors.Transaction.PSBT.ScriptMismatch(index);
+    }
+    script = reveal = input.redeemScript;
+  }
+  if (script.isWitnessPublicKeyHashOut() || script.isWitnessScriptHashOut()) {
+    return witnessSpendingScript(input, script, index);
+  }
+  return { witness: false, scriptCode: script, reveal: reveal };
+};
+
+/**
+ * @param {Script} scriptCode
+ * @param {PublicKey} publicKey
+ * @return {Boolean} whether the script asks for a signature of the public key
+ */
+var asksFor = function(scriptCode, publicKey) {
+  var buffer = publicKey.toBuffer();
+  if (scriptCode.isPublicKeyHashOut()) {
+    return BufferUtil.equals(scriptCode.getPublicKeyHash(), Hash.sha256ripemd160(buffer));
+  }
+  return _.some(scriptCode.chunks, function(chunk) {
+    return chunk.buf && BufferUtil.equals(chunk.buf, buffer);
+  });
+};
+
+/**
+ * Builds the stack of signatures and public keys a script asks for
+ *
+ * @param {Script} scriptCode
+ * @param {Array} partialSigs
+ * @return {Array|null} the stack, or null while signatures are missing
+ */
+var unlockingStack = function(scriptCode, partialSigs) {
+  var signatureOf = function(buffer) {
+    var found = _.find(partialSigs, function(entry) {
+      return BufferUtil.equals(entry.publicKey.toBuffer(), buffer);
+    });
+    return found && found.signature.toTxFormat();
+  };
+  if (scriptCode.isPublicKeyHashOut()) {
+    var found = _.find(partialSigs, function(entry) {
+      return asksFor(scriptCode, entry.publicKey);
+    });
+    return found ? [found.signature.toTxFormat(), found.publicKey.toBuffer()] : null;
+  }
+  if (scriptCode.isPublicKeyOut()) {
+    var signature = signatureOf(scriptCode.chunks[0].buf);
+    return signature ? [signature] : null;
+  }
+  if (scriptCode.isMultisigOut()) {
+    var threshold = scriptCode.chunks[0].opcodenum - Opcode.OP_1 + 1;
+    var signatures = _.compact(_.map(scriptCode.chunks.slice(1, -2), function(chunk) {
+      return signatureOf(chunk.buf);
+    }));
+    return signatures.length >= threshold ? [new Buffer(0)].concat(_.take(signatures, threshold)) : null;
+  }
+  return null;
+};
+
+/**
+ * @param {Array} stack
+ * @return {Script} a scriptSig pushing the items of the stack
+ */
+var pushAll = function(stack) {
+  var script = new Script();
+  _.each(stack, function(item) {
+    script.add(item.length ? item : Opcode.OP_0);
+  });
+  return script;
+};
+
+/**
+ * Represents a partially signed transaction, as specified by BIP174. It is
+ * exchanged between the parties building, signing and broadcasting a
+ * transaction, like hardware wallets, co-signers or digibyted's
+ * `walletprocesspsbt`.
+ *
+ * Each of `inputs` and `outputs` holds the fields known about the matching
+ * input or output of the unsigned `transaction`:
+ *
+ * - inputs: `nonWitnessUtxo` (Transaction), `witnessUtxo` (Output),
+ *   `partialSigs` (Array of `{publicKey, signature}`), `sighashType` (Number),
+ *   `redeemScript` and `witnessScript` (Script), `bip32Derivation` (Array of
+ *   `{publicKey, masterFingerprint, path}`), `finalScriptSig` (Script) and
+ *   `finalScriptWitness` (Array of Buffers)
+ * - outputs: `redeemScript`, `witnessScript` and `bip32Derivation`
+ *
+ * Key-value pairs of other types are kept in the `unknown` list of their map.
+ *
+ * @example
+ * ```javascript
+ * var psbt = PSBT.fromTransaction(transaction);
+ * var base64 = psbt.sign(privateKey).toBase64();
+ * var signed = new PSBT(base64).combine(otherSigner).finalize().extractTransaction();
+ * ```
+ *
+ * @constructor
+ * @param {Transaction|Buffer|String=} arg a transaction built with `Transaction#from`,
+ *   or a serialized PSBT in binary, hexadecimal or base64, told apart by their magic bytes
+ * @param {Array=} previousTransactions see `PSBT.fromTransaction`
+ */
+function PSBT(arg, previousTransactions) {
+  if (!(this instanceof PSBT)) {
+    return new PSBT(arg, previousTransactions);
+  }
+  this.unknown = [];
+  this.inputs = [];
+  this.outputs = [];
+  if (arg instanceof Transaction) {
+    this._fromTransaction(arg, previousTransactions);
+  } else if (BufferUtil.isBuffer(arg)) {
+    this._fromBuffer(arg);
+  } else if (_.isString(arg) && _.startsWith(arg, MAGIC.toString('hex'))) {
+    this._fromBuffer(new Buffer(arg, 'hex'));
+  } else if (_.isString(arg) && _.startsWith(arg, MAGIC_BASE64)) {
+    this._fromBuffer(new Buffer(arg, 'base64'));
+  } else if (_.isString(arg)) {
+    throw new errors.Transaction.PSBT.InvalidEncoding('missing magic bytes');
+  } else if (!_.isUndefined(arg)) {
+    throw new errors.InvalidArgument('Must provide a transaction or a serialized PSBT');
+  }
+}
+
+/**
+ * Creates a PSBT from a transaction built with `Transaction#from`. Inputs
+ * spending witness programs get their `witnessUtxo`; legacy inputs need their
+ * previous transaction as `nonWitnessUtxo` to be signed, so pass the
+ * transactions they spend. Scripts and signatures of multisig inputs are
+ * carried over, and inputs already signed are final.
+ *
+ * @param {Transaction} transaction
+ * @param {Array=} previousTransactions the transactions spent, as Transactions or serialized
+ * @return {PSBT}
+ */
+PSBT.fromTransaction = function(transaction, previousTransactions) {
+  return new PSBT(transaction, previousTransactions);
+};
+
+/**
+ * @param {Buffer} buffer
+ * @return {PSBT}
+ */
+PSBT.fromBuffer = function(buffer) {
+  $.checkArgument(BufferUtil.isBuffer(buffer), 'Must provide a buffer');
+  return new PSBT(buffer);
+};
+
+/**
+ * @param {String} base64
+ * @return {PSBT}
+ */
+PSBT.fromBase64 = function(base64) {
+  $.checkArgument(_.isString(base64), 'Must provide a base64 string');
+  return new PSBT(new Buffer(base64, 'base64'));
+};
+
+PSBT.prototype._fromTransaction = function(transaction, previousTransactions) {
+  $.checkArgument(transaction.hasAllUtxoInfo(), 'Every input needs the output it spends, see Transaction#from');
+  previousTransactions = _.map(previousTransactions, function(previous) {
+    return new Transaction(previous);
+  });
+  this.transaction = unsignedCopy(transaction);
+  this.inputs = _.map(transaction.inputs, function(input) {
+    return describeInput(input, previousTransactions);
+  });
+  this.outputs = _.map(transaction.outputs, function() {
+    return { unknown: [] };
+  });
+};
+
+PSBT.prototype._fromBuffer = function(buffer) {
+  var reader = new BufferReader(buffer);
+  if (buffer.length < MAGIC.length || !BufferUtil.equals(reader.read(MAGIC.length), MAGIC)) {
+    throw new errors.Transaction.PSBT.InvalidEncoding('missing magic bytes');
+  }
+  var global = fromPairs(readPairs(reader), GLOBAL_FIELDS);
+  if (!global.unsignedTx) {
+    throw new errors.Transaction.PSBT.InvalidEncoding('missing unsigned transaction');
+  }
+  if (_.some(global.unsignedTx.inputs, function(input) { return input.script.chunks.length; })) {
+    throw new errors.Transaction.PSBT.InvalidEncoding('the unsigned transaction has scriptSigs');
+  }
+  this.transaction = global.unsignedTx;
+  this.unknown = global.unknown;
+  this.inputs = _.map(this.transaction.inputs, function() {
+    return fromPairs(readPairs(reader), INPUT_FIELDS);
+  });
+  this.outputs = _.map(this.transaction.outputs, function() {
+    return fromPairs(readPairs(reader), OUTPUT_FIELDS);
+  });
+  if (!reader.finished()) {
+    throw new errors.Transaction.PSBT.InvalidEncoding('unexpected data after the last output');
+  }
+};
+
+// Normalizes the fields given to `updateInput` and `updateOutput`
+var NORMALIZERS = {
+  nonWitnessUtxo: function(value) {
+    return new Transaction(value);
+  },
+  witnessUtxo: function(value) {
+    return value instanceof Output ? value : new Output(value);
+  },
+  partialSigs: function(value) {
+    return _.map(value, function(entry) {
+      var signature = entry.signature instanceof Signature ? entry.signature : Signature.fromTxFormat(entry.signature);
+      return { publicKey: new PublicKey(entry.publicKey), signature: signature };
+    });
+  },
+  sighashType: function(value) {
+    $.checkArgument(_.isNumber(value), 'sighashType must be a number');
+    return value;
+  },
+  redeemScript: readScript,
+  witnessScript: readScript,
+  bip32Derivation: function(value) {
+    return _.map(value, function(entry) {
+      $.checkArgument(HDPrivateKey.isValidPath(entry.path), 'Invalid BIP32 path: ' + entry.path);
+      var fingerprint = BufferUtil.isBuffer(entry.masterFingerprint) ?
+        entry.masterFingerprint : new Buffer(entry.masterFingerprint, 'hex');
+      $.checkArgument(fingerprint.length === 4, 'The master fingerprint must be 4 bytes long');
+      return { publicKey: new PublicKey(entry.publicKey), masterFingerprint: fingerprint, path: entry.path };
+    });
+  }
+};
+
+/**
+ * Sets fields of a map, adding to the entries of keyed fields
+ *
+ * @param {Object} map
+ * @param {Object} data
+ * @param {Array} fields the fields the map can hold
+ */
+var updateMap = function(map, data, fields) {
+  _.each(data, function(value, name) {
+    var field = _.find(fields, { name: name });
+    $.checkArgument(field && !_.isUndefined(value), 'Unknown or missing field: ' + name);
+    value = NORMALIZERS[name](value);
+    map[name] = field.keyed ? _.uniqBy(value.concat(map[name] || []), function(entry) {
+      return entry.publicKey.toString();
+    }) : value;
+  });
+};
+
+/**
+ * Adds what a signer needs to know about an input, like
+ * `{witnessUtxo: {script, satoshis}, bip32Derivation: [{publicKey, masterFingerprint, path}]}`
+ *
+ * @param {Number} index
+ * @param {Object} data fields of the input, see `PSBT`
+ * @return {PSBT} this, for chaining
+ */
+PSBT.prototype.updateInput = function(index, data) {
+  if (!this.inputs[index]) {
+    throw new errors.Transaction.InvalidIndex(index, this.inputs.length);
+  }
+  var input = this.inputs[index];
+  if (data.nonWitnessUtxo) {
+    data = _.assign({}, data, { nonWitnessUtxo: new Transaction(data.nonWitnessUtxo) });
+    if (data.nonWitnessUtxo.id !== this.transaction.inputs[index].prevTxId.toString('hex')) {
+      throw new errors.Transaction.PSBT.UtxoMismatch(index);
+    }
+  }
+  updateMap(input, data, INPUT_FIELDS);
+  return this;
+};
+
+/**
+ * Adds what a signer needs to know about an output, like the derivation of
+ * the change address
+ *
+ * @param {Number} index
+ * @param {Object} data `redeemScript`, `witnessScript` or `bip32Derivation`
+ * @return {PSBT} this, for chaining
+ */
+PSBT.prototype.updateOutput = function(index, data) {
+  if (!this.outputs[index]) {
+    throw new errors.Transaction.InvalidIndex(index, this.outputs.length);
+  }
+  updateMap(this.outputs[index], data, OUTPUT_FIELDS);
+  return this;
+};
+
+/**
+ * Finds the output an input spends
+ *
+ * @param {Number} index
+ * @return {Output|undefined}
+ */
+PSBT.prototype._getUtxo = function(index) {
+  var input = this.inputs[index];
+  var outpoint = this.transaction.inputs[index];
+  if (input.witnessUtxo) {
+    return input.witnessUtxo;
+  }
+  if (input.nonWitnessUtxo) {
+    if (input.nonWitnessUtxo.id !== outpoint.prevTxId.toString('hex')) {
+      throw new errors.Transaction.PSBT.UtxoMismatch(index);
+    }
+    return input.nonWitnessUtxo.outputs[outpoint.outputIndex];
+  }
+  return undefined;
+};
+
+/**
+ * Signs every input asking for a signature of the key, adding it to their
+ * `partialSigs`. Inputs that are final, or that lack their previous output or
+ * scripts, are left as they are.
+ *
+ * @param {Array|String|PrivateKey} privateKey
+ * @param {Number=} sigtype the type of signature, the input's `sighashType` or SIGHASH_ALL by default
+ * @return {PSBT} this, for chaining
+ */
+PSBT.prototype.sign = function(privateKey, sigtype) {
+  var self = this;
+  if (_.isArray(privateKey)) {
+    _.each(privateKey, function(privateKey) {
+      self.sign(privateKey, sigtype);
+    });
+    return this;
+  }
+  privateKey = new PrivateKey(privateKey);
+  _.each(this.inputs, function(input, index) {
+    self._signInput(index, privateKey, sigtype);
+  });
+  return this;
+};
+
+/**
+ * @param {Object} input
+ * @param {Number=} sigtype the type of signature asked for
+ * @param {Number} index
+ * @return {Number} the type of signature of the input
+ */
+var sighashType = function(input, sigtype, index) {
+  if (!_.isUndefined(input.sighashType) && !_.isUndefined(sigtype) && input.sighashType !== sigtype) {
+    throw new errors.Transaction.PSBT.SighashMismatch(index, input.sighashType);
+  }
+  return sigtype || input.sighashType || Signature.SIGHASH_ALL;
+};
+
+PSBT.prototype._signInput = function(index, privateKey, sigtype) {
+  var input = this.inputs[index];
+  var utxo = this._getUtxo(index);
+  if (isFinal(input) || !utxo) {
+    return;
+  }
+  sigtype = sighashType(input, sigtype, index);
+  var spending = spendingScript(input, utxo.script, index);
+  if (!spending || !asksFor(spending.scriptCode, privateKey.publicKey)) {
+    return;
+  }
+  var signature;
+  if (spending.witness) {
+    var scriptCode = spending.scriptCode.toBuffer();
+    signature = SighashWitness.sign(this.transaction, privateKey, sigtype, index,
+      new BufferWriter().writeVarintNum(scriptCode.length).write(scriptCode).toBuffer(),
+      new BufferWriter().writeUInt64LEBN(utxo._satoshisBN).toBuffer());
+  } else {
+    signature = Sighash.sign(this.transaction, privateKey, sigtype, index, spending.scriptCode);
+  }
+  this.updateInput(index, { partialSigs: [{ publicKey: privateKey.publicKey, signature: signature }] });
+};
+
+/**
+ * Merges other PSBTs of the same transaction into this one, as when each
+ * co-signer returns their own signatures
+ *
+ * @param {...(PSBT|Buffer|String)} others
+ * @return {PSBT} this, for chaining
+ */
+PSBT.prototype.combine = function() {
+  var self = this;
+  _.each(arguments, function(other) {
+    other = other instanceof PSBT ? other : new PSBT(other);
+    if (other.transaction.id !== self.transaction.id) {
+      throw new errors.Transaction.PSBT.Mismatch();
+    }
+    self.unknown = mergeMaps({ unknown: self.unknown }, { unknown: other.unknown }, []).unknown;
+    self.inputs = _.map(self.inputs, function(input, index) {
+      return mergeMaps(input, other.inputs[index], INPUT_FIELDS);
+    });
+    self.outputs = _.map(self.outputs, function(output, index) {
+      return mergeMaps(output, other.outputs[index], OUTPUT_FIELDS);
+    });
+  });
+  return this;
+};
+
+/**
+ * Builds the final scriptSig and witness of every input with enough
+ * signatures, dropping the fields they no longer need. Inputs missing
+ * signatures are left as they are, see `PSBT#isFinalized`.
+ *
+ * @return {PSBT} this, for chaining
+ */
+PSBT.prototype.finalize = function() {
+  var self = this;
+  _.each(this.inputs, function(input, index) {
+    if (!isFinal(input)) {
+      self._finalizeInput(index);
+    }
+  });
+  return this;
+};
+
+PSBT.prototype._finalizeInput = function(index) {
+  var input = this.inputs[index];
+  var utxo = this._getUtxo(index);
+  var spending = utxo && spendingScript(input, utxo.script, index);
+  var stack = spending && unlockingStack(spending.scriptCode, input.partialSigs);
+  if (!stack) {
+    return;
+  }
+  if (spending.reveal) {
+    stack.push(spending.reveal.toBuffer());
+  }
+  var scriptSig = pushAll(spending.witness ? [] : stack);
+  if (spending.witness && utxo.script.isScriptHashOut()) {
+    scriptSig.add(input.redeemScript.toBuffer());
+  }
+  this.inputs[index] = _.omitBy(_.assign(_.pick(input, ['nonWitnessUtxo', 'witnessUtxo', 'unknown']), {
+    finalScriptSig: scriptSig.chunks.length ? scriptSig : undefined,
+    finalScriptWitness: spending.witness ? stack : undefined
+  }), _.isUndefined);
+};
+
+/**
+ * @return {Boolean} whether every input has its final scriptSig or witness
+ */
+PSBT.prototype.isFinalized = function() {
+  return _.every(this.inputs, isFinal);
+};
+
+/**
+ * Builds the signed transaction of a finalized PSBT, ready to broadcast
+ *
+ * @return {Transaction}
+ */
+PSBT.prototype.extractTransaction = function() {
+  var self = this;
+  var transaction = Transaction.shallowCopy(this.transaction);
+  _.each(this.inputs, function(input, index) {
+    if (!isFinal(input)) {
+      throw new errors.Transaction.PSBT.NotFinalized(index);
+    }
+    transaction.inputs[index].setScript(input.finalScriptSig || Script.empty());
+    transaction.inputs[index].setWitnesses(input.finalScriptWitness || []);
+    transaction.inputs[index].output = self._getUtxo(index);
+  });
+  return transaction;
+};
+
+/**
+ * @return {Buffer} the PSBT in the binary format of BIP174
+ */
+PSBT.prototype.toBuffer = function() {
+  var writer = new BufferWriter().write(MAGIC);
+  writePairs(writer, toPairs({ unsignedTx: this.transaction, unknown: this.unknown }, GLOBAL_FIELDS));
+  _.each(this.inputs, function(input) {
+    writePairs(writer, toPairs(input, INPUT_FIELDS));
+  });
+  _.each(this.outputs, function(output) {
+    writePairs(writer, toPairs(output, OUTPUT_FIELDS));
+  });
+  return writer.toBuffer();
+};
+
+/**
+ * @return {String} the PSBT in base64, as digibyted reads and writes it
+ */
+PSBT.prototype.toBase64 = PSBT.prototype.toString = function() {
+  return this.toBuffer().toString('base64');
+};
+
+/**
+ * Provide an informative output when displaying this object in the console
+ * @returns string
+ */
+PSBT.prototype.inspect = function() {
+  return '<PSBT: ' + this.toBase64() + '>';
+};
+
+module.exports = PSBT;
@@ -23,10 +23,12 @@ var PublicKeyInput = Input.PublicKey;
 var MultiSigScriptHashInput = Input.MultiSigScriptHash;
 var MultiSigInput = Input.MultiSig;
 var WitnessPublicKeyHashInput = Input.WitnessPublicKeyHash;
+var NestedWitnessPublicKeyHashInput = Input.NestedWitnessPublicKeyHash;
 var WitnessScriptHashInput = Input.WitnessScriptHash;
 var Output = require('./output');
 var Script = require('../script');
 var PrivateKey = require('../privatekey');
+var PublicKey = require('../publickey');
 var BN = require('../crypto/bn');
 
 
@@ -85,9 +87,16 @@ Transaction.NLOCKTIME_MAX_VALUE = 4294967295;
 // Value used for fee estimation (satoshis per kilobyte)
 Transaction.FEE_PER_KB = 100000;
 
+// Fee a replacement adds per virtual byte over the one it replaces (BIP125), 10000 satoshis per kilobyte
+Transaction.INCREMENTAL_RELAY_FEE = 10;
+
 // Safe upper bound for change address script size in bytes
 Transaction.CHANGE_OUTPUT_MAX_SIZE = 20 + 4 + 34 + 4;
 Transaction.MAXIMUM_EXTRA_SIZE = 4 + 9 + 9 + 4;
+// version (4) and nLockTime (4)
+Transaction.VERSION_AND_LOCKTIME_SIZE = 4 + 4;
+// segwit marker (1) and flag (1)
+Transaction.WITNESS_HEADER_SIZE = 1 + 1;
 
 
 /* Constructors and Serialization */
@@ -166,6 +175,9 @@ Transaction.prototype._getWitnessHash = function() {
  * * `disableIsFullySigned`: disable checking if all inputs are fully signed
  * * `disableDustOutputs`: disable checking if there are no outputs that are dust amounts
  * * `disableMoreOutputThanInput`: disable checking if the transaction spends more bitcoins than the sum of the input amounts
+ * * `spentAssetInfo`: the asset holdings of each spent output, to check the DigiAsset
+ *   instruction against them, see `Transaction#verifyDigiAssets`. It isn't checked without them.
+ * * `disableDigiAssets`: disable checking the DigiAsset instruction even with `spentAssetInfo`
  * @return {string}
  */
 Transaction.prototype.serialize = function(unsafe) {
@@ -233,6 +245,7 @@ Transaction.prototype.getSerializationError = function(opts) {
 
   return unspentError ||
     this._hasDustOutputs(opts) ||
+    this._hasDigiAssetErrors(opts) ||
     this._isMissingSignatures(opts);
 };
 
@@ -285,6 +298,16 @@ Transaction.prototype._hasDustOutputs = function(opts) {
   }
 };
 
+Transaction.prototype._hasDigiAssetErrors = function(opts) {
+  if (opts.disableDigiAssets || !opts.spentAssetInfo) {
+    return;
+  }
+  var verified = this.verifyDigiAssets(opts.spentAssetInfo);
+  if (verified !== true) {
+    return new errors.Transaction.InvalidDigiAssets(verified);
+  }
+};
+
 Transaction.prototype._isMissingSignatures = function(opts) {
   if (opts.disableIsFullySigned) {
     return;
@@ -312,6 +335,26 @@ Transaction.prototype.hasWitnesses = function() {
   return false;
 };
 
+/**
+ * Retrieve the weight of the transaction as defined by BIP141: three times
+ * its size without witnesses plus its size with them
+ *
+ * @return {number}
+ */
+Transaction.prototype.getWeight = function() {
+  return this.toBuffer(true).length * (Input.WITNESS_SCALE_FACTOR - 1) + this.toBuffer().length;
+};
+
+/**
+ * Retrieve the virtual size of the transaction, its weight divided by four and
+ * rounded up, the size fee rates per byte apply to
+ *
+ * @return {number}
+ */
+Transaction.prototype.getVirtualSize = function() {
+  return Math.ceil(this.getWeight() / Input.WITNESS_SCALE_FACTOR);
+};
+
 Transaction.prototype.toBufferWriter = function(writer, noWitness) {
   writer.writeInt32LE(this.version);
 
@@ -443,10 +486,8 @@ Transaction.prototype.fromObject = function fromObject(arg) {
     var txin;
     if (script.isPublicKeyHashOut()) {
       txin = new Input.PublicKeyHash(input);
-    } else if (script.isScriptHashOut() && input.publicKeys && input.threshold) {
-      txin = new Input.MultiSigScriptHash(
-        input, input.publicKeys, input.threshold, input.signatures
-      );
+    } else if (script.isScriptHashOut()) {
+      txin = Transaction._scriptHashInput(input, script);
     } else if (script.isPublicKeyOut()) {
       txin = new Input.PublicKey(input);
     } else if (script.isWitnessPublicKeyHashOut()) {
@@ -478,6 +519,27 @@ Transaction.prototype.fromObject = function fromObject(arg) {
   return this;
 };
 
+/**
+ * Builds the input spending a P2SH output from its plain object: a multisig
+ * one when it lists the public keys and the threshold, a nested witness one
+ * when its public key or redeem script proves it
+ *
+ * @param {Object} input
+ * @param {Script} script the P2SH output script
+ * @return {Input}
+ */
+Transaction._scriptHashInput = function(input, script) {
+  if (input.publicKeys && input.threshold) {
+    return new Input.MultiSigScriptHash(
+      input, input.publicKeys, input.threshold, input.signatures
+    );
+  }
+  if (Transaction._nestedWitnessProgram(input, script)) {
+    return new Input.NestedWitnessPublicKeyHash(input);
+  }
+  throw new errors.Transaction.Input.UnsupportedScript(input.output.script);
+};
+
 Transaction.prototype._checkConsistency = function(arg) {
   if (!_.isUndefined(this._changeIndex)) {
     $.checkState(this._changeScript);
@@ -575,19 +637,34 @@ Transaction.prototype.createAssetIssuance = function(metadata, utxos) {
   return this.digiasset;
 }
 
+/**
+ *  Creates a reissuance of an unlocked asset, funded from its issue address
+ *  @return {Asset}
+ */
+Transaction.prototype.createAssetReissuance = function(metadata, utxos) {
+  $.checkState(metadata.from, 'Needs a from address');
+  $.checkState(metadata.fee, 'Needs a fee');
+  $.checkState(metadata.assetId, 'Needs the asset ID to reissue');
+  var Asset = require('../asset');
+  metadata.type = 'issuance';
+  this.digiasset = new Asset(metadata);
+  this.digiasset.createReissueTransaction(this, utxos);
+  return this.digiasset;
+};
 
 /**
- *  Creates an asset burn tx
- *  @return {Boolean}
+ *  Creates an asset burn tx, destroying the units listed in `burn` and
+ *  optionally sending others to the recipients listed in `to`
+ *  @return {Asset} the asset, with the `receipt` of the burned units
  */
 Transaction.prototype.createAssetBurn = function(metadata, utxos) {
   $.checkState(metadata.from, 'Needs a from address');
   $.checkState(metadata.fee, 'Needs a fee');
-  $.checkState(metadata.to, 'Needs a to object');
+  $.checkState(metadata.burn || metadata.to, 'Needs a burn object');
   var Asset = require('../asset');
-  metadata.type = 'transfer';
+  metadata.type = 'burn';
   this.digiasset = new Asset(metadata);
-  this.digiasset.createSendAssetTransaction(this, utxos);
+  this.digiasset.createBurnAssetTransaction(utxos, this);
   return this.digiasset;
 }
 
@@ -611,30 +688,35 @@ Transaction.prototype.createAssetTransfer = function(metadata, utxos) {
  *  @return {Boolean}
  */
 Transaction.prototype.hasDigiAssets = function() {
-  for(var i = 0; i < this.outputs.length; i++) {
-    var txOutScript = new Script(this.outputs[i].toObject().script);
-    if (txOutScript.isDigiAssetOut()) {
-      this.hasDigiAssets = true;
-    }
-  }
-  return this.hasDigiAssets;
-}
+  this.isDigiAsset = _.some(this.outputs, function(output) {
+    return output.script.isDigiAssetOut();
+  });
+  return this.isDigiAsset;
+};
 
 /**
- *  Returns true if this transaction contains any digiasset information.
- *  @return {Boolean}
+ *  Decodes the digiasset instruction of this transaction.
+ *  @return {Asset|null}
  */
 Transaction.prototype.getDigiAssets = function() {
-  var asset = null;
-  for(var i = 0; i < this.outputs.length; i++) {
-    var txOutScript = new Script(this.outputs[i].toObject().script);
-    if (txOutScript.isDigiAssetOut()) {
-      asset = txOutScript.decodeDigiAsset(this.inputs[0]);
-    }
-  }
-  return asset;
+  var Asset = require('../asset');
+  return Asset.decode(this);
 }
 
+/**
+ *  Explains what the digiasset instruction of this transaction does, see `Asset.Explanation`.
+ *  @param {Array=} spentAssetInfo the asset holdings of each spent output, to name the assets moved
+ *  @param {Network|String=} network the network of the addresses
+ *  @return {Explanation|null} null when the transaction has no digiasset instruction
+ */
+Transaction.prototype.explainDigiAssets = function(spentAssetInfo, network) {
+  if (!this.hasDigiAssets()) {
+    return null;
+  }
+  var Explanation = require('../asset/explanation');
+  return new Explanation(this, spentAssetInfo, network);
+};
+
 Transaction.prototype.fromString = function(string) {
   this.fromBuffer(buffer.Buffer.from(string, 'hex'));
 };
@@ -689,6 +771,10 @@ Transaction.prototype._newTransaction = function() {
  * // From a multisig P2SH output
  * transaction.from({'txId': '0000...', inputIndex: 0, satoshis: 1000, script: '... OP_HASH'},
  *                  ['03000...', '02000...'], 2);
+ *
+ * // From a P2SH-P2WPKH output, given its public key or its redeem script
+ * transaction.from({'txId': '0000...', outputIndex: 0, satoshis: 1000, script: '... OP_HASH',
+ *                   publicKey: '03000...'});
  * ```
  *
  * @param {(Array.<Transaction~fromObject>|Transaction~fromObject)} utxo
@@ -719,15 +805,35 @@ Transaction.prototype.from = function(utxo, pubkeys, threshold, nestedWitness) {
   return this;
 };
 
+/**
+ * Finds the witness program a P2SH output nests, proven by the public key or
+ * the redeem script given with it
+ *
+ * @param {Object} utxo with the `publicKey` or the `redeemScript` of the output
+ * @param {Script} script the P2SH output script
+ * @return {Script|undefined} the P2WPKH program, when it hashes to the output
+ */
+Transaction._nestedWitnessProgram = function(utxo, script) {
+  var program = utxo.publicKey ? Script.buildWitnessV0Out(new PublicKey(utxo.publicKey).toAddress()) :
+    utxo.redeemScript ? new Script(utxo.redeemScript) : undefined;
+  if (program && program.isWitnessPublicKeyHashOut() && program.toScriptHashOut().equals(script)) {
+    return program;
+  }
+};
+
 Transaction.prototype._fromNonP2SH = function(utxo) {
   var clazz;
+  var proof = _.pick(utxo, ['publicKey', 'redeemScript']);
   utxo = new UnspentOutput(utxo);
+  var redeemScript = Transaction._nestedWitnessProgram(proof, utxo.script);
   if (utxo.script.isPublicKeyHashOut()) {
     clazz = PublicKeyHashInput;
   } else if (utxo.script.isPublicKeyOut()) {
     clazz = PublicKeyInput;
   } else if (utxo.script.isWitnessPublicKeyHashOut()) {
     clazz = WitnessPublicKeyHashInput;
+  } else if (redeemScript) {
+    clazz = NestedWitnessPublicKeyHashInput;
   } else {
     clazz = Input;
   }
@@ -738,7 +844,8 @@ Transaction.prototype._fromNonP2SH = function(utxo) {
     }),
     prevTxId: utxo.txId,
     outputIndex: utxo.outputIndex,
-    script: Script.empty()
+    script: Script.empty(),
+    redeemScript: redeemScript
   }));
 };
 
@@ -849,6 +956,24 @@ Transaction.prototype.feePerKb = function(amount) {
   return this;
 };
 
+/**
+ * Manually set the fee per virtual byte for this transaction. The fee is then
+ * estimated from the virtual size of the signed transaction, which discounts
+ * witness data, instead of its size in kilobytes. Takes precedence over
+ * `feePerKb`. Beware that this resets all the signatures for inputs (in
+ * further versions, SIGHASH_SINGLE or SIGHASH_NONE signatures will not be
+ * reset).
+ *
+ * @param {number} amount satoshis per virtual byte to be sent
+ * @return {Transaction} this, for chaining
+ */
+Transaction.prototype.feePerVbyte = function(amount) {
+  $.checkArgument(_.isNumber(amount), 'amount must be a number');
+  this._feePerVbyte = amount;
+  this._updateChangeOutput();
+  return this;
+};
+
 /* Output management */
 
 /**
@@ -1056,14 +1181,34 @@ Transaction.prototype.getFee = function() {
 };
 
 /**
- * Estimates fee from serialized transaction size in bytes.
+ * Estimates fee from serialized transaction size in bytes, or from its virtual
+ * size when a fee per virtual byte is set.
  */
 Transaction.prototype._estimateFee = function() {
-  var estimatedSize = this._estimateSize();
   var available = this._getUnspentValue();
+  if (!_.isUndefined(this._feePerVbyte)) {
+    return this._estimateFeeByVirtualSize(available);
+  }
+  var estimatedSize = this._estimateSize();
   return Transaction._estimateFee(estimatedSize, available, this._feePerKb);
 };
 
+/**
+ * Estimates fee from the virtual size of the signed transaction, making room
+ * for the change output when the unspent value covers the fee.
+ *
+ * @param {number} available the unspent value of the transaction
+ * @return {number}
+ */
+Transaction.prototype._estimateFeeByVirtualSize = function(available) {
+  var size = this._estimateVirtualSize();
+  var fee = Math.ceil(size * this._feePerVbyte);
+  if (available > fee) {
+    size += this._changeScript ? Transaction._outputSize(this._changeScript) : Transaction.CHANGE_OUTPUT_MAX_SIZE;
+  }
+  return Math.ceil(size * this._feePerVbyte);
+};
+
 Transaction.prototype._getUnspentValue = function() {
   return this._getInputAmount() - this._getOutputAmount();
 };
@@ -1093,6 +1238,50 @@ Transaction.prototype._estimateSize = function() {
   return result;
 };
 
+/**
+ * @param {Script} script
+ * @return {number} the serialized size of an output paying to the script
+ */
+Transaction._outputSize = function(script) {
+  var length = script.toBuffer().length;
+  return 8 + BufferWriter.varintBufNum(length).length + length;
+};
+
+/**
+ * Estimates the weight of the transaction once all its inputs are signed, as
+ * defined by BIP141
+ *
+ * @return {number}
+ */
+Transaction.prototype._estimateWeight = function() {
+  var size = Transaction.VERSION_AND_LOCKTIME_SIZE +
+    BufferWriter.varintBufNum(this.inputs.length).length +
+    BufferWriter.varintBufNum(this.outputs.length).length;
+  _.each(this.outputs, function(output) {
+    size += Transaction._outputSize(output.script);
+  });
+  var weight = size * Input.WITNESS_SCALE_FACTOR;
+  var witnessless = 0;
+  _.each(this.inputs, function(input) {
+    weight += input._estimateWeight();
+    witnessless += input._estimateWitnessSize() ? 0 : 1;
+  });
+  if (witnessless < this.inputs.length) {
+    // inputs without a witness still serialize an empty one
+    weight += Transaction.WITNESS_HEADER_SIZE + witnessless;
+  }
+  return weight;
+};
+
+/**
+ * Estimates the virtual size of the transaction once all its inputs are signed
+ *
+ * @return {number}
+ */
+Transaction.prototype._estimateVirtualSize = function() {
+  return Math.ceil(this._estimateWeight() / Input.WITNESS_SCALE_FACTOR);
+};
+
 Transaction.prototype._removeOutput = function(index) {
   var output = this.outputs[index];
   this.outputs = _.without(this.outputs, output);
@@ -1383,6 +1572,70 @@ Transaction.prototype.verify = function() {
   return true;
 };
 
+/**
+ * Check that the DigiAsset instruction of a transaction is consistent. If not,
+ * return a string describing the error. Payments to missing or unspendable
+ * outputs and paid outputs below the dust amount are always found; given the
+ * asset contents of the spent outputs, the instruction is also replayed to find
+ * overspent payments and units that would end up in an unspendable output.
+ *
+ * @param {Array=} spentAssetInfo the asset holdings of each spent output, in
+ *   input order, see `Asset.Ledger`
+ * @return {Boolean|String}
+ */
+Transaction.prototype.verifyDigiAssets = function(spentAssetInfo) {
+  var asset;
+  try {
+    asset = this.getDigiAssets();
+  } catch (e) {
+    return 'transaction DigiAsset instruction is invalid: ' + e.message;
+  }
+  var error = asset && this._verifyDigiAssetPayments(asset.payments);
+  if (!error && spentAssetInfo) {
+    error = this._verifyDigiAssetBalances(spentAssetInfo);
+  }
+  return error || true;
+};
+
+Transaction.prototype._verifyDigiAssetPayments = function(payments) {
+  var self = this;
+  var error;
+  _.each(payments, function(payment, index) {
+    if (payment.burn) {
+      return;
+    }
+    _.each(_.range(payment.range ? 0 : payment.output, payment.output + 1), function(outputIndex) {
+      var output = self.outputs[outputIndex];
+      if (!output) {
+        error = 'transaction DigiAsset payment ' + index + ' pays to non-existent output ' + outputIndex;
+      } else if (output.script.isDataOut()) {
+        error = 'transaction DigiAsset payment ' + index + ' pays to unspendable output ' + outputIndex;
+      } else if (output.satoshis < Transaction.DUST_AMOUNT) {
+        error = 'transaction DigiAsset output ' + outputIndex + ' holds assets below the dust amount';
+      }
+      return !error;
+    });
+    return !error;
+  });
+  return error;
+};
+
+Transaction.prototype._verifyDigiAssetBalances = function(spentAssetInfo) {
+  var Ledger = require('../asset/ledger');
+  var ledger = new Ledger(this, spentAssetInfo);
+  if (!ledger.valid) {
+    return 'transaction DigiAsset instruction is invalid: ' + ledger.error;
+  }
+  var self = this;
+  var index = _.findIndex(ledger.outputs, function(holdings, outputIndex) {
+    return holdings.length && self.outputs[outputIndex].script.isDataOut();
+  });
+  if (index >= 0) {
+    return 'transaction DigiAsset output ' + index + ' is unspendable and would destroy asset ' +
+      ledger.outputs[index][0].assetId;
+  }
+};
+
 /**
  * Analogous to bitcoind's IsCoinBase function in transaction.h
  */
@@ -1420,4 +1673,173 @@ Transaction.prototype.enableRBF = function() {
   return this;
 };
 
+/**
+ * Builds a replacement of this transaction paying a higher fee rate, following
+ * the rules of BIP125: the replacement pays a higher fee than this one, plus
+ * the incremental relay fee for its own size, and spends no new unconfirmed
+ * output. The fee comes out of the change output, which keeps its index and is
+ * dropped when what remains would be dust, and then out of the `utxos` given,
+ * which are added as inputs signaling replaceability. The sequence numbers of
+ * the inputs already there are kept.
+ *
+ * The change output is the one set with `change`, or the one at `changeIndex`,
+ * or the one paying `changeAddress`. The replacement's inputs are unsigned,
+ * unless `privateKeys` are given to sign them.
+ *
+ * This transaction must know the outputs its inputs spend. Fees paid by its
+ * descendants in the mempool aren't accounted for.
+ *
+ * @param {number} feeRate the new fee rate, in satoshis per virtual byte
+ * @param {Object=} opts
+ * @param {number=} opts.changeIndex the index of the change output
+ * @param {Address|String=} opts.changeAddress the change address, where the value of added inputs goes
+ * @param {Array=} opts.utxos outputs that can be added as inputs, confirmed ones as
+ *   BIP125 requires: those with `confirmations` at 0 are skipped, and those without
+ *   the field, like `UnspentOutput`s, are taken to be confirmed
+ * @param {PrivateKey|Array=} opts.privateKeys the keys to sign the replacement with
+ * @param {number=} opts.incrementalRelayFee in satoshis per virtual byte, `INCREMENTAL_RELAY_FEE` by default
+ * @return {Transaction} the replacement
+ */
+Transaction.prototype.bumpFee = function(feeRate, opts) {
+  opts = opts || {};
+  this._checkBumpFee(feeRate);
+  var currentFee = this._getUnspentValue();
+  var incrementalRelayFee = _.isUndefined(opts.incrementalRelayFee) ?
+    Transaction.INCREMENTAL_RELAY_FEE : opts.incrementalRelayFee;
+  var requiredFee = function(virtualSize) {
+    return Math.max(Math.ceil(virtualSize * feeRate), currentFee + Math.ceil(virtualSize * incrementalRelayFee));
+  };
+  var changeIndex = this._findChangeIndex(opts);
+  var changeOutput = this.outputs[changeIndex];
+  var change = changeOutput ? { script: changeOutput.script, index: changeIndex } :
+    opts.changeAddress ? { script: Script.fromAddress(opts.changeAddress), index: this.outputs.length } : undefined;
+  var replacement = this._replacement(changeOutput ? changeIndex : undefined);
+  replacement._settleBump(requiredFee, change, opts.utxos);
+  if (opts.privateKeys) {
+    replacement.sign(opts.privateKeys);
+  }
+  return replacement;
+};
+
+/**
+ * Checks that this transaction can be replaced by one paying the fee rate
+ *
+ * @param {number} feeRate in satoshis per virtual byte
+ */
+Transaction.prototype._checkBumpFee = function(feeRate) {
+  $.checkArgument(_.isNumber(feeRate) && feeRate > 0, 'feeRate', 'Fee rate must be a positive number');
+  $.checkState(this.hasAllUtxoInfo(), 'Need the outputs spent by the inputs to bump the fee');
+  if (!this.isRBF()) {
+    throw new errors.Transaction.BumpFee.NotReplaceable();
+  }
+  var currentFeeRate = this._getUnspentValue() / this._estimateVirtualSize();
+  if (feeRate <= currentFeeRate) {
+    throw new errors.Transaction.BumpFee.FeeRateTooLow(Math.round(currentFeeRate * 100) / 100);
+  }
+};
+
+/**
+ * Finds the change output: the one given by index, or the one set with
+ * `change`, or the one paying the change address
+ *
+ * @param {Object} opts the options of `bumpFee`
+ * @return {number|undefined}
+ */
+Transaction.prototype._findChangeIndex = function(opts) {
+  if (!_.isUndefined(opts.changeIndex)) {
+    return opts.changeIndex;
+  }
+  if (!_.isUndefined(this._changeIndex) || !opts.changeAddress) {
+    return this._changeIndex;
+  }
+  var changeScript = Script.fromAddress(opts.changeAddress);
+  var index = _.findIndex(this.outputs, function(output) {
+    return output.script.equals(changeScript);
+  });
+  return index < 0 ? undefined : index;
+};
+
+/**
+ * Copies this transaction without its signatures, its fee settings and its
+ * change output
+ *
+ * @param {number=} changeIndex
+ * @return {Transaction}
+ */
+Transaction.prototype._replacement = function(changeIndex) {
+  var replacement = new Transaction(this.toObject());
+  replacement._fee = undefined;
+  replacement._changeScript = undefined;
+  replacement._changeIndex = undefined;
+  replacement._clearSignatures();
+  if (!_.isUndefined(changeIndex)) {
+    replacement._removeOutput(changeIndex);
+  }
+  return replacement;
+};
+
+/**
+ * Sets the fee of a replacement, adding confirmed outputs as inputs, the
+ * largest first, until they pay it. Outputs that don't tell their confirmations
+ * are taken to be confirmed
+ *
+ * @param {Function} requiredFee the fee required for a virtual size
+ * @param {Object=} change the `script` and `index` of the change output, if any
+ * @param {Array=} utxos the outputs that can be added
+ */
+Transaction.prototype._settleBump = function(requiredFee, change, utxos) {
+  var self = this;
+  var confirmed = _.filter(utxos, function(utxo) {
+    return _.isUndefined(utxo.confirmations) || utxo.confirmations > 0;
+  });
+  utxos = _.sortBy(confirmed, function(utxo) {
+    return -new UnspentOutput(utxo).satoshis;
+  });
+  var unspent = function(utxo) {
+    utxo = new UnspentOutput(utxo);
+    return !_.some(self.inputs, function(input) {
+      return input.prevTxId.toString('hex') === utxo.txId && input.outputIndex === utxo.outputIndex;
+    });
+  };
+  var missing = this._payBumpedFee(requiredFee, change);
+  while (missing > 0) {
+    var utxo = _.find(utxos, unspent);
+    if (!utxo) {
+      throw new errors.Transaction.BumpFee.NotEnoughFunds(missing);
+    }
+    this.from(utxo);
+    _.last(this.inputs).sequenceNumber = Input.DEFAULT_RBF_SEQNUMBER;
+    missing = this._payBumpedFee(requiredFee, change);
+  }
+};
+
+/**
+ * Pays the fee required from the unspent value, with a change output for the
+ * rest, at its index, when it isn't dust
+ *
+ * @param {Function} requiredFee the fee required for a virtual size
+ * @param {Object=} change the `script` and `index` of the change output
+ * @return {number} the satoshis missing to pay the fee, 0 once paid
+ */
+Transaction.prototype._payBumpedFee = function(requiredFee, change) {
+  var available = this._getUnspentValue();
+  var virtualSize = this._estimateVirtualSize();
+  if (change) {
+    var fee = requiredFee(virtualSize + Transaction._outputSize(change.script));
+    if (available - fee >= Transaction.DUST_AMOUNT) {
+      this.outputs.splice(change.index, 0, new Output({ script: change.script, satoshis: available - fee }));
+      this._outputAmount = undefined;
+      this._changeScript = change.script;
+      this._changeIndex = change.index;
+      this._fee = fee;
+      return 0;
+    }
+  }
+  var missing = requiredFee(virtualSize) - available;
+  if (missing <= 0) {
+    this.fee(available);
+  }
+  return Math.max(missing, 0);
+};
+
 module.exports = Transaction;
\ No newline at end of file
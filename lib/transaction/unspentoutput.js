@@ -8,6 +8,40 @@ var Script = require('../script');
 var Address = require('../address');
 var Unit = require('../unit');
 
+var AGGREGATION_POLICIES = ['aggregatable', 'hybrid', 'dispersed'];
+
+/**
+ * Checks the holding of an asset in an unspent output, filling in the defaults
+ *
+ * @param {Object} holding
+ * @param {String} outpoint the "txid:index" of the output, for error messages
+ * @return {Object}
+ */
+var readHolding = function(holding, outpoint) {
+  var invalid = 'Invalid asset holding in ' + outpoint + ': ';
+  $.checkArgument(_.isObject(holding), 'assets', invalid + 'expected an object');
+  $.checkArgument(_.isString(holding.assetId) && holding.assetId.length, 'assets', invalid + 'missing the asset ID');
+  $.checkArgument(_.isSafeInteger(holding.amount) && holding.amount > 0, 'assets',
+                  invalid + 'amount must be a positive integer, received ' + holding.amount);
+  var divisibility = _.isUndefined(holding.divisibility) ? 0 : holding.divisibility;
+  $.checkArgument(_.isInteger(divisibility) && divisibility >= 0 && divisibility <= 7, 'assets',
+                  invalid + 'divisibility must be between 0 and 7, received ' + divisibility);
+  var aggregationPolicy = holding.aggregationPolicy || AGGREGATION_POLICIES[0];
+  $.checkArgument(_.includes(AGGREGATION_POLICIES, aggregationPolicy), 'assets',
+                  invalid + 'unknown aggregation policy ' + aggregationPolicy);
+  $.checkArgument(_.isUndefined(holding.issueTxid) ||
+                  JSUtil.isHexaString(holding.issueTxid) && holding.issueTxid.length === 64, 'assets',
+                  invalid + 'invalid issue txid ' + holding.issueTxid);
+  return _.omitBy({
+    assetId: holding.assetId,
+    amount: holding.amount,
+    divisibility: divisibility,
+    aggregationPolicy: aggregationPolicy,
+    issueTxid: holding.issueTxid,
+    lockStatus: holding.lockStatus
+  }, _.isUndefined);
+};
+
 /**
  * Represents an unspent output information: its script, associated amount and address,
  * transaction id and output index.
@@ -23,6 +57,8 @@ var Unit = require('../unit');
  * @param {number} data.amount amount of bitcoins associated
  * @param {number=} data.satoshis alias for `amount`, but expressed in satoshis (1 DGB = 1e8 satoshis)
  * @param {string|Address=} data.address the associated address to the script, if provided
+ * @param {Array=} data.assets the DigiAssets held by the output, like
+ *   `{assetId, amount, divisibility, aggregationPolicy, issueTxid}`
  */
 function UnspentOutput(data) {
   /* jshint maxcomplexity: 20 */
@@ -48,12 +84,17 @@ function UnspentOutput(data) {
                   'Must provide an amount for the output');
   var amount = !_.isUndefined(data.amount) ? new Unit.fromDGB(data.amount).toSatoshis() : data.satoshis;
   $.checkArgument(_.isNumber(amount), 'Amount must be a number');
+  $.checkArgument(_.isUndefined(data.assets) || _.isArray(data.assets), 'assets', 'Assets must be an array');
+  var assets = _.map(data.assets, function(holding) {
+    return readHolding(holding, txId + ':' + outputIndex);
+  });
   JSUtil.defineImmutable(this, {
     address: address,
     txId: txId,
     outputIndex: outputIndex,
     script: script,
-    satoshis: amount
+    satoshis: amount,
+    assets: assets
   });
 }
 
@@ -62,8 +103,9 @@ function UnspentOutput(data) {
  * @returns string
  */
 UnspentOutput.prototype.inspect = function() {
+  var assets = this.assets.length ? ', assets: ' + this.assets.length : '';
   return '<UnspentOutput: ' + this.txId + ':' + this.outputIndex +
-         ', satoshis: ' + this.satoshis + ', address: ' + this.address + '>';
+         ', satoshis: ' + this.satoshis + ', address: ' + this.address + assets + '>';
 };
 
 /**
@@ -88,13 +130,25 @@ UnspentOutput.fromObject = function(data) {
  * @return {object}
  */
 UnspentOutput.prototype.toObject = UnspentOutput.prototype.toJSON = function toObject() {
-  return {
+  var obj = {
     address: this.address ? this.address.toString() : undefined,
     txid: this.txId,
     vout: this.outputIndex,
     scriptPubKey: this.script.toBuffer().toString('hex'),
     amount: Unit.fromSatoshis(this.satoshis).toDGB()
   };
+  if (this.assets.length) {
+    obj.assets = _.map(this.assets, _.clone);
+  }
+  return obj;
+};
+
+/**
+ * Tells whether the output holds any DigiAsset
+ * @return {boolean}
+ */
+UnspentOutput.prototype.hasAssets = function() {
+  return this.assets.length > 0;
 };
 
 module.exports = UnspentOutput;
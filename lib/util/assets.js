@@ -1,11 +1,36 @@
+'use strict';
+
 var sffc = require('sffc-encoder');
+var errors = require('../errors');
 
 module.exports = {
+  // the DigiAsset protocol versions that can be encoded and decoded
+  VERSIONS: [0x01, 0x02, 0x03],
+
+  checkVersion: function(version) {
+    if (this.VERSIONS.indexOf(version) < 0) {
+      throw new errors.Asset.UnsupportedVersion(version);
+    }
+  },
+
   consumer: function(buff) {
     var curr = 0
-    return function consume (len) {
+    var consume = function (len) {
+      if (curr + len > buff.length) {
+        throw new errors.Asset.InvalidEncoding('expected ' + len + ' more bytes at position ' + curr);
+      }
       return buff.slice(curr, curr += len)
     };
+    consume.remaining = function () {
+      return buff.length - curr;
+    };
+    return consume;
+  },
+
+  // version 1 issuances carry the amount in the smallest units, 10^divisibility of them
+  // for a whole unit, while the amount given and read is in whole units
+  encodeAmountByVersion: function(version, amount, divisibility) {
+    return sffc.encode((version === 0x01)? Math.round(amount * Math.pow(10, divisibility)) : amount);
   },
 
   decodeAmountByVersion: function(version, consume, divisibility) {
@@ -544,6 +544,48 @@ describe('Address', function() {
 
   });
 
+  describe('DigiAsset addresses', function() {
+
+    var witness = 'dgb1qc4aphwsj5vf588un9kxdmg23cm6hppacfq2ef7';
+    var digiAsset = 'dap1qc4aphwsj5vf588un9kxdmg23cm6hppac54jccx';
+
+    it('reads back a DigiAsset address string', function() {
+      var address = Address.fromDigiAssetString(digiAsset);
+      address.network.should.equal(Networks.livenet);
+      address.type.should.equal(Address.PayToWitnessPublicKeyHash);
+      address.toString().should.equal(witness);
+      address.toDigiAssetString().should.equal(digiAsset);
+    });
+
+    it('is recognized by fromString and isValid', function() {
+      Address.fromString(digiAsset).toString().should.equal(witness);
+      new Address(digiAsset.toUpperCase()).toString().should.equal(witness);
+      Address.isValid(digiAsset).should.equal(true);
+      Address.isValid(digiAsset, 'livenet').should.equal(true);
+      Address.isValid(digiAsset, 'testnet').should.equal(false);
+      Address.isValid(digiAsset.slice(0, -1) + 'y').should.equal(false);
+    });
+
+    it('reads a pay to public key hash address when asked', function() {
+      var legacy = new Address(str);
+      var address = Address.fromDigiAssetString(legacy.toDigiAssetString(), null, Address.PayToPublicKeyHash);
+      address.toString().should.equal(str);
+      expect(function() {
+        return Address.fromDigiAssetString(legacy.toDigiAssetString(), null, Address.PayToWitnessScriptHash);
+      }).to.throw('Address has mismatched type.');
+    });
+
+    it('fails on strings without a DigiAsset prefix', function() {
+      expect(function() {
+        return Address.fromDigiAssetString(witness);
+      }).to.throw('Address has mismatched network type.');
+      expect(function() {
+        return Address.fromDigiAssetString(1);
+      }).to.throw(digibyte.errors.InvalidArgument);
+    });
+
+  });
+
   describe('#inspect', function() {
     it('should output formatted output correctly', function() {
       var address = new Address(str);
@@ -0,0 +1,187 @@
+'use strict';
+
+var _ = require('lodash');
+var should = require('chai').should();
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+var digibyte = require('../..');
+var Airdrop = digibyte.Asset.Airdrop;
+var Asset = digibyte.Asset;
+var PrivateKey = digibyte.PrivateKey;
+var Script = digibyte.Script;
+var Transaction = digibyte.Transaction;
+var errors = digibyte.errors;
+
+describe('Airdrop', function() {
+
+  var privateKey = new PrivateKey(new digibyte.crypto.BN(1234567), 'livenet');
+  var from = privateKey.toLegacyAddress();
+  var prevTxId = 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458';
+  var utxo = function(index, value, assets) {
+    return {
+      address: from.toString(),
+      txid: prevTxId,
+      index: index,
+      value: value,
+      scriptPubKey: { hex: Script.buildPublicKeyHashOut(from).toHex() },
+      assets: assets
+    };
+  };
+  var holding = function(amount, aggregationPolicy) {
+    return { assetId: 'La1', amount: amount, aggregationPolicy: aggregationPolicy || 'aggregatable' };
+  };
+  var funding = utxo(9, 100000000);
+  var assetUtxo = utxo(0, Transaction.DUST_AMOUNT, [holding(100000)]);
+  var recipients = function(count, amount) {
+    return _.times(count, function(n) {
+      var address = new PrivateKey(new digibyte.crypto.BN(5000 + n), 'livenet').toLegacyAddress();
+      return { address: address, amount: _.isFunction(amount) ? amount(n) : amount };
+    });
+  };
+  var airdrop = function(list, options) {
+    return new Airdrop(_.assign({ assetId: 'La1', from: from, fee: 5000, recipients: list }, options));
+  };
+  var unitsPaid = function(tx) {
+    return _.sumBy(Asset.decode(tx).payments, function(payment) {
+      return payment.range ? payment.amount * (payment.output + 1) : payment.amount;
+    });
+  };
+
+  it('can be created without "new"', function() {
+    Airdrop({ assetId: 'La1', from: from, recipients: recipients(1, 1) }).should.be.instanceof(Airdrop);
+  });
+
+  it('needs recipients receiving a positive number of units', function() {
+    expect(function() {
+      return airdrop([]);
+    }).to.throw(digibyte.errors.InvalidArgument);
+    expect(function() {
+      return airdrop(recipients(1, 0));
+    }).to.throw(digibyte.errors.InvalidArgument);
+  });
+
+  it('needs transactions paying at least a recipient', function() {
+    expect(function() {
+      return airdrop(recipients(1, 1), { maxOutputs: -1 });
+    }).to.throw(digibyte.errors.InvalidArgument);
+    var drop = airdrop(recipients(1, 1));
+    drop.maxOutputs = 0;
+    expect(function() {
+      return drop.plan([assetUtxo, funding]);
+    }).to.throw(digibyte.errors.InvalidState);
+  });
+
+  it('pays the recipients receiving the same amount with a range payment', function() {
+    var list = recipients(3, 7).concat(recipients(2, function(n) { return 20 + n; }).reverse());
+    var plan = airdrop(list).plan([assetUtxo, funding]);
+    plan.transactions.length.should.equal(1);
+    plan.transactions[0].payments.should.deep.equal([
+      { input: 0, amount: 7, output: 2, range: true, percent: false },
+      { input: 0, amount: 21, output: 3, range: false, percent: false },
+      { input: 0, amount: 20, output: 4, range: false, percent: false }
+    ]);
+    _.map(plan.transactions[0].recipients, 'amount').should.deep.equal([7, 7, 7, 21, 20]);
+  });
+
+  it('splits the recipients into a chain of transactions linked by their change', function() {
+    var list = recipients(150, function(n) { return n < 120 ? 10 : 1000 + n; });
+    var txs = airdrop(list).build([assetUtxo, funding], privateKey);
+    txs.length.should.be.above(1);
+    _.sumBy(txs, function(tx) { return tx.outputs.length - 2; }).should.equal(150);
+    _.sumBy(txs, unitsPaid).should.equal(_.sumBy(list, 'amount'));
+    txs.forEach(function(tx, index) {
+      tx.isFullySigned().should.equal(true);
+      _.find(tx.outputs, function(output) { return output.script.isDataOut(); })
+        .script.getData().length.should.be.at.most(Asset.MAXBYTESIZE);
+      _.last(tx.outputs).script.toAddress().toString().should.equal(from.toString());
+      if (index) {
+        tx.inputs.length.should.equal(1);
+        tx.inputs[0].prevTxId.toString('hex').should.equal(txs[index - 1].id);
+        tx.inputs[0].outputIndex.should.equal(txs[index - 1].outputs.length - 1);
+      }
+      should.exist(new Transaction(tx.serialize()));
+    });
+  });
+
+  it('fills the OP_RETURN of a transaction to the last byte', function() {
+    var list = recipients(24, function(n) { return 100 + n; }).concat(recipients(2, function(n) { return 1 + n; }));
+    var plan = airdrop(list).plan([assetUtxo, funding]);
+    plan.transactions.length.should.equal(1);
+    plan.transactions[0].opReturnSize.should.equal(Asset.MAXBYTESIZE);
+    var txs = airdrop(list).build([assetUtxo, funding], privateKey);
+    txs.length.should.equal(1);
+    _.find(txs[0].outputs, function(output) { return output.script.isDataOut(); })
+      .script.getData().length.should.equal(Asset.MAXBYTESIZE);
+  });
+
+  it('moves the recipient overflowing the OP_RETURN to the next transaction', function() {
+    var list = recipients(24, function(n) { return 100 + n; }).concat(recipients(3, function(n) { return 1 + n; }));
+    var plan = airdrop(list).plan([assetUtxo, funding]);
+    _.map(plan.transactions, function(batch) { return batch.recipients.length; }).should.deep.equal([26, 1]);
+    plan.transactions[0].opReturnSize.should.equal(Asset.MAXBYTESIZE);
+    plan.transactions[1].recipients[0].address.toString().should.equal(list[26].address.toString());
+    var txs = airdrop(list).build([assetUtxo, funding], privateKey);
+    _.sumBy(txs, unitsPaid).should.equal(_.sumBy(list, 'amount'));
+  });
+
+  it('pays no more recipients in a transaction than asked', function() {
+    var plan = airdrop(recipients(30, 5), { maxOutputs: 12 }).plan([assetUtxo, funding]);
+    _.map(plan.transactions, function(batch) { return batch.recipients.length; }).should.deep.equal([12, 12, 6]);
+  });
+
+  it('pays a percent of the holding when it is shorter', function() {
+    var plan = airdrop(recipients(1, 123456789)).plan([utxo(0, Transaction.DUST_AMOUNT, [holding(246913578)]), funding]);
+    plan.transactions[0].payments.should.deep.equal([{ input: 0, amount: 50, output: 0, range: false, percent: true }]);
+  });
+
+  it('credits each recipient its amount once the ledger replays the payments', function() {
+    var list = recipients(3, 7).concat(recipients(1, 123456789));
+    var assetUtxos = [utxo(0, Transaction.DUST_AMOUNT, [holding(246913578 + 21)])];
+    var txs = airdrop(list).build(assetUtxos.concat(funding), privateKey);
+    txs.length.should.equal(1);
+    Asset.decode(txs[0]).payments.should.deep.equal([
+      { input: 0, amount: 7, output: 2, range: true, percent: false },
+      { input: 0, amount: 50, output: 3, range: false, percent: true }
+    ]);
+    var ledger = new Asset.Ledger(txs[0], [assetUtxos[0].assets]);
+    ledger.valid.should.equal(true);
+    _.map(list, function(recipient, index) {
+      return ledger.getOutputAssets(index)[0].amount;
+    }).should.deep.equal([7, 7, 7, 123456789]);
+    _.last(ledger.outputs)[0].amount.should.equal(123456789);
+  });
+
+  it('tells how many satoshis are missing', function() {
+    var plan = airdrop(recipients(2, 5)).plan([assetUtxo]);
+    plan.satoshis.should.equal(3 * Transaction.DUST_AMOUNT + 5000);
+    plan.missing.should.equal(plan.satoshis - Transaction.DUST_AMOUNT);
+    expect(function() {
+      return airdrop(recipients(2, 5)).build([assetUtxo]);
+    }).to.throw(errors.Asset.NotEnoughFunds);
+  });
+
+  it('refuses to send a dust change to the holding address', function() {
+    var drop = airdrop(recipients(2, 5));
+    var plan = drop.plan([assetUtxo, funding]);
+    drop.plan = sinon.stub().returns(_.assign(plan, { inputs: Asset.toUnspentOutputs([assetUtxo, utxo(9, 5500)]) }));
+    expect(function() {
+      return drop.build([assetUtxo, funding]);
+    }).to.throw(errors.Asset.NotEnoughFunds);
+  });
+
+  it('fails without enough units of the asset', function() {
+    expect(function() {
+      return airdrop(recipients(2, 60000)).plan([assetUtxo, funding]);
+    }).to.throw(errors.Asset.NotEnoughAssets);
+  });
+
+  it('refuses to combine dispersed units', function() {
+    var utxos = [utxo(0, Transaction.DUST_AMOUNT, [holding(5, 'dispersed')]), utxo(1, Transaction.DUST_AMOUNT, [holding(5, 'dispersed')])];
+    expect(function() {
+      return airdrop(recipients(2, 4)).plan(utxos.concat(funding));
+    }).to.throw(errors.Asset.DispersedAggregation);
+    airdrop(recipients(2, 2)).plan(utxos.concat(funding)).inputs.length.should.equal(2);
+  });
+
+});
@@ -0,0 +1,1347 @@
+'use strict';
+
+var _ = require('lodash');
+var should = require('chai').should();
+var expect = require('chai').expect;
+var NodeRSA = require('node-rsa');
+
+var digibyte = require('../..');
+var Asset = digibyte.Asset;
+var Opcode = digibyte.Opcode;
+var PrivateKey = digibyte.PrivateKey;
+var Script = digibyte.Script;
+var Transaction = digibyte.Transaction;
+var errors = digibyte.errors;
+var mainnetVectors = require('../data/digiasset-mainnet.json');
+
+describe('Asset', function() {
+
+  var privateKey = new PrivateKey(new digibyte.crypto.BN(1234567), 'livenet');
+  var address = privateKey.toAddress();
+  var prevTxId = 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458';
+  var sha1 = new Buffer('11'.repeat(20), 'hex');
+  var sha2 = new Buffer('22'.repeat(32), 'hex');
+  var utxo = {
+    address: address.toString(),
+    txid: prevTxId,
+    index: 0,
+    value: 100000000,
+    scriptPubKey: { hex: Script.buildPublicKeyHashOut(address).toHex() }
+  };
+
+  var issue = function(recipients) {
+    var tx = new Transaction();
+    var transfer = [];
+    for (var i = 0; i < recipients; i++) {
+      // alternate the amounts, so the payments can't be merged into a range payment
+      transfer.push({ address: address, amount: 1 + i % 2 });
+    }
+    var asset = tx.createAssetIssuance({
+      from: address,
+      issueAddress: address,
+      fee: 5000,
+      amount: 1000,
+      divisibility: 2,
+      metadata: { assetName: 'Test Asset' },
+      transfer: transfer
+    }, [utxo]);
+    asset.sha1 = sha1.toString('hex');
+    asset.sha2 = sha2.toString('hex');
+    asset.encodeDigiAssetScheme(tx);
+    return tx;
+  };
+
+  var withData = function(data, outputs) {
+    var tx = new Transaction().from({ txId: prevTxId, outputIndex: 0, script: utxo.scriptPubKey.hex, satoshis: 100000 });
+    (outputs || []).forEach(function(script) {
+      tx.addOutput(new Transaction.Output({ script: script, satoshis: Transaction.DUST_AMOUNT }));
+    });
+    return tx.addData(data);
+  };
+
+  var hashesScript = function(keys) {
+    var script = new Script().add(Opcode.OP_1);
+    keys.forEach(function(key) {
+      script.add(key);
+    });
+    return script.add(Opcode.smallInt(keys.length)).add(Opcode.OP_CHECKMULTISIG);
+  };
+
+  describe('#decode', function() {
+
+    it('returns null for transactions without a DigiAsset instruction', function() {
+      var tx = new Transaction().from({ txId: prevTxId, outputIndex: 0, script: utxo.scriptPubKey.hex, satoshis: 1 });
+      tx.addData('hello');
+      should.equal(Asset.decode(tx), null);
+    });
+
+    it('fails when not given a transaction', function() {
+      expect(function() {
+        return Asset.decode('4441');
+      }).to.throw(errors.InvalidArgumentType);
+    });
+
+    it('decodes an issuance with every hash in the OP_RETURN', function() {
+      var tx = issue(1);
+      var asset = Asset.decode(tx);
+      asset.type.should.equal('issuance');
+      asset.opcode.should.equal(0x01);
+      asset.getOpcodeDescription().should.equal('All hashes in OP_RETURN');
+      asset.outputIndex.should.equal(1);
+      asset.torrentHash.toString('hex').should.equal(sha1.toString('hex'));
+      asset.sha2.toString('hex').should.equal(sha2.toString('hex'));
+      asset.noRules.should.equal(false);
+      asset.multiSig.should.deep.equal([]);
+      asset.amount.should.equal(1000);
+      asset.divisibility.should.equal(2);
+      asset.lockStatus.should.equal(true);
+      asset.aggregationPolicy.should.equal('aggregatable');
+      asset.assetId.should.be.a('string');
+      asset.payments.should.deep.equal([{ input: 0, output: 0, amount: 1, range: false, percent: false }]);
+    });
+
+    it('reads the SHA2 from a 1 out of 2 multisig output', function() {
+      var tx = issue(12);
+      tx.outputs[0].script.isMultisigOut().should.equal(true);
+      var asset = Asset.decode(tx);
+      asset.opcode.should.equal(0x02);
+      asset.multiSig.should.deep.equal([{ index: 1, hashType: 'sha2' }]);
+      asset.torrentHash.toString('hex').should.equal(sha1.toString('hex'));
+      asset.sha2.toString('hex').should.equal(sha2.toString('hex'));
+      asset.payments[0].output.should.equal(1);
+    });
+
+    it('reads both hashes from a 1 out of 3 multisig output', function() {
+      var tx = issue(30);
+      var asset = Asset.decode(tx);
+      asset.opcode.should.equal(0x03);
+      asset.multiSig.length.should.equal(2);
+      asset.torrentHash.toString('hex').should.equal(sha1.toString('hex'));
+      asset.sha2.toString('hex').should.equal(sha2.toString('hex'));
+      asset.payments.length.should.equal(30);
+    });
+
+    it('decodes a serialized transaction', function() {
+      var tx = new Transaction(issue(30).toString());
+      tx.isDigiAsset.should.equal(true);
+      var asset = tx.getDigiAssets();
+      asset.sha2.toString('hex').should.equal(sha2.toString('hex'));
+      asset.toObject().torrentHash.should.equal(sha1.toString('hex'));
+    });
+
+    it('decodes transfers with the hashes in multisig outputs', function() {
+      var asset = new Asset({ type: 'transfer' });
+      asset.addPayment(0, 10, 1);
+      var data = Buffer.concat([new Buffer('44410212', 'hex'), asset.encode().codeBuffer.slice(4)]);
+      var hashes = hashesScript([
+        new Buffer('03' + 'ff'.repeat(32), 'hex'),
+        Buffer.concat([new Buffer([3]), sha2]),
+        Buffer.concat([new Buffer('03' + '00'.repeat(12), 'hex'), sha1])
+      ]);
+      var decoded = Asset.decode(withData(data, [hashes, Script.buildPublicKeyHashOut(address)]));
+      decoded.type.should.equal('transfer');
+      decoded.opcode.should.equal(0x12);
+      decoded.torrentHash.toString('hex').should.equal(sha1.toString('hex'));
+      decoded.sha2.toString('hex').should.equal(sha2.toString('hex'));
+      decoded.payments.should.deep.equal([{ input: 0, output: 1, amount: 10, range: false, percent: false }]);
+    });
+
+    it('finds the hashes output wherever it is in the transaction', function() {
+      var asset = new Asset({ type: 'transfer' });
+      asset.addPayment(0, 10, 0);
+      var data = Buffer.concat([new Buffer('44410212', 'hex'), asset.encode().codeBuffer.slice(4)]);
+      var hashes = hashesScript([
+        new Buffer('03' + 'ff'.repeat(32), 'hex'),
+        Buffer.concat([new Buffer([3]), sha2]),
+        Buffer.concat([new Buffer('03' + '00'.repeat(12), 'hex'), sha1])
+      ]);
+      var spendable = hashesScript([new Buffer('02' + '33'.repeat(32), 'hex')]);
+      var decoded = Asset.decode(withData(data, [Script.buildPublicKeyHashOut(address), spendable, hashes]));
+      decoded.sha2.toString('hex').should.equal(sha2.toString('hex'));
+      decoded.torrentHash.toString('hex').should.equal(sha1.toString('hex'));
+    });
+
+    it('decodes the last instruction of the transaction', function() {
+      var first = new Asset({ type: 'transfer' });
+      first.addPayment(0, 10, 0);
+      var last = new Asset({ type: 'transfer' });
+      last.addPayment(0, 20, 1);
+      var tx = withData(first.encode().codeBuffer, [Script.buildPublicKeyHashOut(address)]);
+      tx.addData(last.encode().codeBuffer);
+      var decoded = Asset.decode(tx);
+      decoded.outputIndex.should.equal(2);
+      decoded.payments[0].amount.should.equal(20);
+      tx.getDigiAssets().payments[0].amount.should.equal(20);
+    });
+
+    it('tells whether a transaction has DigiAssets with a boolean', function() {
+      new Transaction().hasDigiAssets().should.equal(false);
+      var tx = new Transaction().from({ txId: prevTxId, outputIndex: 0, script: utxo.scriptPubKey.hex, satoshis: 1 });
+      tx.addData('hello').hasDigiAssets().should.equal(false);
+      issue(1).hasDigiAssets().should.equal(true);
+      new Transaction(issue(1).toObject()).hasDigiAssets().should.equal(true);
+    });
+
+    it('decodes burns and their no rules flag', function() {
+      var asset = new Asset({ type: 'transfer' });
+      asset.addPayment(0, 10, 0);
+      asset.addBurn(0, 5);
+      asset.setHash(sha1);
+      asset.noRules = true;
+      var decoded = Asset.decode(withData(asset.encode().codeBuffer));
+      decoded.type.should.equal('burn');
+      decoded.opcode.should.equal(0x24);
+      decoded.noRules.should.equal(true);
+      decoded.torrentHash.toString('hex').should.equal(sha1.toString('hex'));
+      decoded.payments[1].should.deep.equal({ input: 0, burn: true, amount: 5, percent: false });
+    });
+
+    it('round-trips range and percent payments', function() {
+      var asset = new Asset({ type: 'transfer' });
+      asset.addPayment(0, 25, 2, true);
+      asset.addPayment(0, 50, 3, false, true);
+      asset.addPayment(1, 1000, 300, true, true);
+      asset.addBurn(1, 10, true);
+      var decoded = Asset.decode(withData(asset.encode().codeBuffer));
+      decoded.type.should.equal('burn');
+      decoded.payments.should.deep.equal([
+        { input: 0, output: 2, amount: 25, range: true, percent: false },
+        { input: 0, output: 3, amount: 50, range: false, percent: true },
+        { input: 1, output: 300, amount: 1000, range: true, percent: true },
+        { input: 1, burn: true, amount: 10, percent: true }
+      ]);
+    });
+
+    it('describes the asset as a plain object', function() {
+      var obj = Asset.decode(issue(1)).toObject();
+      obj.type.should.equal('issuance');
+      obj.opcode.should.equal(1);
+      obj.description.should.equal('All hashes in OP_RETURN');
+      obj.sha2.should.equal(sha2.toString('hex'));
+      obj.amount.should.equal(1000);
+      obj.payments.length.should.equal(1);
+    });
+
+    describe('mainnet transactions', function() {
+
+      var paymentFields = ['input', 'output', 'amount', 'range', 'percent', 'burn'];
+
+      mainnetVectors.forEach(function(vector) {
+        if (vector.error) {
+          it('fails on the ' + vector.description, function() {
+            var tx = new Transaction(vector.raw);
+            tx.hash.should.equal(vector.txid);
+            expect(function() {
+              return Asset.decode(tx);
+            }).to.throw(errors.Asset[vector.error]);
+          });
+          return;
+        }
+        it('reads the ' + vector.description, function() {
+          var tx = new Transaction(vector.raw);
+          tx.hash.should.equal(vector.txid);
+          var asset = Asset.decode(tx);
+          _.pick(asset.toObject(), _.keys(vector.asset)).should.deep.equal(vector.asset);
+          _.map(asset.payments, function(payment) {
+            return _.pick(payment, paymentFields);
+          }).should.deep.equal(vector.payments);
+          if (vector.assetId) {
+            asset.assetId.should.equal(vector.assetId);
+          }
+          if (vector.encodes !== false) {
+            asset.encode().codeBuffer.toString('hex').should.equal(vector.opReturn);
+          }
+        });
+      });
+
+      it('fails with a typed error when the input tells nothing about the output it spends', function() {
+        var tx = new Transaction(_.find(mainnetVectors, { description: 'version 3 issuance funded by a P2WPKH input' }).raw);
+        tx.inputs[0].setWitnesses([]);
+        expect(function() {
+          return Asset.decode(tx);
+        }).to.throw(errors.Asset.UnknownIssuanceInput);
+      });
+
+    });
+
+    it('computes the hashes of the metadata when none are given', function() {
+      var tx = new Transaction();
+      var asset = tx.createAssetIssuance({
+        from: address,
+        issueAddress: address,
+        fee: 5000,
+        amount: 1000,
+        metadata: { assetName: 'Test Asset' }
+      }, [utxo]);
+      asset.encodeDigiAssetScheme(tx);
+      var metaFile = asset.getMetaFile();
+      var decoded = Asset.decode(tx);
+      decoded.sha2.toString('hex').should.equal(metaFile.getSha2().toString('hex'));
+      decoded.torrentHash.toString('hex').should.equal(metaFile.getTorrentHash().toString('hex'));
+    });
+
+    describe('protocol versions', function() {
+
+      var vectors = [{
+        hex: '4441010620f1000150',
+        data: { type: 'issuance', version: 0x01, amount: 1.5, divisibility: 2, lockStatus: true,
+          aggregationPolicy: 'aggregatable', payments: [{ input: 0, amount: 1, output: 0, range: false, percent: false }] }
+      }, {
+        hex: '4441020620f10120f144',
+        data: { type: 'issuance', version: 0x02, amount: 150, divisibility: 2, lockStatus: false,
+          aggregationPolicy: 'hybrid', payments: [{ input: 0, amount: 150, output: 1, range: false, percent: false }] }
+      }, {
+        hex: '44410115000a0105',
+        data: { type: 'transfer', version: 0x01, payments: [
+          { input: 0, amount: 10, output: 0, range: false, percent: false },
+          { input: 0, amount: 5, output: 1, range: false, percent: false }
+        ] }
+      }, {
+        hex: '44410225000a1f03',
+        data: { type: 'burn', version: 0x02, payments: [
+          { input: 0, amount: 10, output: 0, range: false, percent: false },
+          { input: 0, amount: 3, percent: false, burn: true }
+        ] }
+      }];
+
+      vectors.forEach(function(vector) {
+        it('round-trips a version ' + vector.data.version + ' ' + vector.data.type, function() {
+          new Asset(_.cloneDeep(vector.data)).encode().codeBuffer.toString('hex').should.equal(vector.hex);
+          var asset = new Asset(new Buffer(vector.hex, 'hex'));
+          var fields = _.without(_.keys(vector.data), 'payments');
+          _.pick(asset, fields).should.deep.equal(_.pick(vector.data, fields));
+          _.map(asset.payments, 'amount').should.deep.equal(_.map(vector.data.payments, 'amount'));
+        });
+      });
+
+      it('reads version 1 issuance amounts in whole units', function() {
+        var asset = new Asset(new Buffer('4441010620f1000150', 'hex'));
+        asset.amount.should.equal(1.5);
+        new Asset(new Buffer('4441020620f1000150', 'hex')).amount.should.equal(150);
+      });
+
+      it('writes version 1 issuance amounts in the smallest units, like mainnet issuances', function() {
+        var vector = _.find(mainnetVectors, { description: 'version 1 issuance funded by a P2PKH input' });
+        var asset = Asset.decode(new Transaction(vector.raw));
+        asset.amount.should.equal(100);
+        asset.divisibility.should.equal(2);
+        var original = asset.encode().codeBuffer;
+        original.toString('hex').should.equal(vector.opReturn);
+        asset.version = 0x02;
+        asset.amount = 10000;
+        asset.encode().codeBuffer.slice(3).should.deep.equal(original.slice(3));
+      });
+
+      it('fails on an unsupported version', function() {
+        Asset.VERSIONS.should.deep.equal([0x01, 0x02, 0x03]);
+        expect(function() {
+          return Asset.decode(withData(new Buffer('4441041500', 'hex')));
+        }).to.throw(errors.Asset.UnsupportedVersion);
+        expect(function() {
+          return new Asset({ type: 'transfer', version: 0x04, payments: [] }).encode();
+        }).to.throw(errors.Asset.UnsupportedVersion);
+      });
+
+      describe('version 3', function() {
+
+        var issuance = function(chainRules, changeable) {
+          return new Asset({ type: 'issuance', version: 0x03, amount: 10, sha2: sha2, chainRules: chainRules,
+            changeable: changeable, payments: [{ input: 0, amount: 10, output: 0 }] });
+        };
+
+        it('keeps the SHA2 of the metadata in OP_RETURN, without a torrent hash', function() {
+          var asset = new Asset(issuance().encode().codeBuffer);
+          asset.sha2.toString('hex').should.equal(sha2.toString('hex'));
+          should.not.exist(asset.torrentHash);
+          asset.multiSig.should.deep.equal([]);
+          asset.noRules.should.equal(true);
+          asset.getOpcodeDescription().should.equal('SHA2 of the metadata in OP_RETURN, no rules');
+        });
+
+        it('reads the SHA2 of the metadata from a multisig output', function() {
+          var data = Buffer.concat([new Buffer('44410302', 'hex'), issuance().encode().codeBuffer.slice(36)]);
+          var hashes = hashesScript([new Buffer('03' + 'ff'.repeat(32), 'hex'), Buffer.concat([new Buffer([3]), sha2])]);
+          var asset = Asset.decode(withData(data, [hashes, Script.buildPublicKeyHashOut(address)]));
+          asset.sha2.toString('hex').should.equal(sha2.toString('hex'));
+          asset.amount.should.equal(10);
+          asset.noRules.should.equal(true);
+          asset.getOpcodeDescription().should.equal('SHA2 of the metadata in a multi-sig output, no rules');
+        });
+
+        it('writes transfers and burns like version 2, with the version 3 byte', function() {
+          var asset = new Asset({ type: 'transfer', version: 0x03 });
+          asset.addPayment(0, 10, 0);
+          asset.addBurn(0, 3);
+          asset.encode().codeBuffer.toString('hex').should.equal('44410325000a1f03');
+          Asset.decode(withData(new Buffer('44410325000a1f03', 'hex'))).payments.should.deep.equal([
+            { input: 0, amount: 10, output: 0, range: false, percent: false },
+            { input: 0, amount: 3, percent: false, burn: true }
+          ]);
+        });
+
+        it('reads and writes every rule like the reference issuer', function() {
+          var rules = [
+            { type: 'signers', required: 3, signers: [{ output: 0, weight: 1 }, { output: 4, weight: 2 }], output: 5, count: 2 },
+            { type: 'signers', required: 1, signers: [{ output: 2, weight: 1 }] },
+            { type: 'kyc', ban: ['AFG', 'PRK'] },
+            { type: 'kyc', allow: [] },
+            { type: 'vote', movable: true, options: 3, expiry: 100, output: 2 },
+            { type: 'royalty', units: { rate: 127 }, output: 1, count: 1 },
+            { type: 'royalty', units: { output: 3 }, output: 4, count: 2 },
+            { type: 'deflation', amount: 5 }
+          ];
+          var hex = '003010105028502001030100340e8a08cf9ff2f9ff4832012039ff01019030402505ff';
+          var encoded = new Asset.RuleEncoder({ rules: rules }).encode();
+          encoded.toString('hex').should.equal(hex);
+          new Asset(issuance(rules).encode().codeBuffer).chainRules.should.deep.equal(rules);
+        });
+
+        it('names the standard exchange rates', function() {
+          Asset.RuleEncoder.EXCHANGE_RATES.length.should.equal(20);
+          Asset.RuleEncoder.EXCHANGE_RATES[0].should.deep.equal({ name: 'CAD', address: 'dgb1qunxh378eltj2jrwza5sj9grvu5xud43vqvudwh', index: 0 });
+          Asset.RuleEncoder.EXCHANGE_RATES[10].should.deep.equal({ name: 'BTC', address: 'dgb1qlk3hldeynl3prqw259u8gv0jh7w5nwppxlvt3v', index: 0 });
+        });
+
+        it('fails on a country that is not three letters', function() {
+          expect(function() {
+            return issuance([{ type: 'kyc', allow: ['CA'] }]).encode();
+          }).to.throw(errors.Asset.InvalidRule);
+          expect(function() {
+            return issuance([{ type: 'kyc', allow: ['CAN'], ban: ['AFG'] }]).encode();
+          }).to.throw(errors.Asset.InvalidRule);
+        });
+
+        it('encodes an issuance from its metadata', function() {
+          var asset = new Asset({ type: 'issuance', version: 0x03, amount: 1000, payments: [{ input: 0, amount: 1000, output: 0 }],
+            metadata: { assetName: 'Test Asset' }, chainRules: [{ type: 'deflation', amount: 5 }] });
+          asset.setMetaDataHashes();
+          var decoded = new Asset(asset.encode().codeBuffer);
+          decoded.sha2.toString('hex').should.equal(asset.getMetaFile().getSha2().toString('hex'));
+          decoded.chainRules.should.deep.equal([{ type: 'deflation', amount: 5 }]);
+          decoded.changeable.should.equal(false);
+        });
+
+        it('needs the SHA2 of the metadata to encode an issuance', function() {
+          expect(function() {
+            return new Asset({ type: 'issuance', version: 0x03, amount: 10, payments: [] }).encode();
+          }).to.throw('SHA2 of the metadata is missing');
+        });
+
+        it('fails on a transfer opcode that carries hashes', function() {
+          expect(function() {
+            return new Asset(new Buffer('4441031000', 'hex'));
+          }).to.throw(errors.Asset.UnrecognizedOpcode);
+        });
+
+        it('fails on an issuance opcode of version 2', function() {
+          expect(function() {
+            return new Asset(new Buffer('4441030610', 'hex'));
+          }).to.throw(errors.Asset.UnrecognizedOpcode);
+        });
+
+        it('fails on an unknown rule', function() {
+          // the rules follow the header, the SHA2 and the amount, in 37 bytes
+          var hex = issuance([{ type: 'deflation', amount: 5 }]).encode().codeBuffer.toString('hex');
+          hex = hex.slice(0, 74) + '6' + hex.slice(75);
+          expect(function() {
+            return new Asset(new Buffer(hex, 'hex'));
+          }).to.throw(errors.Asset.InvalidRule);
+        });
+
+        it('fails on rules running past the instruction', function() {
+          expect(function() {
+            return new Asset(new Buffer('44410304' + '00'.repeat(32) + '201310', 'hex'));
+          }).to.throw(errors.Asset.InvalidEncoding);
+        });
+
+      });
+
+    });
+
+    describe('malformed data', function() {
+
+      it('fails on an unknown opcode', function() {
+        expect(function() {
+          return Asset.decode(withData(new Buffer('4441023000', 'hex')));
+        }).to.throw(errors.Asset.UnrecognizedOpcode);
+      });
+
+      it('fails on a truncated hash', function() {
+        expect(function() {
+          return Asset.decode(withData(new Buffer('44410210' + '11'.repeat(30), 'hex')));
+        }).to.throw(errors.Asset.InvalidEncoding);
+      });
+
+      it('fails on a truncated payment', function() {
+        expect(function() {
+          return Asset.decode(withData(new Buffer('4441021500', 'hex')));
+        }).to.throw(errors.Asset.InvalidEncoding);
+      });
+
+      it('fails when the hashes output is missing', function() {
+        expect(function() {
+          return Asset.decode(withData(new Buffer('444102120001', 'hex'), [Script.buildPublicKeyHashOut(address)]));
+        }).to.throw(errors.Asset.MissingHashOutput);
+      });
+
+      it('fails on a buffer without the protocol identifier', function() {
+        expect(function() {
+          return new Asset(new Buffer('4442021500', 'hex'));
+        }).to.throw(errors.Asset.InvalidEncoding);
+      });
+
+    });
+
+  });
+
+  describe('#parseAssetId', function() {
+
+    var issueUnlocked = function() {
+      var tx = new Transaction();
+      tx.createAssetIssuance({
+        from: address,
+        issueAddress: address,
+        fee: 5000,
+        amount: 1000,
+        divisibility: 3,
+        aggregationPolicy: 'dispersed',
+        reissueable: true,
+        metadata: { assetName: 'Test Asset' }
+      }, [utxo]).encodeDigiAssetScheme(tx);
+      return tx;
+    };
+
+    it('reads a locked asset ID', function() {
+      var assetId = Asset.decode(issue(1)).assetId;
+      var parsed = Asset.parseAssetId(assetId);
+      parsed.valid.should.equal(true);
+      parsed.lockStatus.should.equal(true);
+      parsed.aggregationPolicy.should.equal('aggregatable');
+      parsed.divisibility.should.equal(2);
+      parsed.prefix.should.equal('20ce');
+      parsed.hash.length.should.equal(40);
+      should.equal(parsed.network, null);
+    });
+
+    it('reads an unlocked asset ID', function() {
+      var parsed = Asset.parseAssetId(Asset.decode(issueUnlocked()).assetId);
+      parsed.valid.should.equal(true);
+      parsed.lockStatus.should.equal(false);
+      parsed.aggregationPolicy.should.equal('dispersed');
+      parsed.divisibility.should.equal(3);
+      parsed.prefix.should.equal('2e4e');
+    });
+
+    it('tells why an asset ID is invalid', function() {
+      ['', 'La1', address.toString(), 'La4fdFUgMKAGbgwL4bVVgobn6dYc2Vs7kZkwej'].forEach(function(assetId) {
+        var parsed = Asset.parseAssetId(assetId);
+        parsed.valid.should.equal(false);
+        parsed.error.should.contain('Invalid DigiAsset asset ID');
+      });
+    });
+
+    it('checks the asset ID against its issuance transaction', function() {
+      var tx = issue(1);
+      var assetId = Asset.decode(tx).assetId;
+      var parsed = Asset.parseAssetId(assetId, tx);
+      parsed.valid.should.equal(true);
+      parsed.issuedAssetId.should.equal(assetId);
+      var signed = new Transaction(issueUnlocked().sign(privateKey).serialize());
+      Asset.parseAssetId(Asset.decode(signed).assetId, signed).valid.should.equal(true);
+    });
+
+    it('rejects an asset ID another transaction issues', function() {
+      var parsed = Asset.parseAssetId(Asset.decode(issueUnlocked()).assetId, issue(1));
+      parsed.valid.should.equal(false);
+      parsed.issuedAssetId.should.equal(Asset.decode(issue(1)).assetId);
+      parsed.error.should.contain('issues asset ' + parsed.issuedAssetId);
+    });
+
+    it('rejects a transaction that is not an issuance', function() {
+      var assetId = Asset.decode(issue(1)).assetId;
+      var parsed = Asset.parseAssetId(assetId, withData(new Buffer('hello')));
+      parsed.valid.should.equal(false);
+      parsed.error.should.contain('is not an issuance');
+      parsed = Asset.parseAssetId(assetId, withData(new Buffer('4441021500', 'hex')));
+      parsed.valid.should.equal(false);
+      parsed.error.should.contain('Invalid DigiAsset encoding');
+    });
+
+  });
+
+  describe('#createSendAssetTransaction', function() {
+
+    var recipientA = new PrivateKey(new digibyte.crypto.BN(2345678), 'livenet').toLegacyAddress();
+    var recipientB = new PrivateKey(new digibyte.crypto.BN(3456789), 'livenet').toLegacyAddress();
+    var from = privateKey.toLegacyAddress();
+    var assetUtxo = function(index, assets, value) {
+      return {
+        address: from.toString(),
+        txid: prevTxId,
+        index: index,
+        value: value || Transaction.DUST_AMOUNT,
+        scriptPubKey: { hex: Script.buildPublicKeyHashOut(from).toHex() },
+        assets: _.map(assets, function(amount, assetId) {
+          return { assetId: assetId, amount: amount, aggregationPolicy: 'aggregatable' };
+        })
+      };
+    };
+    var funding = assetUtxo(9, {}, 100000000);
+
+    var send = function(to, utxos, options) {
+      var tx = new Transaction();
+      var asset = tx.createAssetTransfer(_.assign({ from: from, fee: 5000, to: to }, options), utxos);
+      var spent = _.map(tx.inputs, function(input) {
+        return _.find(utxos, { index: input.outputIndex }).assets;
+      });
+      return { tx: tx, asset: asset, ledger: new Asset.Ledger(tx, spent) };
+    };
+
+    var opReturn = function(tx) {
+      return _.find(tx.outputs, function(output) {
+        return output.script.isDataOut();
+      }).script.getData().toString('hex');
+    };
+
+    var balances = function(ledger, index) {
+      return _.map(ledger.getOutputAssets(index), function(holding) {
+        return _.pick(holding, ['assetId', 'amount']);
+      });
+    };
+
+    it('sends several assets to several recipients in one OP_RETURN', function() {
+      var result = send([
+        { address: recipientA, amount: 30, assetId: 'La1' },
+        { address: recipientB, amount: 5, assetId: 'La2' }
+      ], [assetUtxo(0, { La1: 100 }), assetUtxo(1, { La2: 8 }), funding]);
+      var tx = result.tx;
+      _.filter(tx.outputs, function(output) { return output.script.isDataOut(); }).length.should.equal(1);
+      tx.inputs.length.should.equal(3);
+      result.ledger.valid.should.equal(true);
+      balances(result.ledger, 0).should.deep.equal([{ assetId: 'La1', amount: 30 }]);
+      balances(result.ledger, 1).should.deep.equal([{ assetId: 'La2', amount: 5 }]);
+      balances(result.ledger, tx.outputs.length - 1).should.deep.equal([
+        { assetId: 'La1', amount: 70 },
+        { assetId: 'La2', amount: 3 }
+      ]);
+      tx.outputs[tx.outputs.length - 1].script.toAddress().toString().should.equal(from.toString());
+    });
+
+    it('returns the colored outputs', function() {
+      var asset = new Asset({ type: 'transfer', from: from, fee: 5000, to: [{ address: recipientA, amount: 30, assetId: 'La1' }] });
+      var result = asset.addInputsForSendTransaction(new Transaction(), [assetUtxo(0, { La1: 100 }), funding]);
+      result.coloredOutputIndexes.should.deep.equal([0, 2]);
+    });
+
+    it('takes unspent outputs with their assets', function() {
+      var utxos = _.map([assetUtxo(0, { La1: 100 }), funding], function(utxo) {
+        return new Transaction.UnspentOutput({
+          txid: utxo.txid,
+          vout: utxo.index,
+          script: utxo.scriptPubKey.hex,
+          satoshis: utxo.value,
+          assets: utxo.assets
+        });
+      });
+      var tx = new Transaction();
+      tx.createAssetTransfer({ from: from, fee: 5000, to: [{ address: recipientA, amount: 30, assetId: 'La1' }] }, utxos);
+      var ledger = new Asset.Ledger(tx, [utxos[0], utxos[1]]);
+      balances(ledger, 0).should.deep.equal([{ assetId: 'La1', amount: 30 }]);
+      balances(ledger, tx.outputs.length - 1).should.deep.equal([{ assetId: 'La1', amount: 70 }]);
+    });
+
+    it('keeps the inputs the transaction already had after the ones holding the assets', function() {
+      var tx = new Transaction().from({
+        txId: prevTxId, outputIndex: funding.index, script: funding.scriptPubKey.hex, satoshis: funding.value
+      });
+      var holding = assetUtxo(0, { La1: 100 });
+      tx.createAssetTransfer({ from: from, fee: 5000, to: [{ address: recipientA, amount: 30, assetId: 'La1' }] },
+        [holding]);
+      _.map(tx.inputs, 'outputIndex').should.deep.equal([0, funding.index]);
+      tx.getFee().should.equal(5000);
+      var ledger = new Asset.Ledger(tx, [holding.assets, []]);
+      ledger.valid.should.equal(true);
+      balances(ledger, 0).should.deep.equal([{ assetId: 'La1', amount: 30 }]);
+      balances(ledger, tx.outputs.length - 1).should.deep.equal([{ assetId: 'La1', amount: 70 }]);
+    });
+
+    it('fails on malformed utxos before adding inputs', function() {
+      var malformed = assetUtxo(0, { La1: 100 });
+      malformed.assets[0].amount = '100';
+      var tx = new Transaction();
+      expect(function() {
+        return tx.createAssetTransfer({ from: from, fee: 5000, to: [{ address: recipientA, amount: 30, assetId: 'La1' }] },
+          [malformed, funding]);
+      }).to.throw(errors.InvalidArgument, 'amount must be a positive integer');
+      expect(function() {
+        return Asset.toUnspentOutputs([_.assign({}, funding, { used: true })]);
+      }).to.throw(errors.InvalidArgument, 'Output already spent');
+      tx.inputs.length.should.equal(0);
+    });
+
+    it('pays each recipient with its own payment by default', function() {
+      var recipientC = new PrivateKey(new digibyte.crypto.BN(4567890), 'livenet').toLegacyAddress();
+      var result = send(_.map([recipientA, recipientB, recipientC], function(recipient) {
+        return { address: recipient, amount: 10, assetId: 'La1' };
+      }), [assetUtxo(0, { La1: 100 }), funding]);
+      result.asset.payments.should.deep.equal(_.times(3, function(output) {
+        return { input: 0, amount: 10, output: output, range: false, percent: false };
+      }));
+      var percent = send([
+        { address: recipientA, amount: 123456789, assetId: 'La1' }
+      ], [assetUtxo(0, { La1: 246913578 }), funding]);
+      percent.asset.payments.should.deep.equal([
+        { input: 0, amount: 123456789, output: 0, range: false, percent: false }
+      ]);
+      // the instructions the builder encoded before range and percent payments
+      opReturn(result.tx).should.equal('44410215000a010a020a');
+      opReturn(percent.tx).should.equal('4441021500803ade68a8');
+    });
+
+    it('pays recipients of the same amount with a range payment when compact', function() {
+      var recipientC = new PrivateKey(new digibyte.crypto.BN(4567890), 'livenet').toLegacyAddress();
+      var result = send(_.map([recipientA, recipientB, recipientC], function(recipient) {
+        return { address: recipient, amount: 10, assetId: 'La1' };
+      }), [assetUtxo(0, { La1: 100 }), funding], { flags: { compact: true } });
+      result.asset.payments.should.deep.equal([{ input: 0, amount: 10, output: 2, range: true, percent: false }]);
+      var decoded = Asset.decode(result.tx);
+      decoded.payments.should.deep.equal(result.asset.payments);
+      result.ledger.valid.should.equal(true);
+      _.times(3, function(index) {
+        balances(result.ledger, index).should.deep.equal([{ assetId: 'La1', amount: 10 }]);
+      });
+      balances(result.ledger, result.tx.outputs.length - 1).should.deep.equal([{ assetId: 'La1', amount: 70 }]);
+    });
+
+    it('pays a percent of the holding when compact and it is shorter', function() {
+      var result = send([
+        { address: recipientA, amount: 123456789, assetId: 'La1' }
+      ], [assetUtxo(0, { La1: 246913578 }), funding], { flags: { compact: true } });
+      result.asset.payments.should.deep.equal([{ input: 0, amount: 50, output: 0, range: false, percent: true }]);
+      Asset.decode(result.tx).payments.should.deep.equal(result.asset.payments);
+      balances(result.ledger, 0).should.deep.equal([{ assetId: 'La1', amount: 123456789 }]);
+      balances(result.ledger, result.tx.outputs.length - 1).should.deep.equal([{ assetId: 'La1', amount: 123456789 }]);
+    });
+
+    it('pays the assets in front of the ones sent to the colored change', function() {
+      var result = send([
+        { address: recipientA, amount: 3, assetId: 'La2' }
+      ], [assetUtxo(0, { La1: 5, La2: 7 }), funding]);
+      var tx = result.tx;
+      result.ledger.valid.should.equal(true);
+      result.asset.payments[0].should.deep.equal({ input: 0, amount: 5, output: 2, range: false, percent: false });
+      balances(result.ledger, 0).should.deep.equal([{ assetId: 'La2', amount: 3 }]);
+      balances(result.ledger, tx.outputs.length - 1).should.deep.equal([
+        { assetId: 'La1', amount: 5 },
+        { assetId: 'La2', amount: 4 }
+      ]);
+    });
+
+    it('shares one output between the assets sent to the same address', function() {
+      var result = send([
+        { address: recipientA, amount: 2, assetId: 'La1' },
+        { address: recipientA, amount: 7, assetId: 'La2' }
+      ], [assetUtxo(0, { La1: 2, La2: 7 }), funding]);
+      result.tx.outputs.length.should.equal(3);
+      balances(result.ledger, 0).should.deep.equal([{ assetId: 'La1', amount: 2 }, { assetId: 'La2', amount: 7 }]);
+      balances(result.ledger, 2).should.deep.equal([]);
+    });
+
+    it('spreads a payment over several utxos', function() {
+      var result = send([
+        { address: recipientA, amount: 12, assetId: 'La1' }
+      ], [assetUtxo(0, { La1: 5 }), assetUtxo(1, { La1: 10 }), funding]);
+      result.ledger.valid.should.equal(true);
+      balances(result.ledger, 0).should.deep.equal([{ assetId: 'La1', amount: 12 }]);
+      balances(result.ledger, 2).should.deep.equal([{ assetId: 'La1', amount: 3 }]);
+    });
+
+    it('keeps the DigiByte change apart from the colored change', function() {
+      var result = send([
+        { address: recipientA, amount: 3, assetId: 'La1' }
+      ], [assetUtxo(0, { La1: 5 }), funding], { flags: { splitChange: true } });
+      var outputs = result.tx.outputs;
+      outputs.length.should.equal(4);
+      outputs[3].satoshis.should.equal(Transaction.DUST_AMOUNT);
+      outputs[2].satoshis.should.be.above(Transaction.DUST_AMOUNT);
+      balances(result.ledger, 3).should.deep.equal([{ assetId: 'La1', amount: 2 }]);
+    });
+
+    it('selects the utxos with the given strategy', function() {
+      var to = [{ address: recipientA, amount: 4, assetId: 'La1' }];
+      var utxos = [assetUtxo(0, { La1: 3 }), assetUtxo(1, { La1: 10 }), assetUtxo(2, { La1: 2 }), funding];
+      _.map(send(to, utxos).tx.inputs, 'outputIndex').should.deep.equal([1, 9]);
+      var result = send(to, utxos, { utxoSelection: 'consolidateDust' });
+      _.map(result.tx.inputs, 'outputIndex').should.deep.equal([2, 0, 9]);
+      result.ledger.valid.should.equal(true);
+      balances(result.ledger, 0).should.deep.equal([{ assetId: 'La1', amount: 4 }]);
+    });
+
+    it('funds the transfer with the given strategy', function() {
+      var utxos = [assetUtxo(0, { La1: 3 }), funding, assetUtxo(8, {}, 100000000)];
+      var result = send([{ address: recipientA, amount: 3, assetId: 'La1' }], utxos, {
+        utxoSelection: function(candidates) {
+          return candidates.slice().reverse();
+        }
+      });
+      _.map(result.tx.inputs, 'outputIndex').should.deep.equal([0, 8]);
+    });
+
+    it('fails without enough units of an asset', function() {
+      expect(function() {
+        return send([{ address: recipientA, amount: 12, assetId: 'La1' }], [assetUtxo(0, { La1: 5 }), funding]);
+      }).to.throw(errors.Asset.NotEnoughAssets);
+    });
+
+    describe('aggregation policies', function() {
+
+      var policyUtxo = function(index, amount, aggregationPolicy, issueTxid) {
+        var result = assetUtxo(index, {});
+        result.assets = [{ assetId: 'Lp1', amount: amount, aggregationPolicy: aggregationPolicy, issueTxid: issueTxid }];
+        return result;
+      };
+
+      it('pays dispersed units from a single holding', function() {
+        var result = send([{ address: recipientA, amount: 5, assetId: 'Lp1' }],
+          [policyUtxo(0, 10, 'dispersed', prevTxId), policyUtxo(1, 5, 'dispersed', prevTxId), funding]);
+        result.ledger.valid.should.equal(true);
+        _.map(result.tx.inputs, 'outputIndex').should.deep.equal([1, 9]);
+        balances(result.ledger, 0).should.deep.equal([{ assetId: 'Lp1', amount: 5 }]);
+      });
+
+      it('refuses to combine dispersed units in one output', function() {
+        expect(function() {
+          return send([{ address: recipientA, amount: 8, assetId: 'Lp1' }],
+            [policyUtxo(0, 5, 'dispersed', prevTxId), policyUtxo(1, 5, 'dispersed', prevTxId), funding]);
+        }).to.throw(errors.Asset.DispersedAggregation);
+      });
+
+      it('combines hybrid units of the same issuance', function() {
+        var result = send([{ address: recipientA, amount: 8, assetId: 'Lp1' }],
+          [policyUtxo(0, 5, 'hybrid', prevTxId), policyUtxo(1, 5, 'hybrid', prevTxId), funding]);
+        result.ledger.valid.should.equal(true);
+        balances(result.ledger, 0).should.deep.equal([{ assetId: 'Lp1', amount: 8 }]);
+      });
+
+      it('refuses to combine hybrid units of different issuances', function() {
+        expect(function() {
+          return send([{ address: recipientA, amount: 8, assetId: 'Lp1' }],
+            [policyUtxo(0, 5, 'hybrid', prevTxId), policyUtxo(1, 5, 'hybrid', '11'.repeat(32)), funding]);
+        }).to.throw(errors.Asset.HybridAggregation);
+      });
+
+      it('sends dispersed units from several holdings to several outputs', function() {
+        var result = send([
+          { address: recipientA, amount: 5, assetId: 'Lp1' },
+          { address: recipientB, amount: 3, assetId: 'Lp1' }
+        ], [policyUtxo(0, 5, 'dispersed', prevTxId), policyUtxo(1, 3, 'dispersed', prevTxId), funding]);
+        result.ledger.valid.should.equal(true);
+        balances(result.ledger, 0).should.deep.equal([{ assetId: 'Lp1', amount: 5 }]);
+        balances(result.ledger, 1).should.deep.equal([{ assetId: 'Lp1', amount: 3 }]);
+      });
+
+    });
+
+  });
+
+  describe('#shiftOutputs', function() {
+
+    it('splits range payments into a payment per output', function() {
+      var asset = new Asset({ type: 'transfer' });
+      asset.addPayment(0, 4, 1, true);
+      asset.addPayment(0, 6, 2);
+      asset.addBurn(0, 1);
+      asset.shiftOutputs();
+      asset.payments.should.deep.equal([
+        { input: 0, amount: 4, output: 1, range: false, percent: false },
+        { input: 0, amount: 4, output: 2, range: false, percent: false },
+        { input: 0, amount: 6, output: 3, range: false, percent: false },
+        { input: 0, amount: 1, percent: undefined, burn: true }
+      ]);
+    });
+
+  });
+
+  describe('#findBestMatchByNeededAssets', function() {
+
+    var holding = function(index, assets) {
+      return _.assign({}, utxo, {
+        index: index,
+        value: Transaction.DUST_AMOUNT,
+        assets: _.map(assets, function(amount, assetId) {
+          return { assetId: assetId, amount: amount, aggregationPolicy: 'aggregatable' };
+        })
+      });
+    };
+    var needs = function(amount) {
+      return { La1: { amount: amount, done: false, change: 0, inputs: [] } };
+    };
+
+    it('spends a single utxo covering the amount, preferring an exact match', function() {
+      var utxos = [holding(0, { La1: 3 }), holding(1, { La1: 10 }), holding(2, { La1: 4 })];
+      var asset = new Asset({ type: 'transfer' });
+      var tx = new Transaction();
+      var totalInputs = { amount: 0 };
+      var assetList = needs(4);
+      asset.findBestMatchByNeededAssets(utxos, assetList, 'La1', tx, totalInputs).should.equal(true);
+      _.map(tx.inputs, 'outputIndex').should.deep.equal([2]);
+      totalInputs.amount.should.equal(Transaction.DUST_AMOUNT);
+      assetList.La1.should.deep.equal({ amount: 4, done: true, change: 0, inputs: [{ index: 0, amount: 4 }] });
+    });
+
+    it('spends the largest utxos first when none covers the amount', function() {
+      var utxos = [holding(0, { La1: 3 }), holding(1, { La1: 5 }), holding(2, { La1: 2 })];
+      var tx = new Transaction();
+      var assetList = needs(7);
+      new Asset({ type: 'transfer' }).findBestMatchByNeededAssets(utxos, assetList, 'La1', tx, { amount: 0 });
+      _.map(tx.inputs, 'outputIndex').should.deep.equal([1, 0]);
+      assetList.La1.change.should.equal(1);
+      assetList.La1.inputs.should.deep.equal([{ index: 0, amount: 7 }]);
+    });
+
+    it('doesn\'t spend a utxo twice', function() {
+      var utxos = [holding(0, { La1: 5 })];
+      var tx = new Transaction().from(Asset.toUnspentOutputs(utxos));
+      var totalInputs = { amount: 0 };
+      var assetList = needs(5);
+      new Asset({ type: 'transfer' }).findBestMatchByNeededAssets(utxos, assetList, 'La1', tx, totalInputs);
+      tx.inputs.length.should.equal(1);
+      totalInputs.amount.should.equal(0);
+      assetList.La1.done.should.equal(true);
+    });
+
+    it('returns false without enough units', function() {
+      var tx = new Transaction();
+      var asset = new Asset({ type: 'transfer' });
+      asset.findBestMatchByNeededAssets([holding(0, { La1: 3 })], needs(4), 'La1', tx, { amount: 0 }).should.equal(false);
+      tx.inputs.length.should.equal(0);
+    });
+
+  });
+
+  describe('#findBestGreaterOrEqualAmountUtxo', function() {
+
+    var holding = function(index, amount) {
+      return { index: index, assets: [{ assetId: 'La1', amount: amount }] };
+    };
+    var utxos = [holding(0, 3), holding(1, 10), holding(2, 6), holding(3, 4)];
+    var asset = new Asset({ type: 'transfer' });
+
+    it('prefers a utxo holding the exact amount', function() {
+      asset.findBestGreaterOrEqualAmountUtxo(utxos, { La1: { amount: 4 } }, 'La1').should.equal(utxos[3]);
+    });
+
+    it('takes the smallest utxo covering the amount otherwise', function() {
+      asset.findBestGreaterOrEqualAmountUtxo(utxos, { La1: { amount: 5 } }, 'La1').should.equal(utxos[2]);
+    });
+
+    it('returns false when no utxo covers the amount', function() {
+      asset.findBestGreaterOrEqualAmountUtxo(utxos, { La1: { amount: 11 } }, 'La1').should.equal(false);
+    });
+
+  });
+
+  describe('#createBurnAssetTransaction', function() {
+
+    var from = privateKey.toLegacyAddress();
+    var recipient = new PrivateKey(new digibyte.crypto.BN(2345678), 'livenet').toLegacyAddress();
+    var fundingUtxo = {
+      address: from.toString(),
+      txid: prevTxId,
+      index: 9,
+      value: 100000000,
+      scriptPubKey: { hex: Script.buildPublicKeyHashOut(from).toHex() }
+    };
+    var assetUtxo = _.assign({}, fundingUtxo, {
+      index: 0,
+      value: Transaction.DUST_AMOUNT,
+      assets: [
+        { assetId: 'La1', amount: 10, aggregationPolicy: 'aggregatable' },
+        { assetId: 'La2', amount: 5, aggregationPolicy: 'aggregatable' }
+      ]
+    });
+    var burnData = function(burn, to) {
+      return { from: from, fee: 5000, burn: burn, to: to };
+    };
+
+    it('destroys the units with a burn instruction', function() {
+      var tx = new Transaction();
+      var asset = tx.createAssetBurn(burnData([{ assetId: 'La1', amount: 4 }]), [assetUtxo, fundingUtxo]);
+      var decoded = Asset.decode(tx);
+      decoded.type.should.equal('burn');
+      decoded.opcode.should.equal(0x25);
+      decoded.payments.should.deep.equal([{ input: 0, burn: true, amount: 4, percent: false }]);
+      asset.receipt.should.deep.equal({ txid: tx.id, valid: true, burned: [{ assetId: 'La1', amount: 4 }] });
+      var ledger = new Asset.Ledger(tx, [assetUtxo, fundingUtxo]);
+      _.map(ledger.getOutputAssets(tx.outputs.length - 1), 'amount').should.deep.equal([6, 5]);
+    });
+
+    it('sends units to recipients in the same transaction', function() {
+      var tx = new Transaction();
+      var asset = tx.createAssetBurn(burnData([{ assetId: 'La1', amount: 4 }], [
+        { address: recipient, amount: 3, assetId: 'La1' }
+      ]), [assetUtxo, fundingUtxo]);
+      asset.receipt.burned.should.deep.equal([{ assetId: 'La1', amount: 4 }]);
+      var ledger = new Asset.Ledger(tx, [assetUtxo, fundingUtxo]);
+      ledger.getOutputAssets(0)[0].amount.should.equal(3);
+      _.map(ledger.getOutputAssets(tx.outputs.length - 1), 'amount').should.deep.equal([3, 5]);
+    });
+
+    it('burns several assets', function() {
+      var tx = new Transaction();
+      var asset = tx.createAssetBurn(burnData([
+        { assetId: 'La1', amount: 10 },
+        { assetId: 'La2', amount: 2 }
+      ]), [assetUtxo, fundingUtxo]);
+      asset.receipt.burned.should.deep.equal([{ assetId: 'La1', amount: 10 }, { assetId: 'La2', amount: 2 }]);
+    });
+
+    it('proves the burn from the signed transaction', function() {
+      var tx = new Transaction();
+      tx.createAssetBurn(burnData([{ assetId: 'La2', amount: 5 }]), [assetUtxo, fundingUtxo]);
+      var signed = new Transaction(tx.sign(privateKey).serialize());
+      var receipt = Asset.getBurnReceipt(signed, [assetUtxo.assets, []]);
+      receipt.txid.should.equal(signed.id);
+      receipt.burned.should.deep.equal([{ assetId: 'La2', amount: 5 }]);
+    });
+
+    it('burns nothing with an invalid instruction', function() {
+      var tx = new Transaction();
+      tx.createAssetBurn(burnData([{ assetId: 'La1', amount: 4 }]), [assetUtxo, fundingUtxo]);
+      var receipt = Asset.getBurnReceipt(tx, [[{ assetId: 'La1', amount: 1 }], []]);
+      receipt.valid.should.equal(false);
+      receipt.burned.should.deep.equal([]);
+      should.exist(receipt.error);
+    });
+
+    it('takes the utxos first, and builds a new transaction by default', function() {
+      var asset = new Asset(_.assign({ type: 'burn' }, burnData([{ assetId: 'La1', amount: 4 }])));
+      asset.createBurnAssetTransaction([assetUtxo, fundingUtxo]).should.equal(asset);
+      asset.tx.should.be.instanceof(Transaction);
+      asset.receipt.txid.should.equal(asset.tx.id);
+      asset.receipt.burned.should.deep.equal([{ assetId: 'La1', amount: 4 }]);
+      var tx = new Transaction();
+      asset = new Asset(_.assign({ type: 'burn' }, burnData([{ assetId: 'La1', amount: 4 }])));
+      asset.createBurnAssetTransaction([assetUtxo, fundingUtxo], tx).tx.should.equal(tx);
+      tx.inputs.length.should.equal(2);
+    });
+
+    it('plans a burn', function() {
+      var plan = Asset.plan(_.assign({ type: 'burn' }, burnData([{ assetId: 'La1', amount: 4 }])), [assetUtxo, fundingUtxo]);
+      plan.type.should.equal('burn');
+      _.map(plan.outputs, 'type').should.deep.equal(['data', 'change']);
+    });
+
+    it('fails without units to burn', function() {
+      expect(function() {
+        return new Transaction().createAssetBurn(burnData([]), [assetUtxo, fundingUtxo]);
+      }).to.throw('Needs the asset units to burn');
+    });
+
+  });
+
+  describe('#createReissueTransaction', function() {
+
+    var issueAddress = privateKey.toLegacyAddress();
+    var otherAddress = new PrivateKey(new digibyte.crypto.BN(7654321), 'livenet').toLegacyAddress();
+    var fundingUtxo = function(txid, address) {
+      return {
+        address: address.toString(),
+        txid: txid,
+        index: 0,
+        value: 100000000,
+        scriptPubKey: { hex: Script.buildPublicKeyHashOut(address).toHex() }
+      };
+    };
+    var issueUtxo = fundingUtxo(prevTxId, issueAddress);
+    var reissueUtxo = fundingUtxo('11'.repeat(32), issueAddress);
+
+    var issueUnlocked = function() {
+      var asset = new Transaction().createAssetIssuance({
+        from: issueAddress,
+        issueAddress: issueAddress,
+        fee: 5000,
+        amount: 1000,
+        divisibility: 2,
+        aggregationPolicy: 'hybrid',
+        reissueable: true,
+        metadata: { assetName: 'Test Asset' }
+      }, [issueUtxo]);
+      asset.lockStatus.should.equal(false);
+      return asset.assetId;
+    };
+
+    var reissue = function(assetId, utxos, from) {
+      var tx = new Transaction();
+      var asset = tx.createAssetReissuance({
+        from: from || issueAddress,
+        issueAddress: from || issueAddress,
+        fee: 5000,
+        amount: 500,
+        assetId: assetId,
+        transfer: [{ address: address, amount: 500 }]
+      }, utxos);
+      asset.encodeDigiAssetScheme(tx);
+      return tx;
+    };
+
+    it('keeps the asset ID of the original issuance', function() {
+      var assetId = issueUnlocked();
+      var other = fundingUtxo('22'.repeat(32), otherAddress);
+      var tx = reissue(assetId, [other, reissueUtxo]);
+      tx.inputs[0].prevTxId.toString('hex').should.equal(reissueUtxo.txid);
+      var asset = Asset.decode(tx);
+      asset.assetId.should.equal(assetId);
+      asset.lockStatus.should.equal(false);
+      asset.divisibility.should.equal(2);
+      asset.aggregationPolicy.should.equal('hybrid');
+      asset.amount.should.equal(500);
+    });
+
+    it('derives the same asset ID from a signed transaction', function() {
+      var assetId = issueUnlocked();
+      var tx = reissue(assetId, [reissueUtxo]).sign(privateKey);
+      Asset.decode(new Transaction(tx.serialize())).assetId.should.equal(assetId);
+    });
+
+    it('refuses to reissue a locked asset', function() {
+      var assetId = Asset.decode(issue(1)).assetId;
+      expect(function() {
+        return reissue(assetId, [reissueUtxo]);
+      }).to.throw(errors.Asset.LockedAsset);
+    });
+
+    it('fails without funds from the issue address', function() {
+      var assetId = issueUnlocked();
+      expect(function() {
+        return reissue(assetId, [fundingUtxo(prevTxId, otherAddress)]);
+      }).to.throw(errors.Asset.InvalidReissuanceInput);
+    });
+
+    it('fails when the asset was issued from another address', function() {
+      var assetId = issueUnlocked();
+      expect(function() {
+        return reissue(assetId, [fundingUtxo(prevTxId, otherAddress)], otherAddress);
+      }).to.throw(errors.Asset.AssetIdMismatch);
+    });
+
+    it('fails on an invalid asset ID', function() {
+      expect(function() {
+        return reissue('La1', [reissueUtxo]);
+      }).to.throw(errors.Asset.InvalidAssetId);
+    });
+
+  });
+
+  describe('#plan', function() {
+
+    var from = privateKey.toLegacyAddress();
+    var recipient = function(n) {
+      return new PrivateKey(new digibyte.crypto.BN(2345678 + n), 'livenet').toLegacyAddress();
+    };
+    var fundingUtxo = {
+      address: from.toString(),
+      txid: prevTxId,
+      index: 0,
+      value: 100000000,
+      scriptPubKey: { hex: Script.buildPublicKeyHashOut(from).toHex() }
+    };
+    var assetUtxo = _.assign({}, fundingUtxo, {
+      index: 1,
+      value: Transaction.DUST_AMOUNT,
+      assets: [{ assetId: 'La1', amount: 10, aggregationPolicy: 'aggregatable' }]
+    });
+    var transfer = function(amount) {
+      return { type: 'transfer', from: from, fee: 5000, to: [{ address: recipient(0), amount: amount, assetId: 'La1' }] };
+    };
+    var issuance = function(recipients) {
+      return {
+        type: 'issuance',
+        from: from,
+        issueAddress: from,
+        fee: 5000,
+        amount: 1000,
+        metadata: { assetName: 'Test Asset' },
+        transfer: _.times(recipients, function(n) {
+          return { address: recipient(n), amount: 1 + n % 2 };
+        })
+      };
+    };
+    var types = function(plan) {
+      return _.map(plan.outputs, 'type');
+    };
+
+    it('plans a transfer without touching the data it is given', function() {
+      var data = transfer(3);
+      var utxos = [assetUtxo, fundingUtxo];
+      var copies = _.cloneDeep([data, utxos]);
+      var plan = Asset.plan(data, utxos);
+      [data, utxos].should.deep.equal(copies);
+      plan.type.should.equal('transfer');
+      plan.missing.should.equal(0);
+      plan.fee.should.equal(5000);
+      _.map(plan.inputs, 'index').should.deep.equal([1, 0]);
+      types(plan).should.deep.equal(['recipient', 'data', 'change']);
+      plan.outputs[0].address.should.equal(recipient(0).toString());
+      plan.outputs[0].assets[0].amount.should.equal(3);
+      plan.outputs[2].assets[0].amount.should.equal(7);
+    });
+
+    it('matches the transaction the builders make', function() {
+      var plan = Asset.plan(transfer(3), [assetUtxo, fundingUtxo]);
+      var tx = new Transaction();
+      tx.createAssetTransfer(transfer(3), [assetUtxo, fundingUtxo]);
+      _.map(plan.outputs, 'satoshis').should.deep.equal(_.map(tx.outputs, 'satoshis'));
+      plan.opReturnSize.should.equal(tx.outputs[1].script.getData().length);
+    });
+
+    it('tells how many satoshis are missing', function() {
+      var plan = Asset.plan(transfer(3), [assetUtxo]);
+      plan.missing.should.equal(2 * Transaction.DUST_AMOUNT + 5000 - assetUtxo.value);
+      types(plan).should.deep.equal(['recipient', 'data']);
+      should.not.exist(plan.outputs[0].assets);
+    });
+
+    it('tells how many units of each asset are missing', function() {
+      var data = transfer(12);
+      data.to.push({ address: recipient(1), amount: 3, assetId: 'La2' });
+      var plan = Asset.plan(data, [assetUtxo, fundingUtxo]);
+      plan.missingAssets.should.deep.equal({ La1: 2, La2: 3 });
+      plan.inputs.should.deep.equal([]);
+      should.not.exist(plan.outputs[0].assets);
+      Asset.plan(transfer(3), [assetUtxo, fundingUtxo]).missingAssets.should.deep.equal({});
+    });
+
+    it('tells how many units are missing from a burn', function() {
+      var plan = Asset.plan({ type: 'burn', from: from, fee: 5000, burn: [{ assetId: 'La1', amount: 20 }] }, [assetUtxo, fundingUtxo]);
+      plan.missingAssets.should.deep.equal({ La1: 10 });
+    });
+
+    it('still throws the missing units when building the transaction', function() {
+      expect(function() {
+        return new Transaction().createAssetTransfer(transfer(12), [assetUtxo, fundingUtxo]);
+      }).to.throw(errors.Asset.NotEnoughAssets);
+    });
+
+    it('pays the minimum fee when none is given', function() {
+      var plan = Asset.plan(_.omit(transfer(3), 'fee'), [assetUtxo, fundingUtxo]);
+      var paid = Asset.plan(transfer(3), [assetUtxo, fundingUtxo]);
+      plan.fee.should.equal(Asset.MIN_FEE);
+      (plan.outputs[2].satoshis - paid.outputs[2].satoshis).should.equal(5000 - Asset.MIN_FEE);
+    });
+
+    it('fails on a fee that is not a number of satoshis', function() {
+      expect(function() {
+        return Asset.plan(_.assign(transfer(3), { fee: '5000' }), [assetUtxo, fundingUtxo]);
+      }).to.throw(digibyte.errors.InvalidArgument);
+      expect(function() {
+        return Asset.plan(_.assign(transfer(3), { fee: -1 }), [assetUtxo, fundingUtxo]);
+      }).to.throw(digibyte.errors.InvalidArgument);
+    });
+
+    it('plans an issuance and its cost', function() {
+      var plan = Asset.plan(issuance(1), [fundingUtxo]);
+      var tx = new Transaction();
+      var asset = tx.createAssetIssuance(issuance(1), [fundingUtxo]);
+      plan.type.should.equal('issuance');
+      plan.assetId.should.equal(asset.assetId);
+      plan.issuanceCost.should.equal(asset.getTotalIssuenceCost());
+      plan.issuanceCost.should.equal(2 * Transaction.DUST_AMOUNT + 700);
+      types(plan).should.deep.equal(['recipient', 'data', 'change']);
+      plan.outputs[2].assets[0].amount.should.equal(999);
+    });
+
+    it('pays issued units of the same amount with a range payment when compact', function() {
+      var data = _.assign(issuance(3), {
+        flags: { compact: true },
+        transfer: _.times(3, function(n) { return { address: recipient(n), amount: 5 }; })
+      });
+      var tx = new Transaction();
+      tx.createAssetIssuance(data, [fundingUtxo]).encodeDigiAssetScheme(tx);
+      Asset.decode(tx).payments.should.deep.equal([{ input: 0, amount: 5, output: 2, range: true, percent: false }]);
+      var plan = Asset.plan(data, [fundingUtxo]);
+      _.map(_.take(plan.outputs, 3), function(output) { return output.assets[0].amount; }).should.deep.equal([5, 5, 5]);
+      _.last(plan.outputs).assets[0].amount.should.equal(985);
+    });
+
+    it('includes the multisig output holding the hashes that do not fit', function() {
+      var plan = Asset.plan(issuance(11), [fundingUtxo]);
+      plan.outputs[0].type.should.equal('hashes');
+      plan.outputs[1].assets[0].amount.should.equal(1);
+      plan.opReturnSize.should.be.at.most(Asset.MAXBYTESIZE);
+    });
+
+    it('fails on an unknown type', function() {
+      expect(function() {
+        return Asset.plan({ type: 'swap' }, []);
+      }).to.throw(digibyte.errors.InvalidArgument);
+    });
+
+  });
+
+  describe('#decryptMetaData', function() {
+    this.timeout(20000);
+
+    var userData = { secret: { code: 42 }, note: 'for the recipient', open: 'public', label: '[draft] {v2' };
+    var recipient;
+    var asset;
+    var metafile;
+
+    before(function() {
+      recipient = new NodeRSA({ b: 1024 });
+      asset = new Asset({
+        type: 'issuance',
+        metadata: {
+          assetName: 'Test Asset',
+          userData: JSON.parse(JSON.stringify(userData)),
+          encryptions: [
+            { key: 'secret', type: 'pkcs8', format: 'pem' },
+            { key: 'label', type: 'pkcs8', format: 'pem' },
+            { key: 'note', type: 'pkcs1', format: 'der', pubKey: recipient.exportKey('pkcs1-public-der') }
+          ]
+        }
+      });
+      metafile = asset.getMetaData();
+    });
+
+    it('encrypts the sections only once', function() {
+      metafile.data.userData.secret.should.be.a('string');
+      metafile.data.userData.note.should.not.equal(userData.note);
+      metafile.data.userData.open.should.equal('public');
+      asset.getMetaData().data.userData.secret.should.equal(metafile.data.userData.secret);
+    });
+
+    it('lets the issuer read the sections encrypted with the returned key', function() {
+      var decrypted = Asset.decryptMetaData(metafile.data, asset.privateKey);
+      decrypted.userData.secret.should.deep.equal({ code: 42 });
+      decrypted.userData.note.should.equal(metafile.data.userData.note);
+      decrypted.userData.open.should.equal('public');
+      metafile.data.userData.secret.should.be.a('string');
+    });
+
+    it('keeps a decrypted section that only looks like JSON as a string', function() {
+      metafile.data.userData.label.should.not.equal(userData.label);
+      Asset.decryptMetaData(metafile.data, asset.privateKey).userData.label.should.equal('[draft] {v2');
+    });
+
+    it('lets the recipient read the sections encrypted for its public key', function() {
+      var decrypted = Asset.decryptMetaData(metafile.data, recipient.exportKey('pkcs1-private-der'));
+      decrypted.userData.note.should.equal('for the recipient');
+      decrypted.userData.secret.should.equal(metafile.data.userData.secret);
+    });
+
+    it('fails with a key that can read no section', function() {
+      expect(function() {
+        return Asset.decryptMetaData(metafile.data, new NodeRSA({ b: 512 }).exportKey('pkcs8'));
+      }).to.throw(errors.Asset.DecryptionFailed);
+    });
+
+    it('fails without encryption descriptors', function() {
+      expect(function() {
+        return Asset.decryptMetaData({ userData: userData }, asset.privateKey);
+      }).to.throw(errors.InvalidArgument);
+    });
+
+  });
+
+});
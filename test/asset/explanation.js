@@ -0,0 +1,153 @@
+'use strict';
+
+var _ = require('lodash');
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var digibyte = require('../..');
+var Asset = digibyte.Asset;
+var Explanation = digibyte.Asset.Explanation;
+var PrivateKey = digibyte.PrivateKey;
+var Script = digibyte.Script;
+var Transaction = digibyte.Transaction;
+
+describe('Explanation', function() {
+
+  var privateKey = new PrivateKey(new digibyte.crypto.BN(1234567), 'livenet');
+  var from = privateKey.toLegacyAddress();
+  var recipient = new PrivateKey(new digibyte.crypto.BN(2345678), 'livenet').toLegacyAddress();
+  var prevTxId = 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458';
+  var utxo = function(index, value, assets) {
+    return {
+      address: from.toString(),
+      txid: prevTxId,
+      index: index,
+      value: value,
+      scriptPubKey: { hex: Script.buildPublicKeyHashOut(from).toHex() },
+      assets: assets
+    };
+  };
+  var funding = utxo(9, 100000000);
+  var holdings = [{ assetId: 'La1', amount: 100000, divisibility: 2, aggregationPolicy: 'aggregatable' }];
+
+  var issue = function() {
+    var tx = new Transaction();
+    tx.createAssetIssuance({
+      from: from,
+      issueAddress: from,
+      fee: 5000,
+      amount: 100000,
+      divisibility: 2,
+      lockStatus: true,
+      aggregationPolicy: 'aggregatable',
+      metadata: { assetName: 'Test Asset' },
+      transfer: [{ address: recipient, amount: 10000 }]
+    }, [funding]).encodeDigiAssetScheme(tx);
+    return tx;
+  };
+  var send = function(to) {
+    var tx = new Transaction();
+    tx.createAssetTransfer({ from: from, fee: 5000, to: to }, [utxo(0, Transaction.DUST_AMOUNT, holdings), funding]);
+    return tx;
+  };
+
+  it('can be created without "new"', function() {
+    Explanation(issue()).should.be.instanceof(Explanation);
+  });
+
+  it('fails when no transaction is given', function() {
+    expect(function() {
+      return new Explanation();
+    }).to.throw(digibyte.errors.InvalidArgument);
+  });
+
+  it('explains an issuance', function() {
+    var tx = issue();
+    var explanation = tx.explainDigiAssets();
+    var assetId = Asset.decode(tx).assetId;
+    explanation.type.should.equal('issuance');
+    explanation.valid.should.equal(true);
+    explanation.issued.should.deep.equal({
+      assetId: assetId,
+      amount: 100000,
+      divisibility: 2,
+      lockStatus: true,
+      aggregationPolicy: 'aggregatable'
+    });
+    explanation.sent.should.deep.equal([
+      { output: 0, address: recipient.toString(), assetId: assetId, amount: 10000, divisibility: 2 }
+    ]);
+    explanation.change.should.deep.equal([
+      { output: 2, address: from.toString(), assetId: assetId, amount: 90000, divisibility: 2 }
+    ]);
+    explanation.toString().should.equal('issued 1,000.00 of ' + assetId + ', locked, aggregatable; ' +
+      'sent 100.00 of ' + assetId + ' to ' + recipient + '; ' +
+      '900.00 of ' + assetId + ' colored change to ' + from + '; ' +
+      'metadata hash ' + explanation.metadata.sha2 + '; metadata torrent ' + explanation.metadata.torrentHash);
+  });
+
+  it('names the assets of a transfer given the spent holdings', function() {
+    var tx = send([{ address: recipient, amount: 2500, assetId: 'La1' }]);
+    var explanation = tx.explainDigiAssets([holdings, []]);
+    explanation.type.should.equal('transfer');
+    explanation.toString().should.equal('sent 25.00 of La1 to ' + recipient + '; 975.00 of La1 colored change to ' + from);
+  });
+
+  it('lists the payments of a transfer as encoded without the spent holdings', function() {
+    var tx = send([{ address: recipient, amount: 2500, assetId: 'La1' }]);
+    var explanation = tx.explainDigiAssets();
+    explanation.sent.should.deep.equal([
+      { output: 0, address: recipient.toString(), input: 0, amount: 2500, percent: false }
+    ]);
+    explanation.toString().should.equal('sent 2500 units from input 0 to ' + recipient);
+  });
+
+  it('lists a range payment once per output and percent payments as such', function() {
+    var asset = new Asset({ type: 'transfer' });
+    asset.addPayment(0, 5, 1, true);
+    asset.addBurn(0, 50, true);
+    var tx = new Transaction().from({ txId: prevTxId, outputIndex: 0, script: Script.buildPublicKeyHashOut(from), satoshis: 100000 })
+      .to(recipient, Transaction.DUST_AMOUNT).to(from, Transaction.DUST_AMOUNT).addData(asset.encode().codeBuffer);
+    var explanation = tx.explainDigiAssets();
+    explanation.type.should.equal('burn');
+    _.map(explanation.sent, 'output').should.deep.equal([0, 1]);
+    explanation.toString().should.equal('sent 5 units from input 0 to ' + recipient + '; sent 5 units from input 0 to ' +
+      from + '; burned 50% of the units left in input 0');
+  });
+
+  it('explains a burn', function() {
+    var tx = new Transaction();
+    tx.createAssetBurn({ from: from, fee: 5000, burn: [{ assetId: 'La1', amount: 150 }] },
+      [utxo(0, Transaction.DUST_AMOUNT, holdings), funding]);
+    var explanation = tx.explainDigiAssets([holdings, []]);
+    explanation.type.should.equal('burn');
+    explanation.burned.should.deep.equal([{ assetId: 'La1', amount: 150, divisibility: 2 }]);
+    explanation.toString().should.contain('burned 1.50 of La1');
+  });
+
+  it('tells why an instruction is invalid and where the assets go instead', function() {
+    var tx = send([{ address: recipient, amount: 2500, assetId: 'La1' }]);
+    var explanation = tx.explainDigiAssets([[_.assign({}, holdings[0], { amount: 1000 })], []]);
+    explanation.valid.should.equal(false);
+    explanation.error.should.contain('spends more than its inputs hold');
+    explanation.sent.should.deep.equal([]);
+    explanation.toString().should.equal('invalid: ' + explanation.error + '; 10.00 of La1 colored change to ' + from);
+  });
+
+  it('returns null for transactions without a DigiAsset instruction', function() {
+    var tx = new Transaction().from({ txId: prevTxId, outputIndex: 0, script: Script.buildPublicKeyHashOut(from), satoshis: 100000 })
+      .to(recipient, 50000);
+    should.equal(tx.explainDigiAssets(), null);
+  });
+
+  it('serializes to a plain object', function() {
+    var tx = send([{ address: recipient, amount: 2500, assetId: 'La1' }]);
+    var obj = tx.explainDigiAssets([holdings, []]).toObject();
+    obj.txid.should.equal(tx.id);
+    obj.valid.should.equal(true);
+    should.not.exist(obj.error);
+    obj.text.should.contain('sent 25.00 of La1');
+    JSON.parse(JSON.stringify(obj)).should.deep.equal(obj);
+  });
+
+});
@@ -0,0 +1,331 @@
+'use strict';
+
+var _ = require('lodash');
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var digibyte = require('../..');
+var Asset = digibyte.Asset;
+var Ledger = digibyte.Asset.Ledger;
+var PrivateKey = digibyte.PrivateKey;
+var Transaction = digibyte.Transaction;
+
+describe('Ledger', function() {
+
+  var address = new PrivateKey(new digibyte.crypto.BN(1234567), 'livenet').toAddress();
+  var script = digibyte.Script.buildPublicKeyHashOut(address).toString();
+  var prevTxId = 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458';
+
+  var holding = function(assetId, amount, aggregationPolicy) {
+    return {
+      assetId: assetId,
+      amount: amount,
+      issueTxid: prevTxId,
+      divisibility: 0,
+      lockStatus: true,
+      aggregationPolicy: aggregationPolicy || 'aggregatable'
+    };
+  };
+
+  var buildTransaction = function(inputs, outputs, asset) {
+    var tx = new Transaction();
+    for (var i = 0; i < inputs; i++) {
+      tx.from({ txId: prevTxId, outputIndex: i, script: script, satoshis: 100000 });
+    }
+    for (var j = 0; j < outputs; j++) {
+      tx.to(address, Transaction.DUST_AMOUNT);
+    }
+    if (asset) {
+      tx.addData(asset.encode().codeBuffer);
+    }
+    return tx;
+  };
+
+  var transfer = function() {
+    return new Asset({ type: 'transfer' });
+  };
+
+  it('can be created without "new"', function() {
+    var ledger = Ledger(buildTransaction(1, 1), []);
+    ledger.should.be.instanceof(Ledger);
+  });
+
+  it('fails when no transaction is given', function() {
+    expect(function() {
+      return new Ledger();
+    }).to.throw(digibyte.errors.InvalidArgument);
+  });
+
+  it('moves assets of a transaction without instruction to the last output', function() {
+    var tx = buildTransaction(2, 2);
+    var ledger = new Ledger(tx, [[holding('La1', 10)], [holding('La2', 5)]]);
+    ledger.valid.should.equal(true);
+    ledger.getOutputAssets(0).should.deep.equal([]);
+    ledger.getOutputAssets(1).should.deep.equal([holding('La1', 10), holding('La2', 5)]);
+  });
+
+  it('applies payments in order and sends leftovers to the last output', function() {
+    var asset = transfer();
+    asset.addPayment(0, 3, 0);
+    asset.addPayment(0, 4, 1);
+    var tx = buildTransaction(1, 3, asset);
+    var ledger = new Ledger(tx, [[holding('La1', 10)]]);
+    ledger.valid.should.equal(true);
+    ledger.getOutputAssets(0).should.deep.equal([holding('La1', 3)]);
+    ledger.getOutputAssets(1).should.deep.equal([holding('La1', 4)]);
+    ledger.getOutputAssets(2).should.deep.equal([]);
+    ledger.getOutputAssets(3).should.deep.equal([holding('La1', 3)]);
+  });
+
+  it('continues a payment over the next holding of the same asset', function() {
+    var asset = transfer();
+    asset.addPayment(0, 15, 0);
+    var tx = buildTransaction(2, 1, asset);
+    var ledger = new Ledger(tx, [[holding('La1', 10)], [holding('La1', 10)]]);
+    ledger.valid.should.equal(true);
+    ledger.getOutputAssets(0).should.deep.equal([holding('La1', 15)]);
+    ledger.getOutputAssets(1).should.deep.equal([holding('La1', 5)]);
+  });
+
+  it('leaves the rest of an input behind when a payment skips it', function() {
+    var asset = transfer();
+    asset.addPayment(0, 2, 0);
+    asset.addPayment(1, 6, 1);
+    var tx = buildTransaction(2, 3, asset);
+    var ledger = new Ledger(tx, [[holding('La1', 5), holding('La2', 7)], [holding('La3', 6)]]);
+    ledger.valid.should.equal(true);
+    ledger.getOutputAssets(0).should.deep.equal([holding('La1', 2)]);
+    ledger.getOutputAssets(1).should.deep.equal([holding('La3', 6)]);
+    ledger.getOutputAssets(3).should.deep.equal([holding('La1', 3), holding('La2', 7)]);
+  });
+
+  it('burns the units drawn by burn payments', function() {
+    var asset = transfer();
+    asset.addPayment(0, 2, 0);
+    asset.addBurn(0, 5);
+    var tx = buildTransaction(1, 2, asset);
+    var ledger = new Ledger(tx, [[holding('La1', 10)]]);
+    ledger.valid.should.equal(true);
+    ledger.burned.should.deep.equal([holding('La1', 5)]);
+    ledger.getOutputAssets(0).should.deep.equal([holding('La1', 2)]);
+    ledger.getOutputAssets(2).should.deep.equal([holding('La1', 3)]);
+  });
+
+  it('pays the amount of a range payment to every output up to its own', function() {
+    var asset = transfer();
+    asset.addPayment(0, 2, 2, true);
+    var tx = buildTransaction(1, 3, asset);
+    var ledger = new Ledger(tx, [[holding('La1', 10)]]);
+    ledger.valid.should.equal(true);
+    _.times(3, function(index) {
+      ledger.getOutputAssets(index).should.deep.equal([holding('La1', 2)]);
+    });
+    ledger.getOutputAssets(3).should.deep.equal([holding('La1', 4)]);
+  });
+
+  it('pays a percent of the units left in the holding, rounded down', function() {
+    var asset = transfer();
+    asset.addPayment(0, 3, 0);
+    asset.addPayment(0, 50, 1, false, true);
+    asset.addBurn(0, 25, true);
+    var tx = buildTransaction(1, 2, asset);
+    var ledger = new Ledger(tx, [[holding('La1', 10), holding('La2', 8)]]);
+    ledger.valid.should.equal(true);
+    ledger.getOutputAssets(0).should.deep.equal([holding('La1', 3)]);
+    ledger.getOutputAssets(1).should.deep.equal([holding('La1', 3)]);
+    ledger.burned.should.deep.equal([holding('La1', 1)]);
+    ledger.getOutputAssets(2).should.deep.equal([holding('La1', 3), holding('La2', 8)]);
+  });
+
+  it('pays a percent range payment the same amount on every output', function() {
+    var asset = transfer();
+    asset.addPayment(0, 20, 1, true, true);
+    var tx = buildTransaction(1, 2, asset);
+    var ledger = new Ledger(tx, [[holding('La1', 10)]]);
+    ledger.getOutputAssets(0).should.deep.equal([holding('La1', 2)]);
+    ledger.getOutputAssets(1).should.deep.equal([holding('La1', 2)]);
+    ledger.getOutputAssets(2).should.deep.equal([holding('La1', 6)]);
+  });
+
+  it('credits the issued asset before the assets of the first input', function() {
+    var asset = new Asset({ type: 'issuance', amount: 100, lockStatus: true, aggregationPolicy: 'aggregatable' });
+    asset.addPayment(0, 40, 0);
+    var tx = buildTransaction(1, 2, asset);
+    var ledger = new Ledger(tx, [[holding('La1', 10)]]);
+    ledger.valid.should.equal(true);
+    ledger.asset.assetId.should.be.a('string');
+    ledger.getOutputAssets(0).should.deep.equal([{
+      assetId: ledger.asset.assetId,
+      amount: 40,
+      issueTxid: tx.id,
+      divisibility: 0,
+      lockStatus: true,
+      aggregationPolicy: 'aggregatable'
+    }]);
+    ledger.getOutputAssets(2).length.should.equal(2);
+    ledger.getOutputAssets(2)[0].amount.should.equal(60);
+    ledger.getOutputAssets(2)[1].should.deep.equal(holding('La1', 10));
+  });
+
+  describe('aggregation policies', function() {
+
+    var reissued = function(assetId, amount) {
+      return _.assign(holding(assetId, amount, 'hybrid'), { issueTxid: '11'.repeat(32) });
+    };
+
+    it('combines hybrid units of the same issuance', function() {
+      var asset = transfer();
+      asset.addPayment(0, 4, 0);
+      asset.addPayment(1, 6, 0);
+      var tx = buildTransaction(2, 1, asset);
+      var ledger = new Ledger(tx, [[holding('Lh1', 5, 'hybrid')], [holding('Lh1', 6, 'hybrid')]]);
+      ledger.valid.should.equal(true);
+      ledger.getOutputAssets(0).should.deep.equal([holding('Lh1', 10, 'hybrid')]);
+    });
+
+    it('keeps hybrid units of different issuances apart', function() {
+      var asset = transfer();
+      asset.addPayment(0, 5, 0);
+      asset.addPayment(1, 6, 0);
+      var tx = buildTransaction(2, 1, asset);
+      var ledger = new Ledger(tx, [[holding('Lh1', 5, 'hybrid')], [reissued('Lh1', 6)]]);
+      ledger.valid.should.equal(true);
+      ledger.getOutputAssets(0).should.deep.equal([holding('Lh1', 5, 'hybrid'), reissued('Lh1', 6)]);
+    });
+
+    it('keeps dispersed units apart', function() {
+      var asset = transfer();
+      asset.addPayment(0, 5, 0);
+      asset.addPayment(1, 6, 0);
+      var tx = buildTransaction(2, 1, asset);
+      var ledger = new Ledger(tx, [[holding('Ld1', 5, 'dispersed')], [holding('Ld1', 6, 'dispersed')]]);
+      ledger.valid.should.equal(true);
+      ledger.getOutputAssets(0).should.deep.equal([holding('Ld1', 5, 'dispersed'), holding('Ld1', 6, 'dispersed')]);
+    });
+
+    it('continues a payment over hybrid units of the same issuance', function() {
+      var asset = transfer();
+      asset.addPayment(0, 8, 0);
+      var tx = buildTransaction(2, 1, asset);
+      var ledger = new Ledger(tx, [[holding('Lh1', 5, 'hybrid')], [holding('Lh1', 5, 'hybrid')]]);
+      ledger.valid.should.equal(true);
+      ledger.getOutputAssets(0).should.deep.equal([holding('Lh1', 8, 'hybrid')]);
+    });
+
+    it('tells which holdings can be combined', function() {
+      Ledger.canAggregate(holding('La1', 1), holding('La1', 2)).should.equal(true);
+      Ledger.canAggregate(holding('La1', 1), holding('La2', 2)).should.equal(false);
+      Ledger.canAggregate(holding('Lh1', 1, 'hybrid'), holding('Lh1', 2, 'hybrid')).should.equal(true);
+      Ledger.canAggregate(holding('Lh1', 1, 'hybrid'), reissued('Lh1', 2)).should.equal(false);
+      Ledger.canAggregate(holding('Ld1', 1, 'dispersed'), holding('Ld1', 2, 'dispersed')).should.equal(false);
+    });
+
+  });
+
+  describe('invalid instructions', function() {
+
+    var expectFallback = function(asset, inputs, outputs, message) {
+      var tx = buildTransaction(inputs.length, outputs, asset);
+      var ledger = new Ledger(tx, inputs);
+      ledger.valid.should.equal(false);
+      ledger.error.should.contain(message);
+      ledger.burned.should.deep.equal([]);
+      ledger.getOutputAssets(0).should.deep.equal([]);
+      return ledger;
+    };
+
+    it('moves every asset to the last output when overspending', function() {
+      var asset = transfer();
+      asset.addPayment(0, 20, 0);
+      var ledger = expectFallback(asset, [[holding('La1', 10)]], 1, 'spends more than its inputs hold');
+      ledger.getOutputAssets(1).should.deep.equal([holding('La1', 10)]);
+    });
+
+    it('does not burn anything from an invalid instruction', function() {
+      var asset = transfer();
+      asset.addBurn(0, 5);
+      asset.addPayment(0, 20, 0);
+      var ledger = expectFallback(asset, [[holding('La1', 10)]], 1, 'spends more than its inputs hold');
+      ledger.getOutputAssets(1).should.deep.equal([holding('La1', 10)]);
+    });
+
+    it('rejects payments to non-existent outputs', function() {
+      var asset = transfer();
+      asset.addPayment(0, 1, 5);
+      expectFallback(asset, [[holding('La1', 10)]], 1, 'non-existent output 5');
+    });
+
+    it('rejects range payments reaching non-existent outputs', function() {
+      var asset = transfer();
+      asset.addPayment(0, 1, 3, true);
+      expectFallback(asset, [[holding('La1', 10)]], 2, 'non-existent output 3');
+    });
+
+    it('rejects range payments spending more than their inputs hold', function() {
+      var asset = transfer();
+      asset.addPayment(0, 4, 2, true);
+      expectFallback(asset, [[holding('La1', 10)]], 3, 'spends more than its inputs hold');
+    });
+
+    it('rejects percent payments above 100 percent', function() {
+      var asset = transfer();
+      asset.addPayment(0, 150, 0, false, true);
+      expectFallback(asset, [[holding('La1', 10)]], 1, 'pays more than 100 percent');
+    });
+
+    it('rejects percent payments once the inputs are spent', function() {
+      var asset = transfer();
+      asset.addPayment(0, 10, 0);
+      asset.addPayment(0, 50, 0, false, true);
+      expectFallback(asset, [[holding('La1', 10)]], 1, 'spends more than its inputs hold');
+    });
+
+    it('rejects payments spanning different assets', function() {
+      var asset = transfer();
+      asset.addPayment(0, 12, 0);
+      expectFallback(asset, [[holding('La1', 10), holding('La2', 10)]], 1, 'more than one asset');
+    });
+
+    it('rejects payments combining dispersed units', function() {
+      var asset = transfer();
+      asset.addPayment(0, 8, 0);
+      var inputs = [[holding('Ld1', 5, 'dispersed')], [holding('Ld1', 5, 'dispersed')]];
+      var ledger = expectFallback(asset, inputs, 1, 'dispersed asset Ld1 can\'t be combined');
+      ledger.getOutputAssets(1).should.deep.equal([holding('Ld1', 5, 'dispersed'), holding('Ld1', 5, 'dispersed')]);
+    });
+
+    it('rejects payments combining hybrid units of different issuances', function() {
+      var asset = transfer();
+      asset.addPayment(0, 8, 0);
+      var inputs = [[holding('Lh1', 5, 'hybrid')], [_.assign(holding('Lh1', 5, 'hybrid'), { issueTxid: '11'.repeat(32) })]];
+      expectFallback(asset, inputs, 1, 'from different issuances can\'t be combined');
+    });
+
+  });
+
+  it('does not modify the given input holdings', function() {
+    var asset = transfer();
+    asset.addPayment(0, 3, 0);
+    var inputs = [[holding('La1', 10)]];
+    var ledger = new Ledger(buildTransaction(1, 1, asset), inputs);
+    ledger.valid.should.equal(true);
+    inputs[0][0].amount.should.equal(10);
+  });
+
+  it('accepts utxo objects with an assets property', function() {
+    var ledger = new Ledger(buildTransaction(1, 1), [{ assets: [holding('La1', 10)] }]);
+    ledger.getOutputAssets(0).should.deep.equal([holding('La1', 10)]);
+  });
+
+  it('serializes to a plain object', function() {
+    var asset = transfer();
+    asset.addPayment(0, 20, 0);
+    var tx = buildTransaction(1, 1, asset);
+    var obj = new Ledger(tx, [[holding('La1', 10)]]).toObject();
+    obj.txid.should.equal(tx.id);
+    obj.valid.should.equal(false);
+    should.exist(obj.error);
+    obj.outputs.should.deep.equal([[], [holding('La1', 10)]]);
+  });
+
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var digibyte = require('../..');
+var MetaFile = digibyte.Asset.MetaFile;
+var vectors = require('../data/metafiles.json');
+
+describe('MetaFile', function() {
+
+  var data = { data: { b: 1, a: 'x' }, rules: [] };
+
+  it('can be created without "new"', function() {
+    MetaFile(data).should.be.instanceof(MetaFile);
+  });
+
+  it('fails without a metafile object', function() {
+    expect(function() {
+      return new MetaFile('metadata');
+    }).to.throw(digibyte.errors.InvalidArgument);
+  });
+
+  it('serializes in the order of the keys, like the metadata server', function() {
+    new MetaFile(data).toBuffer().toString().should.equal('{"data":{"b":1,"a":"x"},"rules":[]}');
+  });
+
+  it('computes the SHA256 of the serialized metafile', function() {
+    new MetaFile(data).getSha2().toString('hex')
+      .should.equal('bf09c51bfd46bb473904dcef8181aed2878dc78349a18dafd65b85c0cb1024f8');
+  });
+
+  it('describes a single file torrent like the metadata handler', function() {
+    var metaFile = new MetaFile(data);
+    var info = metaFile.getTorrentInfo();
+    info.length.should.equal(35);
+    info.name.should.equal(metaFile.getSha2().toString('hex') + '.dam');
+    info.comment.should.equal('DigiAssets Metadata');
+    info['created by'].should.equal('DigiAssets-1.0.0');
+    info['piece length'].should.equal(16384);
+    info.pieces.length.should.equal(20);
+  });
+
+  it('uses the given file name', function() {
+    var metaFile = new MetaFile(data, 'metadata.json');
+    metaFile.getTorrentInfo().name.should.equal('metadata.json');
+    metaFile.getTorrentHash().toString('hex').should.not.equal(new MetaFile(data).getTorrentHash().toString('hex'));
+  });
+
+  it('picks the piece length like create-torrent', function() {
+    MetaFile.getPieceLength(35).should.equal(16384);
+    MetaFile.getPieceLength(30 * 1024 * 1024).should.equal(32768);
+    MetaFile.getPieceLength(10 * 1024 * 1024 * 1024).should.equal(4194304);
+  });
+
+  it('hashes every piece of a large metafile', function() {
+    var metaFile = new MetaFile({ data: { assetName: 'Large', description: 'a'.repeat(40000) }, rules: [] });
+    metaFile.getTorrentInfo().pieces.length.should.equal(60);
+    metaFile.getSha2().toString('hex').should.equal('b01bd5c073c1ef583730ae9cd1df4e902fdb58b17decec07cab10bff67f78573');
+    metaFile.getTorrentHash().toString('hex').should.equal('e87ca3b0e47109c0251be6144312287570861c29');
+  });
+
+  describe('metadata handler vectors', function() {
+    vectors.forEach(function(vector) {
+      it('hashes ' + vector.description, function() {
+        var metaFile = new MetaFile(vector.metafile);
+        metaFile.getSha2().toString('hex').should.equal(vector.sha2);
+        metaFile.getTorrentHash().toString('hex').should.equal(vector.torrentHash);
+      });
+    });
+  });
+
+});
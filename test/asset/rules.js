@@ -0,0 +1,226 @@
+'use strict';
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var digibyte = require('../..');
+var Asset = digibyte.Asset;
+var Rules = digibyte.Asset.Rules;
+var PrivateKey = digibyte.PrivateKey;
+var Transaction = digibyte.Transaction;
+var errors = digibyte.errors;
+
+describe('Rules', function() {
+
+  var addressOf = function(seed) {
+    return new PrivateKey(new digibyte.crypto.BN(seed), 'livenet').toLegacyAddress();
+  };
+  var sender = addressOf(1234567);
+  var buyer = addressOf(2345678);
+  var issuer = addressOf(3456789);
+  var prevTxId = 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458';
+  var inputs = [[{ assetId: 'La1', amount: 100, aggregationPolicy: 'aggregatable' }]];
+
+  // sends 10 units of La1 to the recipient, and the rest back to the sender
+  var transfer = function(recipient, payments) {
+    var tx = new Transaction().from({
+      txId: prevTxId,
+      outputIndex: 0,
+      script: digibyte.Script.fromAddress(sender),
+      satoshis: 1000000
+    });
+    tx.to(recipient, Transaction.DUST_AMOUNT);
+    (payments || []).forEach(function(payment) {
+      tx.to(payment.address, payment.satoshis);
+    });
+    var asset = new Asset({ type: 'transfer' });
+    asset.addPayment(0, 10, 0);
+    tx.addData(asset.encode().codeBuffer);
+    return tx.to(sender, Transaction.DUST_AMOUNT);
+  };
+
+  it('can be created without "new"', function() {
+    Rules().should.be.instanceof(Rules);
+  });
+
+  it('fails on an unknown rule type', function() {
+    expect(function() {
+      return new Rules([{ type: 'unknown' }]);
+    }).to.throw(errors.Asset.InvalidRule);
+  });
+
+  it('round trips through the metadata array', function() {
+    var rules = new Rules([Rules.royalty(issuer, 1000), Rules.expiry({ height: 100 })]);
+    Rules.fromObject(rules.toObject()).toObject().should.deep.equal([
+      { type: 'royalty', address: issuer.toString(), amount: 1000 },
+      { type: 'expiry', height: 100 }
+    ]);
+  });
+
+  it('is kept in the metafile of an asset', function() {
+    var asset = new Asset({ type: 'issuance', metadata: {}, rules: new Rules([Rules.kyc({ allow: ['CAN'] })]) });
+    asset.getMetaData().rules.should.deep.equal([{ type: 'kyc', allow: ['CAN'] }]);
+    asset.getRules().toObject().should.deep.equal(asset.rules);
+  });
+
+  it('reads the rules published in the metadata of existing assets', function() {
+    var rules = new Rules({
+      fees: { items: [{ address: issuer.toString(), value: 1000 }, { address: buyer.toString(), value: 2, assetId: 'La1' }], locked: true },
+      expiration: { validUntil: 1500000000000, locked: false },
+      minters: [{ address: issuer.toString(), locked: true }],
+      holders: [{ address: buyer.toString(), locked: true }, { address: sender.toString() }]
+    });
+    rules.toObject().should.deep.equal([
+      { type: 'fee', address: issuer.toString(), amount: 1000 },
+      { type: 'fee', address: buyer.toString(), amount: 2, assetId: 'La1' },
+      { type: 'expiry', time: 1500000000 },
+      { type: 'holders', addresses: [buyer.toString(), sender.toString()] }
+    ]);
+    Rules.fromObject({ fees: { items: [] } }).toObject().should.deep.equal([]);
+  });
+
+  it('leaves out a published fee that is not a whole number of satoshis', function() {
+    var rules = new Rules({
+      fees: { items: [{ address: issuer.toString(), value: '0.5' }, { address: buyer.toString(), value: '1000' }] },
+      holders: [{ address: buyer.toString() }]
+    });
+    rules.toObject().should.deep.equal([
+      { type: 'fee', address: buyer.toString(), amount: 1000 },
+      { type: 'holders', addresses: [buyer.toString()] }
+    ]);
+    rules.skipped.length.should.equal(1);
+    rules.skipped[0].entry.should.deep.equal({ address: issuer.toString(), value: '0.5' });
+    rules.skipped[0].reason.should.contain('Fee must be a positive amount');
+    new Rules([Rules.expiry({ height: 100 })]).skipped.should.deep.equal([]);
+  });
+
+  it('checks the published rules of an asset', function() {
+    var asset = new Asset({
+      type: 'issuance',
+      metadata: {},
+      rules: { fees: { items: [{ address: issuer.toString(), value: 5000 }] }, holders: [{ address: buyer.toString() }] }
+    });
+    asset.getMetaData().rules.should.deep.equal(asset.rules);
+    var rules = asset.getRules();
+    rules.verify('La1', transfer(buyer), inputs).should.contain('Fee of 5000 satoshis');
+    rules.verify('La1', transfer(buyer, [{ address: issuer, satoshis: 5000 }]), inputs).should.equal(true);
+    rules.verify('La1', transfer(sender, [{ address: issuer, satoshis: 5000 }]), inputs)
+      .should.equal('Output 0 is not allowed to hold the asset');
+  });
+
+  describe('builders', function() {
+
+    it('refuse a royalty that is not a positive integer', function() {
+      expect(function() {
+        return Rules.royalty(issuer, 0.5);
+      }).to.throw(errors.InvalidArgument);
+    });
+
+    it('build a fee paid with an asset', function() {
+      Rules.fee(issuer, 2, 'La1').should.deep.equal({ type: 'fee', address: issuer.toString(), amount: 2, assetId: 'La1' });
+    });
+
+    it('build an expiry from a date', function() {
+      Rules.expiry({ time: new Date(1500000000000) }).should.deep.equal({ type: 'expiry', time: 1500000000 });
+    });
+
+    it('refuse an expiry with both a height and a time', function() {
+      expect(function() {
+        return Rules.expiry({ height: 1, time: 1 });
+      }).to.throw(errors.InvalidArgument);
+    });
+
+    it('refuse a KYC rule allowing and banning countries', function() {
+      expect(function() {
+        return Rules.kyc({ allow: ['CAN'], ban: ['USA'] });
+      }).to.throw(errors.InvalidArgument);
+    });
+
+    it('refuse a holders rule without addresses', function() {
+      expect(function() {
+        return Rules.holders([]);
+      }).to.throw(errors.InvalidArgument);
+    });
+
+    it('build a vote with its options', function() {
+      Rules.vote([buyer, issuer], 500).should.deep.equal({
+        type: 'vote',
+        addresses: [buyer.toString(), issuer.toString()],
+        cutoff: 500
+      });
+    });
+
+  });
+
+  describe('#verify', function() {
+
+    it('accepts transactions that do not move the asset', function() {
+      var rules = new Rules([Rules.royalty(issuer, 1000)]);
+      rules.verify('La2', transfer(buyer), inputs).should.equal(true);
+    });
+
+    it('requires the royalty for the units transferred', function() {
+      var rules = new Rules([Rules.royalty(issuer, 1000)]);
+      rules.verify('La1', transfer(buyer), inputs).should.equal('Royalty of 10000 satoshis to ' + issuer + ' is not paid');
+      rules.verify('La1', transfer(buyer, [{ address: issuer, satoshis: 10000 }]), inputs).should.equal(true);
+    });
+
+    it('does not count the colored change as transferred', function() {
+      var rules = new Rules([Rules.royalty(issuer, 1000)]);
+      var tx = transfer(buyer, [{ address: issuer, satoshis: 10000 }]);
+      tx.outputs[tx.outputs.length - 1].script.toAddress().toString().should.equal(sender.toString());
+      rules.verify('La1', tx, inputs).should.equal(true);
+    });
+
+    it('requires the royalty when sending to the spent address', function() {
+      var rules = new Rules([Rules.royalty(issuer, 1000)]);
+      rules.verify('La1', transfer(sender), inputs).should.equal('Royalty of 10000 satoshis to ' + issuer + ' is not paid');
+      rules.verify('La1', transfer(sender, [{ address: issuer, satoshis: 10000 }]), inputs).should.equal(true);
+    });
+
+    it('requires fees paid with an asset', function() {
+      var rules = new Rules([Rules.fee(buyer, 10, 'La1')]);
+      rules.verify('La1', transfer(buyer), inputs).should.equal(true);
+      rules.verify('La1', transfer(issuer), inputs).should.contain('Fee of 10 units of La1');
+    });
+
+    it('refuses transfers after the expiry height', function() {
+      var rules = new Rules([Rules.expiry({ height: 100 })]);
+      rules.verify('La1', transfer(buyer), inputs).should.contain('needs the current block height');
+      rules.verify('La1', transfer(buyer), inputs, { height: 99 }).should.equal(true);
+      rules.verify('La1', transfer(buyer), inputs, { height: 100 }).should.equal('Asset expired at block 100');
+    });
+
+    it('refuses transfers after the expiry time', function() {
+      var rules = new Rules([Rules.expiry({ time: 1500000000 })]);
+      rules.verify('La1', transfer(buyer), inputs, { time: 1400000000 }).should.equal(true);
+      rules.verify('La1', transfer(buyer), inputs).should.equal('Asset expired at time 1500000000');
+    });
+
+    it('requires KYC verified recipients in the allowed countries', function() {
+      var rules = new Rules([Rules.kyc({ allow: ['CAN'] })]);
+      var countries = {};
+      rules.verify('La1', transfer(buyer), inputs, { countries: countries }).should.contain('Output 0');
+      countries[buyer] = 'USA';
+      rules.verify('La1', transfer(buyer), inputs, { countries: countries }).should.contain('Output 0');
+      countries[buyer] = 'CAN';
+      rules.verify('La1', transfer(buyer), inputs, { countries: countries }).should.equal(true);
+    });
+
+    it('refuses recipients verified in banned countries', function() {
+      var rules = new Rules([Rules.kyc({ ban: ['USA'] })]);
+      var countries = {};
+      countries[buyer] = 'USA';
+      rules.verify('La1', transfer(buyer), inputs, { countries: countries }).should.contain('Output 0');
+    });
+
+    it('only lets votes go to the vote options before the cutoff', function() {
+      var rules = new Rules([Rules.vote([buyer], 100)]);
+      rules.verify('La1', transfer(issuer), inputs, { height: 50 }).should.equal('Output 0 is not a vote option');
+      rules.verify('La1', transfer(buyer), inputs, { height: 50 }).should.equal(true);
+      rules.verify('La1', transfer(buyer), inputs, { height: 100 }).should.equal('Voting closed at block 100');
+    });
+
+  });
+
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var digibyte = require('../..');
+var UtxoSelector = digibyte.Asset.UtxoSelector;
+
+describe('UtxoSelector', function() {
+
+  var utxo = function(name, value, assets) {
+    return { txid: name, value: value, assets: assets || [] };
+  };
+  var value = function(utxo) {
+    return utxo.value;
+  };
+  var names = function(selection) {
+    return selection.utxos.map(function(utxo) {
+      return utxo.txid;
+    });
+  };
+  var utxos = [utxo('a', 500), utxo('b', 3000), utxo('c', 100), utxo('d', 1200), utxo('e', 1000)];
+
+  it('can be created without "new"', function() {
+    UtxoSelector().should.be.instanceof(UtxoSelector);
+  });
+
+  it('fails on an unknown strategy', function() {
+    expect(function() {
+      return new UtxoSelector('largestFirst');
+    }).to.throw(digibyte.errors.InvalidArgument);
+  });
+
+  describe('minimizeInputs', function() {
+
+    var selector = new UtxoSelector('minimizeInputs');
+
+    it('prefers a utxo holding the exact amount', function() {
+      names(selector.select(utxos, 1000, value)).should.deep.equal(['e']);
+    });
+
+    it('prefers the smallest utxo covering the amount', function() {
+      names(selector.select(utxos, 1100, value)).should.deep.equal(['d']);
+    });
+
+    it('spends the largest utxos first otherwise', function() {
+      var selection = selector.select(utxos, 4000, value);
+      names(selection).should.deep.equal(['b', 'd']);
+      selection.amount.should.equal(4200);
+    });
+
+    it('is the default strategy', function() {
+      names(new UtxoSelector().select(utxos, 1100, value)).should.deep.equal(['d']);
+    });
+
+  });
+
+  it('consolidates dust by spending the smallest utxos first', function() {
+    names(new UtxoSelector('consolidateDust').select(utxos, 1100, value)).should.deep.equal(['c', 'a', 'e']);
+  });
+
+  it('prefers utxos holding a single asset', function() {
+    var mixed = [
+      utxo('a', 0, [{ assetId: 'La1', amount: 10 }, { assetId: 'La2', amount: 5 }]),
+      utxo('b', 0, [{ assetId: 'La1', amount: 4 }]),
+      utxo('c', 0, [{ assetId: 'La1', amount: 3 }, { assetId: 'La1', amount: 3 }])
+    ];
+    var amountOf = function(utxo) {
+      return utxo.assets[0].amount + (utxo.txid === 'c' ? 3 : 0);
+    };
+    names(new UtxoSelector('preferSingleAsset').select(mixed, 10, amountOf)).should.deep.equal(['c', 'b']);
+    names(new UtxoSelector('minimizeInputs').select(mixed, 10, amountOf)).should.deep.equal(['a']);
+  });
+
+  it('accepts a custom strategy', function() {
+    var selector = new UtxoSelector(function(candidates, amount, amountOf) {
+      amount.should.equal(600);
+      amountOf(candidates[0]).should.equal(500);
+      return candidates.slice().reverse();
+    });
+    names(selector.select(utxos, 600, value)).should.deep.equal(['e']);
+  });
+
+  it('ignores utxos a custom strategy returns twice or makes up', function() {
+    var selector = new UtxoSelector(function(candidates) {
+      return [utxo('x', 5000), candidates[0], candidates[0], candidates[1]];
+    });
+    names(selector.select(utxos, 1000, value)).should.deep.equal(['a', 'b']);
+  });
+
+  it('returns what it found when the utxos do not cover the amount', function() {
+    var selection = new UtxoSelector().select(utxos, 10000, value);
+    selection.utxos.length.should.equal(5);
+    selection.amount.should.equal(5800);
+  });
+
+});
@@ -266,4 +266,75 @@ describe('Block', function() {
 
   });
 
+  describe('#getDigiAssetOperations', function() {
+
+    var privateKey = new digibyte.PrivateKey(new BN(1234567), 'livenet');
+    var from = privateKey.toLegacyAddress();
+    var recipient = new digibyte.PrivateKey(new BN(2345678), 'livenet').toLegacyAddress();
+    var prevTxId = 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458';
+    var script = digibyte.Script.buildPublicKeyHashOut(from);
+    var funding = { txId: prevTxId, outputIndex: 0, script: script, satoshis: 100000000 };
+    var assetUtxo = {
+      txId: prevTxId,
+      outputIndex: 1,
+      script: script,
+      satoshis: Transaction.DUST_AMOUNT,
+      assets: [{ assetId: 'La1', amount: 10 }]
+    };
+
+    var issuance = function() {
+      var tx = new Transaction();
+      tx.createAssetIssuance({
+        from: from,
+        issueAddress: from,
+        fee: 5000,
+        amount: 1000,
+        metadata: { assetName: 'Test Asset' },
+        transfer: [{ address: recipient, amount: 10 }]
+      }, [funding]).encodeDigiAssetScheme(tx);
+      return tx;
+    };
+    var withBlock = function(transactions) {
+      var block = new Block({ header: bh, transactions: transactions });
+      return Block.fromBuffer(block.toBuffer());
+    };
+
+    it('lists the issuances, transfers and burns of the block in order', function() {
+      var issue = issuance();
+      var transfer = new Transaction();
+      transfer.createAssetTransfer({ from: from, fee: 5000, to: [{ address: recipient, amount: 4, assetId: 'La1' }] },
+        [assetUtxo, funding]);
+      var burn = new Transaction();
+      burn.createAssetBurn({ from: from, fee: 5000, burn: [{ assetId: 'La1', amount: 3 }] }, [assetUtxo, funding]);
+      var plain = new Transaction().from(funding).to(recipient, 50000);
+      var operations = withBlock([plain, issue, transfer, burn]).getDigiAssetOperations();
+      operations.map(function(operation) {
+        return [operation.index, operation.txid, operation.type];
+      }).should.deep.equal([
+        [1, issue.id, 'issuance'],
+        [2, transfer.id, 'transfer'],
+        [3, burn.id, 'burn']
+      ]);
+      operations[0].assetId.should.equal(digibyte.Asset.decode(issue).assetId);
+      operations[0].asset.amount.should.equal(1000);
+      should.not.exist(operations[1].assetId);
+      operations[1].asset.payments[0].amount.should.equal(4);
+      operations[2].asset.payments[0].burn.should.equal(true);
+    });
+
+    it('lists instructions that can not be decoded with the reason', function() {
+      var malformed = new Transaction().from(funding).to(recipient, 50000).addData(new Buffer('4441027f', 'hex'));
+      var operations = withBlock([malformed]).getDigiAssetOperations();
+      operations.length.should.equal(1);
+      operations[0].txid.should.equal(malformed.id);
+      should.equal(operations[0].asset, null);
+      operations[0].error.should.contain('7f');
+    });
+
+    it('returns nothing for a block without DigiAsset instructions', function() {
+      Block.fromRawBlock(dataRawBlockBinary).getDigiAssetOperations().should.deep.equal([]);
+    });
+
+  });
+
 });
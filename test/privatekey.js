@@ -273,6 +273,16 @@ describe('PrivateKey', function() {
 
   });
 
+  describe('#toNestedWitnessAddress', function() {
+    it('should match the address of its public key', function() {
+      var privkey = PrivateKey.fromWIF('L3T1s1TYP9oyhHpXgkyLoJFGniEgkv2Jhi138d7R2yJ9F4QdDU2m');
+      var address = privkey.toNestedWitnessAddress();
+      address.toString().should.equal(privkey.publicKey.toNestedWitnessAddress().toString());
+      address.network.name.should.equal(Networks.livenet.name);
+      privkey.toNestedWitnessAddress(Networks.testnet).network.name.should.equal(Networks.testnet.name);
+    });
+  });
+
   describe('#inspect', function() {
     it('should output known livenet address for console', function() {
       var privkey = PrivateKey.fromWIF('L3T1s1TYP9oyhHpXgkyLoJFGniEgkv2Jhi138d7R2yJ9F4QdDU2m');
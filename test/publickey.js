@@ -348,6 +348,19 @@ describe('PublicKey', function() {
 
   });
 
+  describe('#toNestedWitnessAddress', function() {
+
+    it('should nest the witness program of the key in a pay to script hash', function() {
+      var pk = new PublicKey('03c87bd0e162f26969da8509cafcb7b8c8d202af30b928c582e263dd13ee9a9781');
+      var address = pk.toNestedWitnessAddress('livenet');
+      var program = Buffer.concat([new Buffer('0014', 'hex'), digibyte.crypto.Hash.sha256ripemd160(pk.toBuffer())]);
+      address.isPayToScriptHash().should.equal(true);
+      address.hashBuffer.should.deep.equal(digibyte.crypto.Hash.sha256ripemd160(program));
+      address.toString()[0].should.equal('S');
+    });
+
+  });
+
   describe('hashes', function() {
 
     // wif private key, address
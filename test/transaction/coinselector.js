@@ -0,0 +1,214 @@
+'use strict';
+
+/* jshint unused: false */
+var should = require('chai').should();
+var expect = require('chai').expect;
+var _ = require('lodash');
+
+var digibyte = require('../..');
+var Transaction = digibyte.Transaction;
+var CoinSelector = Transaction.CoinSelector;
+var UnspentOutput = Transaction.UnspentOutput;
+var PrivateKey = digibyte.PrivateKey;
+var Script = digibyte.Script;
+var errors = digibyte.errors;
+
+describe('CoinSelector', function() {
+
+  var privateKey = new PrivateKey('KwF9LjRraetZuEjR8VqEq539z137LW5anYDUnVK11vM3mNMHTWb4');
+  var witnessScript = Script.buildWitnessV0Out(privateKey.toAddress());
+  var legacyScript = Script.buildPublicKeyHashOut(privateKey.toLegacyAddress());
+  var utxo = function(outputIndex, satoshis, script) {
+    return new UnspentOutput({
+      txId: '66e64ef8a3b384164b78453fa8c8194de9a473ba14f89485a0e433699daec140',
+      outputIndex: outputIndex,
+      script: script || witnessScript,
+      satoshis: satoshis
+    });
+  };
+  var utxos = [utxo(0, 100000), utxo(1, 50000), utxo(2, 30000), utxo(3, 20000), utxo(4, 5000)];
+  var amounts = function(selection) {
+    return _.map(selection.inputs, 'satoshis');
+  };
+
+  it('can be created without new', function() {
+    CoinSelector('knapsack').should.be.instanceof(CoinSelector);
+  });
+
+  it('fails on an unknown algorithm', function() {
+    expect(function() {
+      return new CoinSelector('random');
+    }).to.throw('Unknown coin selection algorithm: random');
+  });
+
+  it('checks its arguments', function() {
+    var selector = new CoinSelector();
+    expect(function() {
+      selector.select(utxos, 0, 1);
+    }).to.throw('Target must be a positive integer');
+    expect(function() {
+      selector.select(utxos, 1000, -1);
+    }).to.throw('Fee rate must be a non negative number');
+  });
+
+  it('throws when the outputs don\'t cover the target and fees', function() {
+    expect(function() {
+      new CoinSelector().select(utxos, 300000, 1);
+    }).to.throw(errors.Transaction.NotEnoughFunds);
+  });
+
+  it('reads outputs and change given as addresses', function() {
+    var address = privateKey.toLegacyAddress();
+    var options = { outputs: [legacyScript], changeScript: legacyScript };
+    var fromStrings = new CoinSelector().select(utxos, 40000, 10, {
+      outputs: [address.toString()],
+      changeScript: address.toString()
+    });
+    var fromAddresses = new CoinSelector().select(utxos, 40000, 10, { outputs: [address], changeScript: address });
+    fromStrings.should.deep.equal(new CoinSelector().select(utxos, 40000, 10, options));
+    fromAddresses.should.deep.equal(fromStrings);
+  });
+
+  it('accepts plain objects', function() {
+    var selection = new CoinSelector('largestFirst').select([utxo(0, 100000).toObject()], 1000, 1);
+    selection.inputs[0].should.be.instanceof(UnspentOutput);
+  });
+
+  describe('branch and bound', function() {
+    it('finds a changeless selection', function() {
+      var selection = new CoinSelector('branchAndBound').select(utxos, 50000, 0);
+      _.sum(amounts(selection)).should.equal(50000);
+      selection.change.should.equal(0);
+      selection.fee.should.equal(0);
+    });
+    it('leaves an excess smaller than the cost of change to the fee', function() {
+      var selection = new CoinSelector('branchAndBound').select(utxos, 49850, 1);
+      amounts(selection).should.deep.equal([50000]);
+      selection.change.should.equal(0);
+      var transaction = new Transaction()
+        .from(selection.inputs)
+        .to(privateKey.toAddress(), 49850)
+        .fee(selection.fee)
+        .sign(privateKey);
+      transaction.getFee().should.be.at.least(transaction.getVirtualSize());
+    });
+    it('never sends back change, even when the excess is above dust', function() {
+      var largestFirst = new CoinSelector('largestFirst').select([utxo(0, 100000)], 96310, 20);
+      largestFirst.change.should.be.above(Transaction.DUST_AMOUNT);
+      var selection = new CoinSelector('branchAndBound').select([utxo(0, 100000)], 96310, 20);
+      amounts(selection).should.deep.equal([100000]);
+      selection.change.should.equal(0);
+      selection.fee.should.equal(100000 - 96310);
+    });
+    it('returns null when no changeless selection exists', function() {
+      should.equal(new CoinSelector('branchAndBound').select(utxos, 49000, 1), null);
+    });
+    it('falls back to the knapsack by default', function() {
+      var selection = new CoinSelector().select(utxos, 49000, 1);
+      selection.change.should.be.above(0);
+    });
+  });
+
+  describe('knapsack', function() {
+    it('prefers an output matching the target', function() {
+      var selection = new CoinSelector('knapsack').select(utxos, 30000, 0);
+      amounts(selection).should.deep.equal([30000]);
+    });
+    it('combines smaller outputs before spending a larger one', function() {
+      var selection = new CoinSelector('knapsack').select(utxos, 54000, 1);
+      amounts(selection).should.not.include(100000);
+      selection.change.should.be.at.least(Transaction.DUST_AMOUNT);
+    });
+    it('spends the smallest larger output when the smaller ones fall short', function() {
+      var selection = new CoinSelector('knapsack').select([utxo(0, 100000), utxo(2, 30000), utxo(3, 20000)], 60000, 1);
+      amounts(selection).should.deep.equal([100000]);
+    });
+  });
+
+  describe('largest first', function() {
+    it('spends the largest outputs first', function() {
+      var selection = new CoinSelector('largestFirst').select(utxos, 120000, 1);
+      amounts(selection).should.deep.equal([100000, 50000]);
+      selection.fee.should.equal(150000 - 120000 - selection.change);
+    });
+  });
+
+  describe('change', function() {
+    it('leaves dust change to the fee', function() {
+      var selection = new CoinSelector('largestFirst').select([utxo(0, 50000)], 49600, 0);
+      selection.change.should.equal(0);
+      selection.fee.should.equal(400);
+    });
+    it('sends back change above dust', function() {
+      var selection = new CoinSelector('largestFirst').select([utxo(0, 50000)], 49000, 0);
+      selection.change.should.equal(1000);
+      selection.fee.should.equal(0);
+    });
+    it('pays the fee of the change output', function() {
+      var withoutFee = new CoinSelector('largestFirst').select([utxo(0, 50000)], 40000, 0);
+      var withFee = new CoinSelector('largestFirst').select([utxo(0, 50000)], 40000, 1);
+      withFee.change.should.be.below(withoutFee.change);
+      var transaction = new Transaction()
+        .from(withFee.inputs)
+        .to(privateKey.toAddress(), 40000)
+        .to(privateKey.toAddress(), withFee.change)
+        .sign(privateKey);
+      transaction.getFee().should.equal(withFee.fee);
+      transaction.getFee().should.be.at.least(transaction.getVirtualSize());
+    });
+  });
+
+  describe('input types', function() {
+    it('charges each input type the cost of spending it', function() {
+      var witness = new CoinSelector().select([utxo(0, 50000)], 40000, 10);
+      var legacy = new CoinSelector().select([utxo(0, 50000, legacyScript)], 40000, 10);
+      legacy.fee.should.be.above(witness.fee);
+    });
+    it('charges a nested witness output given its public key for its witness', function() {
+      var nestedScript = Script.buildScriptHashOut(privateKey.toNestedWitnessAddress());
+      var nested = new CoinSelector().select([
+        _.assign(utxo(0, 50000, nestedScript).toObject(), { publicKey: privateKey.publicKey })
+      ], 40000, 10);
+      var witness = new CoinSelector().select([utxo(0, 50000)], 40000, 10);
+      var legacy = new CoinSelector().select([utxo(0, 50000, legacyScript)], 40000, 10);
+      nested.fee.should.be.above(witness.fee);
+      nested.fee.should.be.below(legacy.fee);
+    });
+    it('charges a multisig output the cost of its redeem script', function() {
+      var privateKeys = _.times(3, function() {
+        return new PrivateKey();
+      });
+      var publicKeys = _.map(privateKeys, 'publicKey');
+      var redeemScript = Script.buildMultisigOut(publicKeys, 2);
+      var multisig = function(script) {
+        return _.assign(utxo(0, 50000, script).toObject(), { redeemScript: redeemScript.toHex() });
+      };
+      var scriptHash = new CoinSelector().select([multisig(redeemScript.toScriptHashOut())], 40000, 10);
+      var witness = new CoinSelector().select([
+        multisig(Script.buildWitnessMultisigOutFromScript(redeemScript))
+      ], 40000, 10);
+      var legacy = new CoinSelector().select([utxo(0, 50000, legacyScript)], 40000, 10);
+      scriptHash.fee.should.be.above(legacy.fee);
+      witness.fee.should.be.below(scriptHash.fee);
+      var transaction = new Transaction()
+        .from(multisig(redeemScript.toScriptHashOut()), publicKeys, 2)
+        .to(privateKey.toAddress(), 40000)
+        .to(privateKey.toAddress(), scriptHash.change)
+        .sign(_.take(privateKeys, 2));
+      transaction.getFee().should.equal(scriptHash.fee);
+      transaction.getFee().should.be.at.least(transaction.getVirtualSize() * 10);
+    });
+    it('refuses outputs it can\'t size', function() {
+      var scriptHash = Script.buildScriptHashOut(Script.buildMultisigOut([privateKey.publicKey], 1));
+      expect(function() {
+        new CoinSelector().select([utxo(0, 50000, scriptHash)], 40000, 10);
+      }).to.throw(errors.Transaction.Input.UnsupportedScript);
+    });
+    it('never spends outputs costing more than they hold', function() {
+      var dust = utxo(5, 1000, legacyScript);
+      var selection = new CoinSelector('largestFirst').select(utxos.concat(dust), 200000, 10);
+      selection.inputs.should.not.include(dust);
+    });
+  });
+
+});
@@ -96,4 +96,12 @@ describe('Transaction.Input', function() {
     var input = new Input(output);
     input._estimateSize().should.equal(66);
   });
+
+  it('_estimateWeight counts the scriptSig four times and the witness once', function() {
+    var input = new Input(output);
+    input._estimateWeight().should.equal((40 + 1 + 25) * 4);
+    input.setWitnesses([new Buffer(72), new Buffer(33)]);
+    input._estimateWitnessSize().should.equal(1 + 73 + 34);
+    input._estimateWeight().should.equal((40 + 1 + 25) * 4 + 1 + 73 + 34);
+  });
 });
@@ -86,6 +86,18 @@ describe('MultiSigScriptHashInput', function() {
     var input = transaction.inputs[0];
     input._estimateSize().should.equal(257);
   });
+  it('can estimate the weight of the signed input', function() {
+    var transaction = new Transaction()
+      .from(output, [public1, public2, public3], 2)
+      .to(address, 1000000);
+    var input = transaction.inputs[0];
+    var estimate = input._estimateWeight();
+    input._estimateWitnessSize().should.equal(0);
+    transaction.sign(privateKey1).sign(privateKey2);
+    var weight = input.toBufferWriter().toBuffer().length * 4;
+    // each signature can be a couple of bytes shorter than the estimate
+    estimate.should.be.within(weight, weight + 2 * 2 * 4);
+  });
   it('uses SIGHASH_ALL by default', function() {
     var transaction = new Transaction()
       .from(output, [public1, public2, public3], 2)
@@ -0,0 +1,124 @@
+'use strict';
+/* jshint unused: false */
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+var _ = require('lodash');
+
+var digibyte = require('../../..');
+var Transaction = digibyte.Transaction;
+var PrivateKey = digibyte.PrivateKey;
+var Script = digibyte.Script;
+
+describe('NestedWitnessPublicKeyHashInput', function() {
+
+  var privateKey = new PrivateKey('KwF9LjRraetZuEjR8VqEq539z137LW5anYDUnVK11vM3mNMHTWb4');
+  var otherKey = new PrivateKey('L3T1s1TYP9oyhHpXgkyLoJFGniEgkv2Jhi138d7R2yJ9F4QdDU2m');
+  var address = privateKey.toNestedWitnessAddress();
+  var recipient = otherKey.toLegacyAddress();
+
+  var output = {
+    txId: '66e64ef8a3b384164b78453fa8c8194de9a473ba14f89485a0e433699daec140',
+    outputIndex: 0,
+    script: Script.buildScriptHashOut(address),
+    satoshis: 1000000,
+    publicKey: privateKey.publicKey
+  };
+  var spend = function(utxo) {
+    return new Transaction().from(utxo).to(recipient, 990000);
+  };
+
+  it('is detected for pay to script hash outputs given their public key', function() {
+    var input = spend(output).inputs[0];
+    input.should.be.instanceof(Transaction.Input.NestedWitnessPublicKeyHash);
+    input.isFullySigned().should.equal(false);
+  });
+
+  it('is detected for pay to script hash outputs given their redeem script', function() {
+    var utxo = _.assign(_.omit(output, 'publicKey'), {
+      redeemScript: Script.buildWitnessV0Out(privateKey.toAddress()).toHex()
+    });
+    spend(utxo).inputs[0].should.be.instanceof(Transaction.Input.NestedWitnessPublicKeyHash);
+    spend(utxo).sign(privateKey).toString().should.equal(spend(output).sign(privateKey).toString());
+  });
+
+  it('isn\'t assumed for a plain pay to script hash output', function() {
+    var input = spend(_.omit(output, 'publicKey')).inputs[0];
+    input.should.not.be.instanceof(Transaction.Input.NestedWitnessPublicKeyHash);
+    input.constructor.should.equal(Transaction.Input);
+  });
+
+  it('isn\'t assumed when the public key doesn\'t prove it', function() {
+    var input = spend(_.assign({}, output, { publicKey: otherKey.publicKey })).inputs[0];
+    input.constructor.should.equal(Transaction.Input);
+    var multisig = Script.buildMultisigOut([privateKey.publicKey, otherKey.publicKey], 1);
+    input = spend(_.assign(_.omit(output, 'publicKey'), {
+      script: multisig.toScriptHashOut(),
+      redeemScript: multisig
+    })).inputs[0];
+    input.constructor.should.equal(Transaction.Input);
+  });
+
+  it('pushes the witness program and witnesses the signature', function() {
+    var transaction = spend(output).sign(privateKey);
+    var input = transaction.inputs[0];
+    input.isFullySigned().should.equal(true);
+    input.script.chunks.length.should.equal(1);
+    new Script(input.script.chunks[0].buf).isWitnessPublicKeyHashOut().should.equal(true);
+    input.witnesses.length.should.equal(2);
+    input.witnesses[1].should.deep.equal(privateKey.publicKey.toBuffer());
+    transaction.isFullySigned().should.equal(true);
+  });
+
+  it('signs what a native witness input of the same key signs', function() {
+    var nested = spend(output).sign(privateKey);
+    var native = spend(_.assign({}, output, { script: Script.buildWitnessV0Out(privateKey.toAddress()) }))
+      .sign(privateKey);
+    nested.inputs[0].witnesses.should.deep.equal(native.inputs[0].witnesses);
+  });
+
+  it('can estimate the weight of the signed transaction', function() {
+    var transaction = spend(output);
+    var estimate = transaction._estimateWeight();
+    transaction.sign(privateKey);
+    estimate.should.be.within(transaction.getWeight(), transaction.getWeight() + 4);
+    transaction.getVirtualSize().should.be.below(transaction.toBuffer().length);
+  });
+
+  it('returns an empty array if private key mismatches', function() {
+    var transaction = spend(output);
+    transaction.inputs[0].getSignatures(transaction, otherKey, 0).length.should.equal(0);
+    transaction.sign(otherKey).isFullySigned().should.equal(false);
+  });
+
+  it('checks the public key given up front', function() {
+    var input = new Transaction.Input.NestedWitnessPublicKeyHash(_.assign({
+      output: new Transaction.Output({ script: output.script, satoshis: output.satoshis }),
+      prevTxId: output.txId
+    }, output), privateKey.publicKey);
+    input.redeemScript.isWitnessPublicKeyHashOut().should.equal(true);
+    expect(function() {
+      return new Transaction.Input.NestedWitnessPublicKeyHash(_.assign({
+        output: new Transaction.Output({ script: output.script, satoshis: output.satoshis }),
+        prevTxId: output.txId
+      }, output), otherKey.publicKey);
+    }).to.throw('Provided public key doesn\'t hash to the provided output');
+  });
+
+  it('it\'s signature can be removed', function() {
+    var transaction = spend(output).sign(privateKey);
+    var input = transaction.inputs[0];
+    input.clearSignatures();
+    input.isFullySigned().should.equal(false);
+    input.script.chunks.length.should.equal(0);
+  });
+
+  it('survives a round trip through a plain object', function() {
+    var transaction = spend(output).sign(privateKey);
+    var copy = new Transaction(transaction.toObject());
+    copy.inputs[0].should.be.instanceof(Transaction.Input.NestedWitnessPublicKeyHash);
+    copy.inputs[0].isFullySigned().should.equal(true);
+    copy.toString().should.equal(transaction.toString());
+  });
+
+});
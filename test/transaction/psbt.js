@@ -0,0 +1,346 @@
+'use strict';
+
+var _ = require('lodash');
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var digibyte = require('../..');
+var errors = digibyte.errors;
+var PrivateKey = digibyte.PrivateKey;
+var Script = digibyte.Script;
+var Signature = digibyte.crypto.Signature;
+var Transaction = digibyte.Transaction;
+var PSBT = Transaction.PSBT;
+var Base58Check = digibyte.encoding.Base58Check;
+var vectors = require('../data/bip174.json');
+
+describe('PSBT', function() {
+
+  var privateKey = new PrivateKey(new digibyte.crypto.BN(1234567), 'livenet');
+  var keys = _.map([1111111, 2222222, 3333333], function(n) {
+    return new PrivateKey(new digibyte.crypto.BN(n), 'livenet');
+  });
+  var publicKeys = _.map(keys, 'publicKey');
+  var multisig = Script.buildMultisigOut(publicKeys, 2);
+  var recipient = new PrivateKey(new digibyte.crypto.BN(2345678), 'livenet').toLegacyAddress();
+  var prevTxId = 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458';
+
+  var previous = new Transaction()
+    .from({ txId: prevTxId, outputIndex: 0, script: Script.buildPublicKeyHashOut(privateKey.toLegacyAddress()),
+      satoshis: 100000000 })
+    .to(privateKey.toLegacyAddress(), 69990000)
+    .addOutput(new Transaction.Output({ script: Script.buildScriptHashOut(multisig), satoshis: 30000000 }))
+    .sign(privateKey);
+  var legacyUtxo = {
+    txId: previous.id,
+    outputIndex: 0,
+    script: previous.outputs[0].script,
+    satoshis: 69990000
+  };
+  var p2shUtxo = {
+    txId: previous.id,
+    outputIndex: 1,
+    script: previous.outputs[1].script,
+    satoshis: 30000000
+  };
+  var witnessUtxo = {
+    txId: prevTxId,
+    outputIndex: 1,
+    script: Script.buildWitnessV0Out(privateKey.toAddress()),
+    satoshis: 50000000
+  };
+  var spend = function(utxo, pubkeys, nestedWitness) {
+    return new Transaction().from(utxo, pubkeys, pubkeys && 2, nestedWitness).to(recipient, utxo.satoshis - 10000);
+  };
+  var multisigUtxo = function(script) {
+    return { txId: prevTxId, outputIndex: 2, script: script, satoshis: 30000000 };
+  };
+
+  it('can be created without "new"', function() {
+    PSBT(spend(witnessUtxo)).should.be.instanceof(PSBT);
+  });
+
+  it('fails when given something else than a transaction or a serialized PSBT', function() {
+    expect(function() {
+      return new PSBT(42);
+    }).to.throw(errors.InvalidArgument);
+  });
+
+  it('requires the outputs spent by the transaction', function() {
+    var tx = new Transaction(spend(witnessUtxo).toBuffer());
+    expect(function() {
+      return PSBT.fromTransaction(tx);
+    }).to.throw('Every input needs the output it spends');
+  });
+
+  describe('encoding', function() {
+
+    it('starts with the magic bytes and keeps the transaction unsigned', function() {
+      var psbt = PSBT.fromTransaction(spend(witnessUtxo).sign(privateKey));
+      psbt.toBuffer().slice(0, 5).toString('hex').should.equal('70736274ff');
+      psbt.toBase64().should.match(/^cHNidP8/);
+      psbt.transaction.hasWitnesses().should.equal(false);
+      psbt.transaction.id.should.equal(spend(witnessUtxo).id);
+    });
+
+    it('round trips through base64, hex and binary', function() {
+      var psbt = PSBT.fromTransaction(spend(legacyUtxo), [previous]).sign(privateKey);
+      var base64 = psbt.toString();
+      PSBT.fromBase64(base64).toBase64().should.equal(base64);
+      new PSBT(psbt.toBuffer().toString('hex')).toBase64().should.equal(base64);
+      PSBT.fromBuffer(psbt.toBuffer()).toBase64().should.equal(base64);
+    });
+
+    it('reads the fields of inputs and outputs', function() {
+      var psbt = PSBT.fromBase64(PSBT.fromTransaction(spend(witnessUtxo)).sign(privateKey).toBase64());
+      var input = psbt.inputs[0];
+      input.witnessUtxo.satoshis.should.equal(50000000);
+      input.witnessUtxo.script.toHex().should.equal(witnessUtxo.script.toHex());
+      input.partialSigs.length.should.equal(1);
+      input.partialSigs[0].publicKey.toString().should.equal(privateKey.publicKey.toString());
+      input.partialSigs[0].signature.nhashtype.should.equal(Signature.SIGHASH_ALL);
+      psbt.outputs.should.deep.equal([{ unknown: [] }]);
+    });
+
+    it('round trips BIP32 derivation paths', function() {
+      var derivation = { publicKey: privateKey.publicKey, masterFingerprint: 'd90c6a4f', path: 'm/44\'/20\'/0\'/0/7' };
+      var psbt = PSBT.fromTransaction(spend(witnessUtxo))
+        .updateInput(0, { bip32Derivation: [derivation] })
+        .updateOutput(0, { bip32Derivation: [derivation] });
+      var decoded = PSBT.fromBase64(psbt.toBase64());
+      _.each([decoded.inputs[0], decoded.outputs[0]], function(map) {
+        map.bip32Derivation.length.should.equal(1);
+        map.bip32Derivation[0].path.should.equal('m/44\'/20\'/0\'/0/7');
+        map.bip32Derivation[0].masterFingerprint.toString('hex').should.equal('d90c6a4f');
+        map.bip32Derivation[0].publicKey.toString().should.equal(privateKey.publicKey.toString());
+      });
+    });
+
+    it('keeps the key-value pairs it does not know', function() {
+      var psbt = PSBT.fromTransaction(spend(witnessUtxo));
+      var pair = { key: new Buffer('fc0474657374', 'hex'), value: new Buffer('0102', 'hex') };
+      psbt.unknown.push(pair);
+      psbt.inputs[0].unknown.push(pair);
+      psbt.outputs[0].unknown.push(pair);
+      var decoded = PSBT.fromBase64(psbt.toBase64());
+      decoded.unknown.should.deep.equal([pair]);
+      decoded.inputs[0].unknown.should.deep.equal([pair]);
+      decoded.outputs[0].unknown.should.deep.equal([pair]);
+    });
+
+    it('tells hexadecimal from base64 by the magic bytes', function() {
+      var psbt = PSBT.fromTransaction(spend(witnessUtxo));
+      new PSBT(psbt.toBuffer().toString('hex')).toBase64().should.equal(psbt.toBase64());
+      new PSBT(psbt.toBase64()).toBase64().should.equal(psbt.toBase64());
+      expect(function() {
+        return new PSBT(spend(witnessUtxo).toString());
+      }).to.throw(errors.Transaction.PSBT.InvalidEncoding, 'missing magic bytes');
+    });
+
+    it('fails on invalid encodings', function() {
+      var buffer = PSBT.fromTransaction(spend(witnessUtxo)).toBuffer();
+      var duplicate = Buffer.concat([buffer.slice(0, -2), new Buffer('0103040100000001030401000000', 'hex'), buffer.slice(-2)]);
+      _.each([
+        new Buffer('70736274fe00', 'hex'),
+        new Buffer('70736274ff00', 'hex'),
+        buffer.slice(0, -1),
+        Buffer.concat([buffer, new Buffer('00', 'hex')]),
+        duplicate
+      ], function(invalid) {
+        expect(function() {
+          return PSBT.fromBuffer(invalid);
+        }).to.throw(errors.Transaction.PSBT.InvalidEncoding);
+      });
+    });
+
+  });
+
+  describe('#updateInput', function() {
+
+    it('checks the previous transaction against the outpoint', function() {
+      var psbt = PSBT.fromTransaction(spend(legacyUtxo));
+      psbt.updateInput(0, { nonWitnessUtxo: previous.toString() });
+      psbt.inputs[0].nonWitnessUtxo.id.should.equal(previous.id);
+      expect(function() {
+        psbt.updateInput(0, { nonWitnessUtxo: spend(witnessUtxo) });
+      }).to.throw(errors.Transaction.PSBT.UtxoMismatch);
+    });
+
+    it('fails on unknown fields and indexes', function() {
+      var psbt = PSBT.fromTransaction(spend(witnessUtxo));
+      expect(function() {
+        psbt.updateInput(0, { foo: 1 });
+      }).to.throw('Unknown or missing field: foo');
+      expect(function() {
+        psbt.updateInput(1, { sighashType: 1 });
+      }).to.throw(errors.Transaction.InvalidIndex);
+    });
+
+  });
+
+  describe('signing', function() {
+
+    var roundTrip = function(tx, signers, previousTransactions) {
+      var base64 = PSBT.fromTransaction(tx, previousTransactions).toBase64();
+      var signed = _.map(signers, function(key) {
+        return PSBT.fromBase64(base64).sign(key).toBase64();
+      });
+      return PSBT.fromBase64(signed[0]).combine.apply(PSBT.fromBase64(signed[0]), _.tail(signed));
+    };
+
+    it('signs, finalizes and extracts a legacy input', function() {
+      var psbt = roundTrip(spend(legacyUtxo), [privateKey], [previous]).finalize();
+      psbt.isFinalized().should.equal(true);
+      should.not.exist(psbt.inputs[0].partialSigs);
+      var tx = psbt.extractTransaction();
+      tx.toString().should.equal(spend(legacyUtxo).sign(privateKey).toString());
+      tx.getFee().should.equal(10000);
+    });
+
+    it('needs the previous transaction to sign a legacy input', function() {
+      var psbt = PSBT.fromTransaction(spend(legacyUtxo)).sign(privateKey);
+      should.not.exist(psbt.inputs[0].partialSigs);
+    });
+
+    it('signs, finalizes and extracts a witness input', function() {
+      var tx = roundTrip(spend(witnessUtxo), [privateKey]).finalize().extractTransaction();
+      tx.toString().should.equal(spend(witnessUtxo).sign(privateKey).toString());
+    });
+
+    it('signs a nested witness input given its redeem script', function() {
+      var utxo = _.assign(multisigUtxo(Script.buildScriptHashOut(privateKey.toNestedWitnessAddress())), {
+        publicKey: privateKey.publicKey
+      });
+      var psbt = PSBT.fromTransaction(spend(utxo)).updateInput(0, {
+        witnessUtxo: { script: utxo.script, satoshis: utxo.satoshis },
+        redeemScript: Script.buildWitnessV0Out(privateKey.toAddress())
+      });
+      var tx = PSBT.fromBase64(psbt.toBase64()).sign(privateKey).finalize().extractTransaction();
+      tx.toString().should.equal(spend(utxo).sign(privateKey).toString());
+      PSBT.fromTransaction(spend(utxo).sign(privateKey)).inputs[0].redeemScript.toHex()
+        .should.equal(Script.buildWitnessV0Out(privateKey.toAddress()).toHex());
+    });
+
+    _.each({
+      'P2SH': p2shUtxo,
+      'P2WSH': multisigUtxo(Script.buildWitnessMultisigOutFromScript(multisig)),
+      'P2SH-P2WSH': multisigUtxo(Script.buildScriptHashOut(Script.buildWitnessMultisigOutFromScript(multisig)))
+    }, function(utxo, kind) {
+      it('combines the signatures of a ' + kind + ' multisig input', function() {
+        var nested = kind === 'P2SH-P2WSH';
+        var psbt = roundTrip(spend(utxo, publicKeys, nested), [keys[0], keys[2]], [previous]);
+        psbt.inputs[0].partialSigs.length.should.equal(2);
+        var tx = psbt.finalize().extractTransaction();
+        tx.toString().should.equal(spend(utxo, publicKeys, nested).sign([keys[0], keys[2]]).toString());
+      });
+    });
+
+    it('carries over the signatures of a multisig transaction', function() {
+      var utxo = multisigUtxo(Script.buildWitnessMultisigOutFromScript(multisig));
+      var psbt = PSBT.fromTransaction(spend(utxo, publicKeys).sign(keys[1]));
+      psbt.inputs[0].witnessScript.toHex().should.equal(multisig.toHex());
+      psbt.inputs[0].partialSigs.length.should.equal(1);
+      psbt.sign(keys[0]).finalize().extractTransaction().toString()
+        .should.equal(spend(utxo, publicKeys).sign([keys[0], keys[1]]).toString());
+    });
+
+    it('leaves inputs missing signatures unfinalized', function() {
+      var utxo = multisigUtxo(Script.buildWitnessMultisigOutFromScript(multisig));
+      var psbt = PSBT.fromTransaction(spend(utxo, publicKeys)).sign(keys[0]).finalize();
+      psbt.isFinalized().should.equal(false);
+      psbt.inputs[0].partialSigs.length.should.equal(1);
+      expect(function() {
+        psbt.extractTransaction();
+      }).to.throw(errors.Transaction.PSBT.NotFinalized);
+    });
+
+    it('makes inputs already signed final', function() {
+      var psbt = PSBT.fromTransaction(spend(witnessUtxo).sign(privateKey));
+      psbt.isFinalized().should.equal(true);
+      psbt.extractTransaction().toString().should.equal(spend(witnessUtxo).sign(privateKey).toString());
+    });
+
+    it('signs with the sighash type of the input', function() {
+      var psbt = PSBT.fromTransaction(spend(legacyUtxo), [previous])
+        .updateInput(0, { sighashType: Signature.SIGHASH_SINGLE });
+      psbt.sign(privateKey).inputs[0].partialSigs[0].signature.nhashtype.should.equal(Signature.SIGHASH_SINGLE);
+      psbt.finalize().extractTransaction().toString()
+        .should.equal(spend(legacyUtxo).sign(privateKey, Signature.SIGHASH_SINGLE).toString());
+      expect(function() {
+        PSBT.fromTransaction(spend(witnessUtxo)).updateInput(0, { sighashType: Signature.SIGHASH_SINGLE })
+          .sign(privateKey, Signature.SIGHASH_ALL);
+      }).to.throw(errors.Transaction.PSBT.SighashMismatch);
+    });
+
+    it('checks the scripts given for an input', function() {
+      var psbt = PSBT.fromTransaction(spend(p2shUtxo, publicKeys), [previous]).updateInput(0, {
+        redeemScript: Script.buildMultisigOut(publicKeys, 1)
+      });
+      expect(function() {
+        psbt.sign(keys[0]);
+      }).to.throw(errors.Transaction.PSBT.ScriptMismatch);
+    });
+
+    it('does not combine PSBTs of different transactions', function() {
+      expect(function() {
+        PSBT.fromTransaction(spend(witnessUtxo)).combine(PSBT.fromTransaction(spend(legacyUtxo)));
+      }).to.throw(errors.Transaction.PSBT.Mismatch);
+    });
+
+  });
+
+  describe('BIP174 test vectors', function() {
+
+    // the keys of the test vectors are Bitcoin testnet keys
+    var key = function(wif) {
+      return new PrivateKey(digibyte.crypto.BN.fromBuffer(Base58Check.decode(wif).slice(1, 33)));
+    };
+
+    _.each(vectors.valid, function(vector) {
+      it('reads ' + vector.description, function() {
+        var psbt = new PSBT(vector.psbt);
+        psbt.toBase64().should.equal(vector.psbt);
+        new PSBT(psbt.toBuffer().toString('hex')).toBase64().should.equal(vector.psbt);
+      });
+    });
+
+    _.each(vectors.invalid, function(vector) {
+      it('rejects ' + vector.description, function() {
+        expect(function() {
+          return new PSBT(vector.psbt);
+        }).to.throw(errors.Transaction.PSBT.InvalidEncoding);
+      });
+    });
+
+    describe(vectors.roles.description, function() {
+
+      it('signs', function() {
+        _.each(vectors.roles.signers, function(signer) {
+          var psbt = new PSBT(vectors.roles.updated);
+          _.each(signer.keys, function(wif) {
+            psbt.sign(key(wif));
+          });
+          psbt.toBase64().should.equal(signer.psbt);
+        });
+      });
+
+      it('combines', function() {
+        var signers = _.map(vectors.roles.signers, function(signer) {
+          return new PSBT(signer.psbt);
+        });
+        signers[0].combine(signers[1]).toBase64().should.equal(vectors.roles.combined);
+      });
+
+      it('finalizes', function() {
+        new PSBT(vectors.roles.combined).finalize().toBase64().should.equal(vectors.roles.finalized);
+      });
+
+      it('extracts the transaction', function() {
+        new PSBT(vectors.roles.finalized).extractTransaction().toString().should.equal(vectors.roles.extracted);
+      });
+
+    });
+
+  });
+
+});
@@ -12,6 +12,7 @@ var BN = digibyte.crypto.BN;
 var Transaction = digibyte.Transaction;
 var Input = digibyte.Transaction.Input;
 var Output = digibyte.Transaction.Output;
+var UnspentOutput = digibyte.Transaction.UnspentOutput;
 var PrivateKey = digibyte.PrivateKey;
 var Script = digibyte.Script;
 var Interpreter = digibyte.Script.Interpreter;
@@ -677,6 +678,73 @@ describe('Transaction', function() {
 
   });
 
+  describe('#verifyDigiAssets', function() {
+
+    var payment = function(amount, output) {
+      return { input: 0, amount: amount, output: output, range: false, percent: false };
+    };
+    var assetTransaction = function(payments, satoshis) {
+      var tx = new Transaction().from(simpleUtxoWith1BTC);
+      _.each(satoshis, function(amount) {
+        tx.to(toAddress, amount);
+      });
+      return tx.addData(new digibyte.Asset({ type: 'transfer', payments: payments }).encode().codeBuffer);
+    };
+    var spent = [[{ assetId: 'La1', amount: 10 }]];
+
+    it('passes a consistent transfer and a transaction without assets', function() {
+      var tx = assetTransaction([payment(4, 0), payment(6, 1)], [546, 546]).change(changeAddress);
+      tx.verifyDigiAssets().should.equal(true);
+      tx.verifyDigiAssets(spent).should.equal(true);
+      new Transaction().from(simpleUtxoWith1BTC).to(toAddress, 10000).verifyDigiAssets(spent).should.equal(true);
+    });
+
+    it('not if a payment goes to a missing or unspendable output', function() {
+      assetTransaction([payment(4, 3)], [546]).verifyDigiAssets()
+        .should.equal('transaction DigiAsset payment 0 pays to non-existent output 3');
+      assetTransaction([payment(4, 1)], [546]).change(changeAddress).verifyDigiAssets()
+        .should.equal('transaction DigiAsset payment 0 pays to unspendable output 1');
+    });
+
+    it('not if a colored output is below dust', function() {
+      var range = { input: 0, amount: 2, output: 1, range: true, percent: false };
+      assetTransaction([range], [546, 100]).verifyDigiAssets()
+        .should.equal('transaction DigiAsset output 1 holds assets below the dust amount');
+    });
+
+    it('not if a payment spends more than the inputs hold', function() {
+      assetTransaction([payment(11, 0)], [546]).change(changeAddress).verifyDigiAssets(spent)
+        .should.equal('transaction DigiAsset instruction is invalid: Payment 0 spends more than its inputs hold');
+    });
+
+    it('not if units left over would be destroyed', function() {
+      assetTransaction([payment(4, 0)], [546]).verifyDigiAssets(spent)
+        .should.equal('transaction DigiAsset output 1 is unspendable and would destroy asset La1');
+    });
+
+    it('is checked before serializing when the spent assets are given', function() {
+      var tx = assetTransaction([payment(11, 0)], [546]).change(changeAddress).sign(privateKey);
+      should.exist(tx.serialize());
+      expect(function() {
+        return tx.serialize({ spentAssetInfo: spent });
+      }).to.throw(errors.Transaction.InvalidDigiAssets);
+      should.exist(tx.serialize({ spentAssetInfo: spent, disableDigiAssets: true }));
+    });
+
+    it('is not checked when serializing other data starting with the DigiAsset identifier', function() {
+      var tx = new Transaction().from(simpleUtxoWith1BTC).to(toAddress, 10000).addData('DA, not a DigiAsset')
+        .change(changeAddress).sign(privateKey);
+      tx.verifyDigiAssets().should.not.equal(true);
+      should.exist(tx.serialize());
+    });
+
+    it('is not checked when serializing a transfer without the spent assets', function() {
+      var tx = assetTransaction([payment(4, 3)], [546]).change(changeAddress).sign(privateKey);
+      should.exist(tx.serialize());
+    });
+
+  });
+
   describe('to and from JSON', function() {
     it('takes a string that is a valid JSON and deserializes from it', function() {
       var simple = new Transaction();
@@ -1139,6 +1207,92 @@ describe('Transaction', function() {
 
     });
   });
+  describe('weight and virtual size', function() {
+    var legacyUtxo = _.assign({}, simpleUtxoWith100000Satoshis, {
+      script: Script.buildPublicKeyHashOut(new PrivateKey(privateKey).toLegacyAddress()).toString()
+    });
+    var witnessUtxo = _.assign({}, simpleUtxoWith100000Satoshis, {
+      script: Script.buildWitnessV0Out(new PrivateKey(privateKey).toAddress()).toString()
+    });
+    var spend = function(utxo, keys) {
+      return new Transaction()
+        .from(utxo, keys, keys && 2)
+        .to(toAddress, 50000)
+        .change(changeAddress);
+    };
+    var checkEstimate = function(transaction, keys) {
+      var estimate = transaction._estimateWeight();
+      transaction.sign(keys);
+      estimate.should.be.within(transaction.getWeight(), transaction.getWeight() + 8);
+    };
+
+    it('a transaction without witnesses weighs four times its size', function() {
+      var transaction = new Transaction(tx_1_hex);
+      transaction.getWeight().should.equal(transaction.toBuffer().length * 4);
+      transaction.getVirtualSize().should.equal(transaction.toBuffer().length);
+    });
+    it('discounts the witness of a segwit transaction', function() {
+      var transaction = spend(witnessUtxo).sign(privateKey);
+      var stripped = transaction.toBuffer(true).length;
+      var size = transaction.toBuffer().length;
+      transaction.getWeight().should.equal(stripped * 3 + size);
+      transaction.getVirtualSize().should.equal(Math.ceil((stripped * 3 + size) / 4));
+      transaction.getVirtualSize().should.be.below(size);
+    });
+    it('estimates the weight of a pay to public key hash spend', function() {
+      checkEstimate(spend(legacyUtxo), privateKey);
+    });
+    it('estimates the weight of a pay to witness public key hash spend', function() {
+      checkEstimate(spend(witnessUtxo), privateKey);
+    });
+    it('estimates the weight of a pay to script hash multisig spend', function() {
+      var utxo = _.assign({}, p2shUtxoWith1BTC, {
+        script: Script.buildMultisigOut([p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2).toScriptHashOut()
+      });
+      checkEstimate(spend(utxo, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3]), [p2shPrivateKey1, p2shPrivateKey2]);
+    });
+    it('estimates the weight of a pay to witness script hash multisig spend', function() {
+      checkEstimate(spend(p2shUtxoWith1BTC, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3]),
+        [p2shPrivateKey1, p2shPrivateKey2]);
+    });
+    it('estimates the weight of a nested pay to witness script hash multisig spend', function() {
+      var redeemScript = Script.buildMultisigOut([p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2);
+      var utxo = _.assign({}, p2shUtxoWith1BTC, {
+        script: Script.buildScriptHashOut(Script.buildWitnessMultisigOutFromScript(redeemScript))
+      });
+      var transaction = new Transaction()
+        .from(utxo, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2, true)
+        .to(toAddress, 50000)
+        .change(changeAddress);
+      checkEstimate(transaction, [p2shPrivateKey1, p2shPrivateKey2]);
+    });
+    it('counts an empty witness for inputs without one in a segwit transaction', function() {
+      var transaction = spend(legacyUtxo).from(_.assign({}, witnessUtxo, { outputIndex: 1 }));
+      checkEstimate(transaction, privateKey);
+    });
+    it('fee per virtual byte can be set up manually', function() {
+      var transaction = spend(witnessUtxo).feePerVbyte(10).sign(privateKey);
+      transaction.outputs.length.should.equal(2);
+      transaction.getFee().should.equal(Math.ceil(transaction._estimateVirtualSize() * 10));
+      transaction.getFee().should.be.within(transaction.getVirtualSize() * 10, transaction.getVirtualSize() * 10 + 20);
+      transaction.outputs[1].satoshis.should.equal(50000 - transaction.getFee());
+    });
+    it('charges segwit inputs less than legacy ones at the same fee per virtual byte', function() {
+      var witness = spend(witnessUtxo).feePerVbyte(10);
+      var legacy = spend(legacyUtxo).feePerVbyte(10);
+      witness.getFee().should.be.below(legacy.getFee());
+    });
+    it('takes precedence over the fee per kb', function() {
+      var transaction = spend(witnessUtxo).feePerKb(100000).feePerVbyte(1);
+      transaction.getFee().should.equal(transaction._estimateVirtualSize());
+    });
+    it('fee per virtual byte must be a number', function() {
+      expect(function() {
+        return spend(witnessUtxo).feePerVbyte('10');
+      }).to.throw(errors.InvalidArgument);
+    });
+  });
+
   describe('Replace-by-fee', function() {
     describe('#enableRBF', function() {
       it('only enable inputs not already enabled (0xffffffff)', function() {
@@ -1238,6 +1392,146 @@ describe('Transaction', function() {
         tx.isRBF().should.equal(true);
       });
     });
+    describe('#bumpFee', function() {
+      var key = new PrivateKey(privateKey);
+      var utxo = function(outputIndex, satoshis) {
+        return _.assign({}, simpleUtxoWith100000Satoshis, {
+          outputIndex: outputIndex,
+          script: Script.buildWitnessV0Out(key.toAddress()).toString(),
+          satoshis: satoshis
+        });
+      };
+      var original = new Transaction()
+        .from(utxo(0, 100000))
+        .to(toAddress, 60000)
+        .change(changeAddress)
+        .feePerVbyte(1)
+        .enableRBF()
+        .sign(key);
+      var confirmed = function(outputIndex, satoshis) {
+        return _.assign(utxo(outputIndex, satoshis), { confirmations: 6 });
+      };
+      var checkRules = function(replacement, feeRate) {
+        replacement.getFee().should.be.at.least(original.getFee() +
+          replacement.getVirtualSize() * Transaction.INCREMENTAL_RELAY_FEE);
+        replacement.getFee().should.be.at.least(replacement.getVirtualSize() * feeRate);
+      };
+
+      it('takes the higher fee out of the change output', function() {
+        var replacement = original.bumpFee(20, { privateKeys: key });
+        replacement.isFullySigned().should.equal(true);
+        replacement.isRBF().should.equal(true);
+        replacement.outputs.length.should.equal(2);
+        replacement.outputs[0].satoshis.should.equal(60000);
+        replacement.outputs[1].satoshis.should.equal(40000 - replacement.getFee());
+        checkRules(replacement, 20);
+        replacement.serialize().should.be.a('string');
+      });
+      it('pays the incremental relay fee over the original fee', function() {
+        var replacement = original.bumpFee(2, { privateKeys: key });
+        replacement.getFee().should.equal(original.getFee() +
+          replacement._estimateVirtualSize() * Transaction.INCREMENTAL_RELAY_FEE);
+        var cheaper = original.bumpFee(2, { privateKeys: key, incrementalRelayFee: 1 });
+        cheaper.getFee().should.be.below(replacement.getFee());
+      });
+      it('leaves the replacement unsigned without keys', function() {
+        var replacement = original.bumpFee(20);
+        replacement.hasWitnesses().should.equal(false);
+        original.hasWitnesses().should.equal(true);
+      });
+      it('drops a change output that would be dust', function() {
+        var replacement = original.bumpFee(300, { privateKeys: key });
+        replacement.outputs.length.should.equal(1);
+        replacement.getFee().should.equal(40000);
+        checkRules(replacement, 300);
+      });
+      it('adds confirmed outputs as inputs when the change falls short', function() {
+        var unconfirmed = _.assign(utxo(2, 1000000), { confirmations: 0 });
+        var replacement = original.bumpFee(500, {
+          privateKeys: key,
+          utxos: [confirmed(1, 5000), unconfirmed, confirmed(3, 200000)]
+        });
+        replacement.inputs.length.should.equal(2);
+        replacement.inputs[1].outputIndex.should.equal(3);
+        replacement.isRBF().should.equal(true);
+        checkRules(replacement, 500);
+        replacement.serialize().should.be.a('string');
+      });
+      it('takes outputs whose confirmations are unknown to be confirmed', function() {
+        var replacement = original.bumpFee(500, { privateKeys: key, utxos: [utxo(3, 200000)] });
+        replacement.inputs.length.should.equal(2);
+        replacement.inputs[1].outputIndex.should.equal(3);
+        checkRules(replacement, 500);
+      });
+      it('adds UnspentOutput instances as inputs', function() {
+        var utxos = [new UnspentOutput(utxo(1, 5000)), new UnspentOutput(utxo(3, 200000))];
+        var replacement = original.bumpFee(500, { privateKeys: key, utxos: utxos });
+        replacement.inputs.length.should.equal(2);
+        replacement.inputs[1].outputIndex.should.equal(3);
+        replacement.isFullySigned().should.equal(true);
+        checkRules(replacement, 500);
+      });
+      it('skips outputs with no confirmations', function() {
+        expect(function() {
+          return original.bumpFee(500, { utxos: [_.assign(utxo(3, 200000), { confirmations: 0 })] });
+        }).to.throw(errors.Transaction.BumpFee.NotEnoughFunds);
+      });
+      it('keeps the sequence numbers of the original inputs', function() {
+        var signaling = new Transaction(original.toObject());
+        signaling.inputs[0].sequenceNumber = 1;
+        var replacement = signaling.bumpFee(500, { utxos: [confirmed(3, 200000)] });
+        replacement.inputs[0].sequenceNumber.should.equal(1);
+        replacement.inputs[1].sequenceNumber.should.equal(Transaction.Input.DEFAULT_RBF_SEQNUMBER);
+      });
+      it('keeps the change output at its index', function() {
+        var changeFirst = new Transaction()
+          .from(utxo(0, 100000))
+          .to(changeAddress, 39000)
+          .to(toAddress, 60000)
+          .enableRBF();
+        var replacement = changeFirst.bumpFee(20, { changeIndex: 0, privateKeys: key });
+        replacement.outputs.length.should.equal(2);
+        replacement.outputs[0].satoshis.should.equal(40000 - replacement.getFee());
+        replacement.outputs[1].satoshis.should.equal(60000);
+        checkRules(replacement, 20);
+      });
+      it('computes the current fee rate from the signed size', function() {
+        var unsigned = new Transaction()
+          .from(utxo(0, 100000))
+          .to(toAddress, 60000)
+          .change(changeAddress)
+          .feePerVbyte(1)
+          .enableRBF();
+        (unsigned.getFee() / unsigned.getVirtualSize()).should.be.above(1.1);
+        unsigned.bumpFee(1.1).getFee().should.be.above(unsigned.getFee());
+      });
+      it('finds the change output by address', function() {
+        var parsed = new Transaction(original.toObject());
+        parsed._changeIndex = undefined;
+        var replacement = parsed.bumpFee(20, { changeAddress: changeAddress });
+        replacement.outputs[1].satoshis.should.equal(40000 - replacement.getFee());
+      });
+      it('fails for a transaction that can\'t be replaced', function() {
+        var final = new Transaction()
+          .from(utxo(0, 100000))
+          .to(toAddress, 60000)
+          .change(changeAddress)
+          .sign(key);
+        expect(function() {
+          return final.bumpFee(20);
+        }).to.throw(errors.Transaction.BumpFee.NotReplaceable);
+      });
+      it('fails for a fee rate that isn\'t higher', function() {
+        expect(function() {
+          return original.bumpFee(1);
+        }).to.throw(errors.Transaction.BumpFee.FeeRateTooLow);
+      });
+      it('fails when there isn\'t enough to pay the fee', function() {
+        expect(function() {
+          return original.bumpFee(500, { utxos: [_.assign(utxo(2, 1000000), { confirmations: 0 })] });
+        }).to.throw(errors.Transaction.BumpFee.NotEnoughFunds);
+      });
+    });
   });
 
 });
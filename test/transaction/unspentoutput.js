@@ -47,6 +47,65 @@ describe('UnspentOutput', function() {
     }).to.throw();
   });
 
+  describe('assets', function() {
+
+    var holding = {
+      assetId: 'La4fdFUgMKAGbgwL4bVVgobn6dYc2Vs7kZkwei',
+      amount: 100,
+      divisibility: 2,
+      aggregationPolicy: 'hybrid',
+      issueTxid: 'e42447187db5a29d6db161661e4bc66d61c3e499690fe5ea47f87b79ca573986'
+    };
+    var withAssets = function(assets) {
+      return _.assign(_.omit(sampleData2, 'address'), { assets: assets });
+    };
+
+    it('has no assets by default', function() {
+      var utxo = new UnspentOutput(sampleData1);
+      utxo.assets.should.deep.equal([]);
+      utxo.hasAssets().should.equal(false);
+      should.not.exist(utxo.toObject().assets);
+    });
+
+    it('roundtrips its assets through toObject/fromObject', function() {
+      var utxo = new UnspentOutput(withAssets([holding]));
+      utxo.hasAssets().should.equal(true);
+      utxo.toObject().assets.should.deep.equal([holding]);
+      UnspentOutput.fromObject(JSON.parse(JSON.stringify(utxo))).assets.should.deep.equal([holding]);
+    });
+
+    it('fills in the divisibility and aggregation policy', function() {
+      new UnspentOutput(withAssets([{ assetId: holding.assetId, amount: 5 }])).assets.should.deep.equal([
+        { assetId: holding.assetId, amount: 5, divisibility: 0, aggregationPolicy: 'aggregatable' }
+      ]);
+    });
+
+    it('fails on malformed holdings', function() {
+      var malformed = [
+        'La1',
+        _.omit(holding, 'assetId'),
+        _.assign({}, holding, { amount: '100' }),
+        _.assign({}, holding, { amount: 0 }),
+        _.assign({}, holding, { divisibility: 8 }),
+        _.assign({}, holding, { aggregationPolicy: 'shared' }),
+        _.assign({}, holding, { issueTxid: 'abcd' })
+      ];
+      malformed.forEach(function(invalid) {
+        expect(function() {
+          return new UnspentOutput(withAssets([invalid]));
+        }).to.throw(digibyte.errors.InvalidArgument, 'Invalid asset holding in ' + sampleData2.txid + ':1');
+      });
+      expect(function() {
+        return new UnspentOutput(withAssets(holding));
+      }).to.throw(digibyte.errors.InvalidArgument);
+    });
+
+    it('shows how many assets it holds on the console', function() {
+      new UnspentOutput(withAssets([holding])).inspect().should.contain(', assets: 1>');
+    });
+
+  });
+
   it('displays nicely on the console', function() {
     var expected = '<UnspentOutput: a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458:0' +
                    ', satoshis: 1020000, address: sqvLj8RVFxXLmPc2UY7ZSdkidiCkowoFXA>';